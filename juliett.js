@@ -36,42 +36,149 @@
 
 export const PATTERN_EMAIL = /^(([^<>()\[\]\\.,;:\s@"]+(\.[^<>()\[\]\\.,;:\s@"]+)*)|(".+"))@((\[[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}])|(([a-zA-Z\-0-9]+\.)+[a-zA-Z]{2,}))$/;
 export const PATTERN_URL = /^(http)s?:\/\/(www|localhost)(.|\/)[a-z0-9-\.\/]+/;
-const PATTERN_YMDHMS = /^\d\d\d\d-(0?[1-9]|1[0-2])-(0?[1-9]|[12][0-9]|3[01]) (00|[0-9]|1[0-9]|2[0-3]):([0-9]|[0-5][0-9]):([0-9]|[0-5][0-9])$/gm;
-
-function sleep(milliseconds) {
-    const date = Date.now();
-    let currentDate = null;
-    do {
-      currentDate = Date.now();
-    } while (currentDate - date < milliseconds);
-  }
+const PATTERN_YMDHMS = /^\d\d\d\d-(0?[1-9]|1[0-2])-(0?[1-9]|[12][0-9]|3[01]) (00|[0-9]|1[0-9]|2[0-3]):([0-9]|[0-5][0-9]):([0-9]|[0-5][0-9])$/;
 
+/**
+ * Options of each Enumerator ({flags}), kept apart from the members.
+ */
+const ENUMERATOR_OPTIONS = new WeakMap();
 
 /**
-  * Implements a trap routine to map key/value pairs 
-  */
+ * Immutable set of named constants with reverse lookup, iteration and flags.
+ */
 export class Enumerator {
     /**
      * Instantiate a Enumerator type
      * @param {object} obj containing a set of values i.e. {"String":1, "Number":2, "DateTime": 3, "Boolean":4}
+     * @param {object} options {flags}: set flags to true to build a bit-flag enumerator (values must be powers of two or 0).
      */
-    constructor(obj){
-        return new Proxy(obj, {
-            get: function(obj, prop){
-                return (prop in obj) ? obj[prop] : null;
+    constructor(obj, options = {}){
+        if (obj == null || typeof obj !== "object")
+            throw new TypeError(`invalid parameter of ${typeof obj} type. An object with the members is required here.`);
+        const values = [];
+        Object.entries(obj).forEach(([name, value]) => {
+            if (name in Enumerator.prototype)
+                throw new RangeError(`invalid member name: ${name}. It is reserved by the Enumerator type.`);
+            if (values.some(item => Object.is(item, value)))
+                throw new RangeError(`duplicate value ${String(value)} for member ${name}.`);
+            if (options.flags === true && !(Number.isInteger(value) && value >= 0 && (value & (value - 1)) == 0))
+                throw new RangeError(`invalid value ${String(value)} for flag ${name}. A power of two (or 0) is required here.`);
+            values.push(value);
+            Object.defineProperty(this, name, { value: value, enumerable: true, writable: false, configurable: false });
+        });
+        Object.freeze(this);
+        const proxy = new Proxy(this, {
+            get: function(target, prop, receiver){
+                if (typeof prop === "string" && !(prop in target) && prop != "then") //"then" is probed by promises
+                    throw new RangeError(`unknown member ${prop} of the enumerator.`);
+                return Reflect.get(target, prop, receiver);
             },
-            set: function(obj, prop, value){
-                obj[prop] = value;
-                return true;
+            set: function(target, prop){
+                throw new TypeError(`members of the enumerator cannot be changed (${String(prop)}).`);
             },
-            has: function(obj, prop){
-                if (prop in obj) { //Usually the expect return is a number (index).
-                    return obj[prop];
-                };
-                return Reflect.ownKeys(obj)[prop]; //but, if you're looking for the key it self...
+            deleteProperty: function(target, prop){
+                throw new TypeError(`members of the enumerator cannot be removed (${String(prop)}).`);
+            },
+            defineProperty: function(target, prop){
+                throw new TypeError(`members of the enumerator cannot be changed (${String(prop)}).`);
             }
         });
-    }; 
+        ENUMERATOR_OPTIONS.set(proxy, { flags: options.flags === true });
+        return proxy;
+    };
+    /**
+     * Return true for bit-flag enumerators.
+     */
+    get isFlags(){
+        return ENUMERATOR_OPTIONS.get(this).flags;
+    };
+    get size(){
+        return Object.keys(this).length;
+    };
+    keys(){
+        return Object.keys(this);
+    };
+    values(){
+        return Object.values(this);
+    };
+    entries(){
+        return Object.entries(this);
+    };
+    [Symbol.iterator](){
+        return this.entries()[Symbol.iterator]();
+    };
+    /**
+     * Return true when the enumerator has a member with the given name.
+     * @param {string} name of the member.
+     */
+    has(name){
+        return Object.prototype.hasOwnProperty.call(this, name);
+    };
+    /**
+     * Return the value of a member (unknown names throw a RangeError).
+     * @param {string} name of the member.
+     */
+    getValue(name){
+        if (!this.has(name))
+            throw new RangeError(`unknown member ${name} of the enumerator.`);
+        return this[name];
+    };
+    /**
+     * Return the name of the member holding a value (null if none). Flag combinations return the names joined by "|".
+     * @param {*} value of the member.
+     */
+    getName(value){
+        const entry = this.entries().find(([name, item]) => item === value);
+        if (entry != null)
+            return entry[0];
+        if (this.isFlags && this.isValid(value))
+            return this.split(value).join("|");
+        return null;
+    };
+    /**
+     * Return true when the value is one of the members (or, for flag enumerators, a combination of them).
+     * @param {*} value to be checked.
+     */
+    isValid(value){
+        if (this.values().indexOf(value) > -1)
+            return true;
+        if (!this.isFlags || !Number.isInteger(value) || value < 0)
+            return false;
+        return (value & ~this.combine(...this.values())) == 0;
+    };
+    /**
+     * Combine flags (flag enumerators only).
+     * @param {...number} flags values or names of the members.
+     */
+    combine(...flags){
+        if (!this.isFlags)
+            throw new TypeError("flag operations require an enumerator created with the flags option.");
+        return flags.reduce((result, flag) => result | ((typeof flag === "string") ? this.getValue(flag) : flag), 0);
+    };
+    /**
+     * Return true when every flag given is set in the value (flag enumerators only).
+     * @param {number} value combination of flags.
+     * @param {...number} flags values or names of the members.
+     */
+    test(value, ...flags){
+        const mask = this.combine(...flags);
+        return (value & mask) === mask;
+    };
+    /**
+     * Return the names of the flags set in a value (flag enumerators only).
+     * @param {number} value combination of flags.
+     */
+    split(value){
+        if (!this.isFlags)
+            throw new TypeError("flag operations require an enumerator created with the flags option.");
+        return this.entries().filter(([name, flag]) => flag != 0 && (value & flag) === flag).map(([name]) => name);
+    };
+    /**
+     * Implement a custom conversion method that will be automatically called by JSON.stringify 
+     */
+    toJSON(){
+        return Object.assign({}, this);
+    };
 };
 
 export const ViewControllerAction = new Enumerator ({
@@ -82,7 +189,99 @@ export const ViewControllerAction = new Enumerator ({
     "Custom"    : 5
 });
 
-export const DataFieldType = new Enumerator({"String":1, "Number":2, "DateTime": 3, "Boolean":4});
+export const DataFieldType = new Enumerator({
+    "String"    : 1,
+    "Number"    : 2,
+    "DateTime"  : 3,
+    "Boolean"   : 4,
+    "Integer"   : 5,
+    "Decimal"   : 6, //precision set through the type options of the field, i.e. {precision: 2}
+    "Date"      : 7, //date only
+    "Enum"      : 8, //accepted values set through the type options of the field, i.e. {values: ["S", "M", "L"]}
+    "JSON"      : 9, //objects and arrays
+    "File"      : 10 //Blob or File objects (a list of them when the type options set {multiple: true})
+});
+
+export const DataRowState = new Enumerator({
+    "Unchanged" : 1,
+    "Added"     : 2,
+    "Modified"  : 3,
+    "Deleted"   : 4
+});
+
+/**
+ * Keeps multiple listeners per event type. Listeners receive an object {type, target, ...details}.
+ */
+export class EventEmitter {
+    #listeners;
+    constructor(){
+        this.#listeners = new Map();
+    };
+    /**
+     * Register a function to be called whenever the event is emitted. Return the listener.
+     * @param {string} type of the event.
+     * @param {function} listener to be registered.
+     * @param {object} options {once}: set once to true to remove the listener after its first call.
+     */
+    on(type, listener, options = {}){
+        if (typeof type !== "string" || type == "")
+            throw new TypeError(`invalid parameter for event type: ${type}. A string is required here.`);
+        if (typeof listener !== "function")
+            throw new TypeError(`invalid parameter of ${typeof listener} type. A function is required here.`);
+        if (!this.#listeners.has(type))
+            this.#listeners.set(type, []);
+        this.#listeners.get(type).push({ listener: listener, once: options.once === true });
+        return listener;
+    };
+    /**
+     * Register a function to be called only the next time the event is emitted.
+     * @param {string} type of the event.
+     * @param {function} listener to be registered.
+     */
+    once(type, listener){
+        return this.on(type, listener, { once: true });
+    };
+    /**
+     * Unregister a listener, every listener of the type when it is omitted, or every listener when both are omitted.
+     * @param {string} type of the event.
+     * @param {function} listener previously registered by on() or once().
+     */
+    off(type, listener){
+        if (type == null)
+            return this.#listeners.clear();
+        if (listener == null)
+            return this.#listeners.delete(type);
+        const entries = (this.#listeners.get(type) || []).filter(entry => entry.listener !== listener);
+        if (entries.length > 0)
+            this.#listeners.set(type, entries);
+        else
+            this.#listeners.delete(type);
+    };
+    /**
+     * Call the listeners of an event type. Return the event.
+     * @param {string} type of the event.
+     * @param {object} details merged into the event object.
+     */
+    emit(type, details = {}){
+        const event = Object.assign({ type: type, target: this }, details);
+        const entries = this.#listeners.get(type);
+        if (entries == null)
+            return event;
+        if (entries.some(entry => entry.once))
+            this.#listeners.set(type, entries.filter(entry => !entry.once));
+        entries.slice().forEach(entry => entry.listener.call(this, event));
+        return event;
+    };
+    /**
+     * Return the number of listeners registered for an event type (for every type when omitted).
+     * @param {string} type of the event.
+     */
+    listenerCount(type){
+        if (type == null)
+            return Array.from(this.#listeners.values()).reduce((count, entries) => count + entries.length, 0);
+        return (this.#listeners.get(type) || []).length;
+    };
+};
 
 /**
  * Define an item type to be consumed by BaseItemList class
@@ -131,65 +330,109 @@ export class BaseItem {
 
 /**
  * Define a list of BaseItem objects.
+ * Changes made to the list are notified to the listeners registered by addChangeListener() as an event 
+ * {type, index, items, previous} where type is one of "add", "remove", "replace", "clear" or "reorder".
  */
 export class BaseItemList {
-    #length;
     #items;
-    constructor(){
-        this.#length = 0;
+    #contentType;
+    #listeners;
+    /**
+     * Create an instance of BaseItemList type.
+     * @param {string|function} contentType (optional) class (or class name) of the content accepted by the list.
+     */
+    constructor(contentType = null){
         this.#items = [];
+        this.#contentType = (typeof contentType === "function") ? contentType.name : contentType;
+        this.#listeners = [];
     };
     /**
-     * Return the total number of elements in the list
+     * Return the total number of elements in the list. Assigning a smaller number removes the exceeding elements.
      */
     get length(){
-        return this.#length;
+        return this.#items.length;
     }
     set length(newValue){
-        this.#length = newValue;
+        if (!(newValue >= 0 && newValue <= this.#items.length))
+            throw new RangeError(`list length (${newValue}) must be between 0 and ${this.#items.length}.`);
+        if (newValue < this.#items.length)
+            this.#notify("remove", newValue, this.#items.splice(newValue));
     };
     /**
-     * Return an array with all elements (objects) stored in the list
+     * Return the class name of the content accepted by the list (null when any content is accepted).
+     */
+    get contentType(){
+        return this.#contentType;
+    };
+    /**
+     * Return a copy of the array with all elements (objects) stored in the list
      */
     get items(){
-        return this.#items;
+        return this.#items.slice();
     };
     /**
-     * Retrieve a copy of a specific element from the list
+     * Retrieve a specific element from the list
      * @param {number} index number from zero up to the total of items
      */
     item(index){
-        if (index < 0 || index > this.length-1)
-            throw new RangeError(`item index (${index}) is out of bounds.`);
-        return this.items[index];
+        this.#checkIndex(index, this.length - 1);
+        return this.#items[index];
+    };
+    /**
+     * Check whether an element can be stored in the list. Subclasses storing other kinds of elements override it.
+     * @param {*} obj element to be checked.
+     */
+    isValidItem(obj){
+        return obj instanceof BaseItem && (this.#contentType == null || obj.contentType == this.#contentType);
     };
     /**
-     * Add an element of BaseItem type to the content of the list
+     * Add an element of BaseItem type to the end of the list. Return the new length of the list.
      * @param {BaseItem} element 
      */
     push(obj){
-        if (obj == null || !(obj instanceof BaseItem))
-            throw new TypeError(`invalid parameter of ${obj.constructor.name} type. Instance of ${this.constructor.name} is required here.`);
-        this.#items[this.length] = obj;
-        this.#length++;
+        return this.insert(this.length, obj);
+    };
+    /**
+     * Add an element of BaseItem type at a specific position, moving the following elements forward.
+     * Return the new length of the list.
+     * @param {number} index from zero up to the total of items.
+     * @param {BaseItem} element 
+     */
+    insert(index, obj){
+        this.#checkIndex(index, this.length);
+        this.#checkItem(obj);
+        this.#items.splice(index, 0, obj);
+        this.#notify("add", index, [obj]);
+        return this.length;
     };
     /**
-     * Remove the last element from the list
+     * Remove the last element from the list and return it
      */
     pop(){
-        if (this.length > 0){
-            delete this.#items[--this.length];
-        };
+        if (this.length == 0)
+            return undefined;
+        return this.delete(this.length - 1);
     };
     /**
-     * Remove a specific element from the list
+     * Remove a specific element from the list (the following elements are moved back) and return it.
      * @param {number} index from zero up to the total of items in the stack
      */
     delete(index){
-        if (index < 0 || index > this.length-1)
-            throw new RangeError(`item index (${index}) is out of bounds.`);
-        delete this.#items[index];
-        this.#length--;
+        this.#checkIndex(index, this.length - 1);
+        const removed = this.#items.splice(index, 1);
+        this.#notify("remove", index, removed);
+        return removed[0];
+    };
+    /**
+     * Remove an element from the list. Return true when it was found.
+     * @param {BaseItem} element to be removed.
+     */
+    remove(obj){
+        const index = this.indexOf(obj);
+        if (index < 0)
+            return false;
+        this.delete(index);
+        return true;
     };
     /**
      * Change the content of a specific element of the list
@@ -197,452 +440,7073 @@ export class BaseItemList {
      * @param {BaseItem} newValue new BaseItem type object to replace the current content
      */
     replace(index, obj){
-        if (index < 0 || index > this.length-1)
-            throw new RangeError(`item index (${index}) is out of bounds.`);
-        if (obj == null || !(obj instanceof BaseItem))
-            throw new TypeError(`invalid parameter of ${element.constructor.name} type. Instance of ${this.constructor.name} is required here.`);
+        this.#checkIndex(index, this.length - 1);
+        this.#checkItem(obj);
+        const previous = this.#items[index];
         this.#items[index] = obj;
+        this.#notify("replace", index, [obj], [previous]);
     };
     /**
      * Clean up the list
      */
     clear(){
+        const previous = this.#items;
         this.#items = [];
-        this.#length = 0;
+        this.#notify("clear", 0, [], previous);
     };
     /**
-     * Implement a custom conversion method that will be automatically called by JSON.stringify 
+     * Move an element to another position.
+     * @param {number} from current index of the element.
+     * @param {number} to new index of the element.
      */
-    toJSON(){
-        return this.items;
+    move(from, to){
+        this.#checkIndex(from, this.length - 1);
+        this.#checkIndex(to, this.length - 1);
+        const previous = this.#items.slice();
+        this.#items.splice(to, 0, this.#items.splice(from, 1)[0]);
+        this.#notify("reorder", 0, this.#items.slice(), previous);
     };
-};
-
-/**
- * Data structure for Data fields. Meant to be used to instantiate DataRow object types.
- */
-export class DataField {
-    constructor(fieldName, fieldType, fieldValue, isRequired = false, onValidateCallback){
-        this.fieldName =  fieldName;
-        if (!(fieldType in DataFieldType))
-            throw new TypeError(`invalid parameter value for field type. Require DataFieldType enumerator constants.`);
-        this.fieldType = fieldType;
-        this.fieldValue = fieldValue;
-        this.isRequired = isRequired;
-        this.onValidateCallback = onValidateCallback;
-        this.onValidateCallback.bind(this);
+    /**
+     * Sort the elements in place.
+     * @param {function} compareFn as accepted by Array.prototype.sort.
+     */
+    sort(compareFn){
+        const previous = this.#items.slice();
+        this.#items.sort(compareFn);
+        this.#notify("reorder", 0, this.#items.slice(), previous);
+        return this;
     };
-    validate(){
-        return this.onValidateCallback();
+    indexOf(obj){
+        return this.#items.indexOf(obj);
     };
-};
-
-/**
- * Colletion for data fields that exposes a customizable validation method callback
- */
-export class DataRow extends BaseItemList {
-    #errorLog;
-    #errorCount;
-    getFields(){url
-        return this.items;
+    includes(obj){
+        return this.#items.indexOf(obj) > -1;
     };
-    push(...fields){
-        if (fields == null || !(fields instanceof Array))
-            throw new TypeError(`invalid parameter of ${obj.constructor.name} type. Instance of ${this.constructor.name} is required here.`);
-        if (fields.length == 0)
-            throw new Error(`at least one data field must be defined in order to instantiate a DataRow class.`);
-        fields.forEach(function(value, _index){
-            if (!(value instanceof DataField)) //check if all items are DataField instances
-                throw new TypeError(`invalid instance of ${Object.getPrototypeOf(value).constructor.name} type. DataRow constructor accepts DataField instances only.`);
-        });
-        this.items[this.length] = fields;
-        this.length++;
+    find(callback){
+        return this.#items.find(callback);
     };
-    validate(callback){
-        this.#errorLog = { count: 0, entries: {}};
-        let result = callback();
-        this.#errorLog.count = Object.entries(result).length;
-        this.#errorLog.entries = result;
+    findIndex(callback){
+        return this.#items.findIndex(callback);
     };
-    getErrors(){
-        return this.#errorLog;
+    filter(callback){
+        return this.#items.filter(callback);
+    };
+    map(callback){
+        return this.#items.map(callback);
+    };
+    forEach(callback){
+        this.#items.forEach(callback);
+    };
+    some(callback){
+        return this.#items.some(callback);
+    };
+    every(callback){
+        return this.#items.every(callback);
+    };
+    [Symbol.iterator](){
+        return this.#items.slice()[Symbol.iterator]();
     };
-};
-
-/**
- * Defines a protocol structure to carry information from the BaseController to the recipient.
- */
-export class Payload {
-    #content;
-    #requestor;
     /**
-     * Create an instance of Payload type.
-     * @param {object} requestor instance (references the class that instantiated the Payload).
+     * Register a function to be called as listener(event) whenever the list changes.
+     * @param {function} listener to be registered.
      */
-    constructor(requestor){
-        this.#content = [];
-        if (requestor == null || !(typeof requestor === "object"))
-            throw new TypeError(`invalid parameter of type ${requestor.constructor.name}.`);
-        this.#requestor = requestor.constructor.name;
+    addChangeListener(listener){
+        if (typeof listener !== "function")
+            throw new TypeError(`invalid parameter of ${typeof listener} type. A function is required here.`);
+        this.#listeners.push(listener);
     };
-    set content(newValue){
-        this.#content.push(newValue);
+    /**
+     * Unregister a function previously registered by addChangeListener.
+     * @param {function} listener to be removed.
+     */
+    removeChangeListener(listener){
+        this.#listeners = this.#listeners.filter(item => item !== listener);
     };
-    clearContent(){
-        this.#content = [];
+    /**
+     * Implement a custom conversion method that will be automatically called by JSON.stringify 
+     */
+    toJSON(){
+        return this.items;
     };
     /**
-     * Include a new content into the payload repeating the header information.
-     * @param {object} obj to be embedded into the body.
+     * Create a list from its JSON representation (as produced by toJSON).
+     * @param {string|Array} json text or parsed array.
+     * @param {function} reviver (optional) converting each parsed element into the content of a BaseItem (or into a BaseItem).
      */
-    addContent(obj){
-        this.content = {
-            header: {
-                requestor: this.#requestor, //Requestor identified by the its class name.
-                time: Date.now() //unformatted date and time.
-            },
-            body: obj
+    static fromJSON(json, reviver){
+        const data = (typeof json === "string") ? JSON.parse(json) : json;
+        if (!Array.isArray(data))
+            throw new TypeError(`invalid JSON representation. An array is required here.`);
+        const list = new this();
+        data.forEach(function(value){
+            const content = (typeof reviver === "function") ? reviver(value) : value;
+            list.push((content instanceof BaseItem) ? content : new BaseItem(content));
+        });
+        return list;
+    };
+    #checkIndex(index, max){
+        if (!Number.isInteger(index) || index < 0 || index > max)
+            throw new RangeError(`item index (${index}) is out of bounds.`);
+    };
+    #checkItem(obj){
+        if (!this.isValidItem(obj)){
+            const type = (obj == null) ? obj : Object.getPrototypeOf(obj).constructor.name;
+            const expected = (this.#contentType != null) ? `BaseItem holding ${this.#contentType} content` : "BaseItem";
+            throw new TypeError(`invalid parameter of ${type} type. Instance of ${expected} is required by ${this.constructor.name}.`);
         };
     };
-    toJSON(){
-        return this.content;
+    #notify(type, index, items, previous = []){
+        const event = { type: type, index: index, items: items, previous: previous, list: this };
+        this.#listeners.slice().forEach(listener => listener(event));
     };
 };
 
 /**
- * Implement basic procedures to send and receive data using XMLHttpRequest. 
- * This class has no control over the meaning information in the payload, but just acts as a trasmitter / receiver. 
- * The onSuccess and onError event handlers must be implemented outside to deal with any result that comes back to the caller.
+ * Format a date as expected by datetime-local inputs (local time, YYYY-MM-DDTHH:MM:SS).
+ * @param {Date} date to be formatted.
  */
-class BaseController {
-    #recipient;
-    #sender;
-    #payload;
-    #onSuccessEventHandler;
-    #onErrorEventHandler;
-    constructor(){
-        this.#recipient = null;
-        this.#payload = null;
-        this.#onSuccessEventHandler = null;
-        this.#onErrorEventHandler = null;
-    };
-    /**
-     * Payload is a object wrapper for the information to be sent. 
-     * @param {object} object containing any predefined structure. 
-     */
-    set payload(newValue){
-        if (!(newValue instanceof Payload) || newValue == null)
-            throw new TypeError(`invalid parameter of ${newValue.constructor.name} type. Instance of Payload is required here`);
-        this.#payload = newValue;
-    };
-    get payload(){
-        return this.#payload;
+function toLocalDateTimeString(date){
+    const pad = value => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+/**
+ * Parse a decimal number written according to a locale (i.e. "1.234,5" in pt-BR). Without locale the JavaScript notation
+ * is expected. Blank text and other literals (i.e. "0x10", "Infinity") are rejected with a TypeError.
+ * @param {string} text to be parsed.
+ * @param {string} locale BCP 47 language tag (optional).
+ */
+function parseLocaleNumber(text, locale){
+    let normalized = String(text).trim();
+    if (locale != null){
+        const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+        const group = parts.find(part => part.type == "group");
+        const decimal = parts.find(part => part.type == "decimal");
+        if (group != null)
+            normalized = normalized.split(group.value).join("").replace(/\s/g, ""); //some locales group with (non-breaking) spaces
+        if (decimal != null)
+            normalized = normalized.replace(decimal.value, ".");
     };
-    /**
-     * Recipient identifies the web address to the service that will read and process the payload. 
-     * @param {string} URL of the recipient.
-     */
-    set recipient(newValue){
-        if (newValue == null || !(typeof newValue === "string") || PATTERN_URL.test(newValue) == false)
-            throw new TypeError(`invalid parameter for recipient: ${newValue}. A valid URL is required here.`);
-        this.#recipient = newValue;
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(normalized)) //Number() would take "" as 0 and "0x10" as 16
+        throw new TypeError(`invalid number: ${text}.`);
+    return Number(normalized);
+};
+
+/**
+ * Parse dates given as Date objects, timestamps, ISO-8601 strings or the YYYY-MM-DD HH:MM:SS wire format (local time).
+ * @param {*} value to be parsed.
+ */
+function parseDateTime(value){
+    if (value instanceof Date){
+        if (isNaN(value.getTime()))
+            throw new TypeError(`invalid date.`);
+        return new Date(value.getTime());
     };
-    get recipient(){
-        return this.#recipient;
+    let date = null;
+    if (typeof value === "number")
+        date = new Date(value);
+    else if (typeof value === "string"){
+        const text = value.trim();
+        const dateOnly = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+        date = (dateOnly != null) //date-only ISO strings would be taken as UTC
+            ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+            : new Date(text.replace(/^(\d{4}-\d{1,2}-\d{1,2}) /, "$1T"));
     };
+    if (date == null || isNaN(date.getTime()))
+        throw new TypeError(`invalid date: ${value}.`);
+    return date;
+};
+
+/**
+ * Contract used by DataField to convert values of a DataFieldType. Each function receives the value and the type options 
+ * of the field (i.e. {precision}, {values}, {format}, {locale}):
+ *  - parse: convert any accepted input (typed value, form input text...) into the typed value. Throws a TypeError when 
+ *    the input is not acceptable.
+ *  - format: convert the typed value into text to be displayed.
+ *  - serialize: convert the typed value into the representation sent to the recipient.
+ *  - deserialize: convert the representation received from the recipient into the typed value (parse by default).
+ * Converters of new types can be assigned through DataFieldConverter.register().
+ */
+export class DataFieldConverter {
+    static #converters = new Map();
     /**
-     * Sender identifies the web address from the origin of the request.
-     * @param {string} URL of the sender.
+     * Create an instance of DataFieldConverter type.
+     * @param {object} definition {parse, format, serialize, deserialize}. Omitted functions keep the value as it is.
      */
-    set sender(newValue){
-        if (newValue == null || !(typeof newValue === "string") || PATTERN_URL.test(newValue) == false)
-            throw new TypeError(`invalid parameter for sender: ${newValue}. A valid URL is required here.`);
-        this.#sender = newValue;
-    };
-    get sender(){
-        return this.#sender;
+    constructor(definition = {}){
+        const identity = value => value;
+        this.parse = definition.parse || identity;
+        this.format = definition.format || (value => String(value));
+        this.serialize = definition.serialize || identity;
+        this.deserialize = definition.deserialize || this.parse;
     };
     /**
-     * Event handler to be called when the execution is successful after the asynchronous request.
-     * @param {function} name of the event handler.
+     * Assign the converter of a field type, replacing the built-in one or adding a new type (any other value, accepted 
+     * by the DataField constructor from then on).
+     * @param {number} fieldType DataFieldType constant or new type.
+     * @param {DataFieldConverter} converter instance (or the definition accepted by the constructor).
      */
-    set onSuccessEventHandler(newValue){
-        this.#onSuccessEventHandler = (newValue != null && typeof newValue == "function") ? newValue : null;
-    };
-    get onSuccessEventHandler(){
-        return this.#onSuccessEventHandler;
+    static register(fieldType, converter){
+        DataFieldConverter.#converters.set(fieldType, (converter instanceof DataFieldConverter) ? converter : new DataFieldConverter(converter));
     };
     /**
-     * Event handler to be called when an error occurs during or after the asychronous request.
-     * @param {function} name of the event handler.
+     * Return true when a converter was registered for a field type.
+     * @param {number} fieldType DataFieldType constant or new type.
      */
-    set onErrorEventHandler(newValue){
-        this.#onErrorEventHandler = (newValue != null && typeof newValue == "function") ? newValue : null;
-    };
-    get onErrorEventHandler(){
-        return this.#onErrorEventHandler;
+    static has(fieldType){
+        return DataFieldConverter.#converters.has(fieldType);
     };
     /**
-     * Send the payload out to the recipient via asynchronous request and wait for feedback.
+     * Return the converter of a field type.
+     * @param {number} fieldType DataFieldType constant.
      */
-    execute(){
-        if (this.recipient == null)
-            throw new Error("no valid recipient url was provided to dispatch the payload.");
-        if (this.payload == null)
-            throw new Error("data package is empty.");
-        (function(self){
-            let promisse = new Promise((resolve, reject) => { //Promise structure here to make this callback more readable
-                let request = null;
-                if (window.XMLHttpRequest) //Check if browser supports XHR objects
-                    request = new XMLHttpRequest();
-                if (request == null)
-                    throw new Error("This browser does not support asynchronous requests. Execution aborted.");
-                request.open("POST", self.recipient);
-                request.setRequestHeader("Content-type", "application/json");
-                request.onreadystatechange = function(){
-                    if (request.readyState == 4){ //Check for errors only after the fetch operation is complete
-                        if (request.status == 200){
-                            resolve({
-                                sender: self.sender,
-                                recipient: self.recipient,
-                                sent: self.payload, 
-                                received: request.responseText
-                            });
-                        }
-                        else{
-                            reject({
-                                errorCode: request.status, 
-                                errorMessage: request.responseText
-                            });
-                        };
-                    };
-                };
-                request.send(JSON.stringify(self.payload)); 
-            });
-            promisse
-                .then(resolve => { self.#onSuccessEventHandler(resolve) })
-                .catch(reject => { self.#onErrorEventHandler(reject) })
-        })(this);
+    static get(fieldType){
+        if (!DataFieldConverter.#converters.has(fieldType))
+            throw new RangeError(`no converter was registered for field type ${fieldType}.`);
+        return DataFieldConverter.#converters.get(fieldType);
     };
 };
 
-export const DataControllerStatus = new Enumerator({
-    "Succeeded" : true,
-    "Failed"    : false
+DataFieldConverter.register(DataFieldType.String, {
+    parse: value => (value instanceof Date) ? toLocalDateTimeString(value).replace("T", " ") : String(value)
 });
 
-/**
- * Exposes the BaseController allowing the aggregation of its features into an requestor class.
- */
-export class DataController extends BaseController{
-    #viewController;
-    #requestor;
-    constructor(requestor){
-        super();
-        super.onSuccessEventHandler = this.onSuccessEventHandler; //Redirect the event trigger to its local version.
-        super.onErrorEventHandler = this.onErrorEventHandler;
-        this.#requestor = requestor;
+DataFieldConverter.register(DataFieldType.Number, {
+    parse: (value, options) => {
+        if (typeof value === "number"){
+            if (isNaN(value))
+                throw new TypeError(`invalid number.`);
+            return value;
+        };
+        return parseLocaleNumber(value, options.locale);
+    },
+    format: (value, options) => (options.locale != null) ? new Intl.NumberFormat(options.locale, { maximumFractionDigits: 20 }).format(value) : String(value)
+});
+
+DataFieldConverter.register(DataFieldType.Integer, {
+    parse: (value, options) => {
+        const number = DataFieldConverter.get(DataFieldType.Number).parse(value, options);
+        if (!Number.isInteger(number))
+            throw new TypeError(`invalid integer: ${value}.`);
+        return number;
+    },
+    format: (value, options) => (options.locale != null) ? new Intl.NumberFormat(options.locale).format(value) : String(value)
+});
+
+DataFieldConverter.register(DataFieldType.Decimal, {
+    parse: (value, options) => {
+        const number = DataFieldConverter.get(DataFieldType.Number).parse(value, options);
+        const precision = (options.precision != null) ? options.precision : 2;
+        return Number(number.toFixed(precision)); //rounded to the precision of the field
+    },
+    format: (value, options) => {
+        const precision = (options.precision != null) ? options.precision : 2;
+        if (options.locale == null)
+            return value.toFixed(precision);
+        return new Intl.NumberFormat(options.locale, { minimumFractionDigits: precision, maximumFractionDigits: precision }).format(value);
+    }
+});
+
+DataFieldConverter.register(DataFieldType.Boolean, {
+    parse: value => {
+        const accepted = { "true": true, "false": false, "1": true, "0": false };
+        const key = String(value).trim().toLowerCase();
+        if (!(key in accepted) || (typeof value !== "boolean" && typeof value !== "number" && typeof value !== "string"))
+            throw new TypeError(`invalid boolean: ${value}.`);
+        return accepted[key];
+    }
+});
+
+DataFieldConverter.register(DataFieldType.DateTime, {
+    parse: parseDateTime,
+    format: value => toLocalDateTimeString(value).replace("T", " "),
+    serialize: (value, options) => (options.format == "iso") ? value.toISOString() : toLocalDateTimeString(value).replace("T", " ")
+});
+
+DataFieldConverter.register(DataFieldType.Date, {
+    parse: value => {
+        const date = parseDateTime(value);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+    format: value => toLocalDateTimeString(value).substring(0, 10),
+    serialize: value => toLocalDateTimeString(value).substring(0, 10)
+});
+
+DataFieldConverter.register(DataFieldType.Enum, {
+    parse: (value, options) => {
+        const values = Object.values(options.values || []);
+        const found = values.find(item => item === value || String(item) === String(value)); //form inputs provide text only
+        if (found === undefined)
+            throw new TypeError(`invalid value: ${value}. Expected one of: ${values.join(", ")}.`);
+        return found;
+    }
+});
+
+DataFieldConverter.register(DataFieldType.JSON, {
+    parse: value => {
+        if (typeof value !== "string")
+            return value;
+        try {
+            return JSON.parse(value);
+        }
+        catch(e) {
+            throw new TypeError(`invalid JSON: ${e.message}`);
+        };
+    },
+    format: value => JSON.stringify(value, null, 2)
+});
+
+/**
+ * Return true for Blob (and File) objects.
+ * @param {*} value to be checked.
+ */
+function isBlob(value){
+    return typeof Blob !== "undefined" && value instanceof Blob;
+};
+
+/**
+ * Return true for the descriptions of stored files received from the recipient (plain objects with a name, i.e. {name, url}).
+ * @param {*} value to be checked.
+ */
+function isFileReference(value){
+    return value != null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype && typeof value.name === "string";
+};
+
+DataFieldConverter.register(DataFieldType.File, {
+    parse: (value, options) => {
+        const files = (value != null && typeof value === "object" && typeof value.length === "number") ? Array.from(value) : [value]; //FileList or arrays
+        files.forEach(file => {
+            if (!isBlob(file) && !isFileReference(file))
+                throw new TypeError(`invalid file: ${file}.`);
+        });
+        if (options.multiple)
+            return files;
+        if (files.length > 1)
+            throw new TypeError(`only one file is accepted.`);
+        return (files.length > 0) ? files[0] : null;
+    },
+    format: value => [].concat(value).map(file => (file.name != null) ? file.name : "blob").join(", "),
+    serialize: value => value //contents are sent as multipart/form-data parts (see BaseController.execute)
+});
+
+/**
+ * Return true when a value is considered empty by the validation rules (null, undefined, blank string or empty array).
+ * @param {*} value to be checked.
+ */
+function isEmptyValue(value){
+    return value == null || (typeof value === "string" && value.trim() === "") || (Array.isArray(value) && value.length == 0);
+};
+
+/**
+ * Return a comparable representation of a value (dates are compared by their time value).
+ * @param {*} value to be converted.
+ */
+function toComparable(value){
+    if (value instanceof Date)
+        return value.getTime();
+    if (typeof value === "string" && PATTERN_YMDHMS.test(value))
+        return new Date(value.replace(" ", "T")).getTime();
+    return value;
+};
+
+/**
+ * Validation rule to be assigned to DataField objects. Rules other than "required" are skipped when the value is empty.
+ * The test function is called as test(value, field, fields, row) where fields is the set of fields the field belongs to,
+ * so cross-field rules can be written. It may return a boolean, an error message or a promise resolving to either one.
+ */
+export class ValidationRule {
+    /**
+     * Create an instance of ValidationRule type.
+     * @param {string} name identifying the rule in the error entries.
+     * @param {function} test performing the validation.
+     * @param {string} message reported when the test fails without returning a message of its own.
+     * @param {boolean} validateEmpty run the test for empty values too.
+     * @param {object} params parameters of the rule (used to describe it, i.e. when exported to JSON Schema).
+     */
+    constructor(name, test, message = "invalid value.", validateEmpty = false, params = {}){
+        if (typeof test !== "function")
+            throw new TypeError(`invalid parameter of ${typeof test} type. A function is required as validation test.`);
+        this.name = name;
+        this.test = test;
+        this.message = message;
+        this.validateEmpty = validateEmpty;
+        this.params = params;
     };
     /**
-     * Re-route the event handler to the overloaded method that will perform if the request was sucessful.
-     * @param {object} response containing the payload and the result from processing.
+     * Run the test and resolve with an error entry {field, rule, message, value} or null when the value is valid.
+     * @param {DataField} field being validated.
+     * @param {Array} fields set of fields the field belongs to.
+     * @param {DataRow} row the set of fields belongs to (if any).
      */
-    onSuccessEventHandler(response){
-        this.#requestor.onDataControllerCallbackEvent({
-            status: DataControllerStatus.Succeeded,
-            payload: response
-        }); //Call the event defined by the requestor class passing execution status flag and the returned data package.
+    validate(field, fields = [field], row = null){
+        const value = field.fieldValue;
+        if (!this.validateEmpty && isEmptyValue(value))
+            return Promise.resolve(null);
+        return Promise.resolve()
+            .then(() => this.test(value, field, fields, row))
+            .then(result => this.#toError(field, value, result));
     };
     /**
-     * Re-route the event handler to the overloaded method that will perform if the request failed.
-     * @param {object} response containing the error code and an internal error message.
+     * Run the test synchronously and return an error entry {field, rule, message, value} or null when the value is valid.
+     * Tests returning a promise are not waited for (null is returned), validate() applies them.
+     * @param {DataField} field being validated.
+     * @param {Array} fields set of fields the field belongs to.
+     * @param {DataRow} row the set of fields belongs to (if any).
      */
-    onErrorEventHandler(response){
-        this.#requestor.onDataControllerCallbackEvent({
-            status: DataControllerStatus.Failed,
-            payload: response
-        }); //Call the event defined by the requestor class passing execution status flag and the returned data package.
+    check(field, fields = [field], row = null){
+        const value = field.fieldValue;
+        if (!this.validateEmpty && isEmptyValue(value))
+            return null;
+        const result = this.test(value, field, fields, row);
+        return (result != null && typeof result.then === "function") ? null : this.#toError(field, value, result);
     };
-    set view(newValue){
-        this.#viewController = newValue;
-        this.recipient = this.view.DOMContext.querySelector("form").getAttribute("action");
+    #toError(field, value, result){
+        if (result === true || result == null)
+            return null;
+        return {
+            field: field.fieldName,
+            rule: this.name,
+            message: (typeof result === "string") ? result : this.message,
+            value: value
+        };
     };
-    set payload(newValue){
-        super.payload = newValue;
+    static required(message = "this field is required."){
+        return new ValidationRule("required", value => !isEmptyValue(value), message, true);
     };
-    get payload(){
-        return super.payload;
+    /**
+     * @param {RegExp|string} pattern regular expression or one of the presets "email", "url" and "datetime" (YYYY-MM-DD HH:MM:SS).
+     */
+    static pattern(pattern, message = "invalid format."){
+        const presets = { email: PATTERN_EMAIL, url: PATTERN_URL, datetime: PATTERN_YMDHMS };
+        const preset = (typeof pattern === "string") ? pattern : null;
+        if (preset != null){
+            if (!(pattern in presets))
+                throw new RangeError(`unknown pattern preset: ${pattern}. Use email, url or datetime.`);
+            pattern = presets[pattern];
+        };
+        const regex = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, "")); //stateless copy
+        return new ValidationRule("pattern", value => regex.test((value instanceof Date) ? toLocalDateTimeString(value) : String(value)), message, false, {
+            pattern: regex,
+            preset: preset
+        });
     };
-    get view(){
-        return this.#viewController;
+    /**
+     * @param {number|Date} limit lowest value accepted.
+     * @param {string} message (optional) reported when the value is lower.
+     * @param {boolean} exclusive do not accept the limit itself.
+     */
+    static min(limit, message, exclusive = false){
+        message = message || `must be greater than ${(exclusive) ? "" : "or equal to "}${limit}.`;
+        return new ValidationRule("min", value => {
+            return (exclusive) ? toComparable(value) > toComparable(limit) : toComparable(value) >= toComparable(limit);
+        }, message, false, { limit: limit, exclusive: exclusive });
     };
-};
-
-/**
- * Implements basic functionalities manages to control interactions between UI interface and the underlying data.
- */
-class BaseViewController {
-    #DOMContext;
-    #classContext;
-    constructor(DOMContext, classContext) {
-        this.#DOMContext = DOMContext;
-        this.#classContext = classContext;
+    /**
+     * @param {number|Date} limit highest value accepted.
+     * @param {string} message (optional) reported when the value is higher.
+     * @param {boolean} exclusive do not accept the limit itself.
+     */
+    static max(limit, message, exclusive = false){
+        message = message || `must be less than ${(exclusive) ? "" : "or equal to "}${limit}.`;
+        return new ValidationRule("max", value => {
+            return (exclusive) ? toComparable(value) < toComparable(limit) : toComparable(value) <= toComparable(limit);
+        }, message, false, { limit: limit, exclusive: exclusive });
     };
-    get DOMContext(){
-        return this.#DOMContext;
+    /**
+     * @param {number} min length of the value (string or array).
+     * @param {number} max length of the value (unlimited if omitted).
+     */
+    static length(min = 0, max = Infinity, message = (max == Infinity) ? `must have at least ${min} characters.` : `must have between ${min} and ${max} characters.`){
+        return new ValidationRule("length", value => {
+            const length = (Array.isArray(value)) ? value.length : String(value).length;
+            return length >= min && length <= max;
+        }, message, false, { min: min, max: max });
     };
-    get classContext(){
-        return this.#classContext;
+    /**
+     * @param {Array} values accepted (arrays of values must be entirely contained in the list).
+     */
+    static oneOf(values, message = `must be one of: ${values.join(", ")}.`){
+        return new ValidationRule("oneOf", value => [].concat(value).every(item => values.indexOf(item) > -1), message, false, { values: values });
+    };
+    /**
+     * Compare the value with the value of another field of the same set, i.e. compare("password") or compare("start", ">=").
+     * @param {string} fieldName name of the other field.
+     * @param {string} operator one of ==, !=, <, <=, >, >=.
+     */
+    static compare(fieldName, operator = "==", message = (operator == "==") ? `must match ${fieldName}.` : `must be ${operator} ${fieldName}.`){
+        const operators = {
+            "==": (a, b) => a === b, "!=": (a, b) => a !== b,
+            "<": (a, b) => a < b, "<=": (a, b) => a <= b,
+            ">": (a, b) => a > b, ">=": (a, b) => a >= b
+        };
+        if (!(operator in operators))
+            throw new RangeError(`unknown comparison operator: ${operator}.`);
+        return new ValidationRule("compare", (value, field, fields) => {
+            const other = fields.find(item => item.fieldName == fieldName);
+            return other == null || isEmptyValue(other.fieldValue) || operators[operator](toComparable(value), toComparable(other.fieldValue));
+        }, message, false, { fieldName: fieldName, operator: operator });
+    };
+    /**
+     * @param {number} max size of each file in bytes.
+     */
+    static fileSize(max, message = `files must not be larger than ${max} bytes.`){
+        return new ValidationRule("fileSize", value => [].concat(value).every(file => !isBlob(file) || file.size <= max), message, false, { max: max });
+    };
+    /**
+     * @param {Array|string} accept MIME types (i.e. "image/*") and extensions (i.e. ".pdf"), as in the accept attribute of file inputs.
+     */
+    static fileType(accept, message){
+        const list = ((typeof accept === "string") ? accept.split(",") : accept).map(item => item.trim().toLowerCase()).filter(item => item != "");
+        const matches = file => list.some(item => {
+            const type = String(file.type || "").toLowerCase();
+            if (item.charAt(0) == ".")
+                return String(file.name || "").toLowerCase().endsWith(item);
+            if (item.endsWith("/*"))
+                return type.indexOf(item.substring(0, item.length - 1)) == 0;
+            return type == item;
+        });
+        return new ValidationRule("fileType", value => [].concat(value).every(file => !isBlob(file) || matches(file)), 
+            message || `must be one of the file types: ${list.join(", ")}.`, false, { accept: list });
+    };
+    /**
+     * @param {number} min number of files.
+     * @param {number} max number of files (unlimited if omitted).
+     */
+    static fileCount(min = 0, max = Infinity, message = (max == Infinity) ? `must have at least ${min} files.` : `must have between ${min} and ${max} files.`){
+        return new ValidationRule("fileCount", value => {
+            const count = [].concat(value).length;
+            return count >= min && count <= max;
+        }, message, false, { min: min, max: max });
+    };
+    static custom(test, message, name = "custom"){
+        return new ValidationRule(name, test, message);
+    };
+    /**
+     * Validate the value on the server through a DataController (i.e. uniqueness checks). The value is sent as 
+     * {fieldName: value} and the request is cancelled when a newer check for the same field starts.
+     * Use a DataController dedicated to the validation, since its payload is replaced on each check.
+     * @param {DataController} controller used to reach the recipient.
+     * @param {object} options {action, accept, message}: ViewControllerAction performed (Load by default) and a
+     *  function(data, event) returning true when the data received means the value is valid (by default any successful answer).
+     */
+    static remote(controller, options = {}){
+        const action = (options.action != null) ? options.action : ViewControllerAction.Load;
+        const accept = options.accept || (() => true);
+        return new ValidationRule("remote", (value, field) => {
+            const payload = new Payload(controller.requestor);
+            payload.addContent({ [field.fieldName]: value });
+            controller.payload = payload;
+            return controller.execute(action, { channel: "validation", latest: field.fieldName }).then(event => {
+                if (event.status === DataControllerStatus.Cancelled)
+                    return null; //superseded by a newer check
+                return event.status === DataControllerStatus.Succeeded && accept(event.payload.data, event) === true;
+            });
+        }, options.message || "this value is not accepted.");
     };
 };
 
 /**
- * Custom DOM-based button implementation to intercept click events according to ACTION attribute value.
+ * Data structure for Data fields. Meant to be used to instantiate DataRow object types.
  */
-export class Button extends HTMLElement{
-    connectedCallback(){
-        this._action = this.getAttribute("action") || null; //immutable attribute (will not be observed)
-    }
+export class DataField {
+    #fieldValue;
+    #listeners;
+    #rules;
     /**
-     * Assign a function to handle the button click event.
+     * Create an instance of DataField type.
+     * @param {string} fieldName name of the field.
+     * @param {number} fieldType DataFieldType constant (or a type registered through DataFieldConverter.register).
+     * @param {*} fieldValue initial value.
+     * @param {boolean} isRequired adds the "required" validation rule.
+     * @param {function} onValidateCallback custom validation returning true, false or an error message.
+     * @param {Array} rules list of ValidationRule objects.
+     * @param {object} typeOptions options of the field type (see DataFieldConverter), i.e. {precision: 2} for Decimal fields.
      */
-    onClickHandler(eventHandler, classContext){
-        this.addEventListener("click", function(e){ 
-            e.preventDefault(); 
-           // eventHandler(e, classContext); 
-            eventHandler.apply(classContext, e); //without apply the class context will be passed as an additional argument. That way I can use 'this' inside the event handler.
-        });
-     };
-};
-
-export class Slider extends HTMLElement{
-    static get observedAttributes(){
-        return ["value", "backgroundcolor"];
+    constructor(fieldName, fieldType, fieldValue, isRequired = false, onValidateCallback, rules = [], typeOptions = {}){
+        this.fieldName =  fieldName;
+        if (!DataFieldType.isValid(fieldType) && !DataFieldConverter.has(fieldType))
+            throw new TypeError(`invalid parameter value for field type. Require DataFieldType enumerator constants or registered types.`);
+        this.fieldType = fieldType;
+        this.typeOptions = typeOptions;
+        this.label = fieldName; //caption displayed by views
+        this.description = "";
+        this.#fieldValue = this.#coerce(fieldValue);
+        this.#listeners = [];
+        this.isRequired = isRequired;
+        this.onValidateCallback = onValidateCallback;
+        this.#rules = [];
+        rules.forEach(rule => this.addRule(rule));
     };
-    set value(val){
-        this.setAttribute("value", val);
+    /**
+     * Return every rule applied by validate() and validateAsync(), including the ones implied by isRequired and onValidateCallback.
+     */
+    get rules(){
+        const rules = this.#rules.slice();
+        rules.unshift(new ValidationRule("type", value => { //values that could not be converted are kept as given
+            try {
+                this.converter.parse(value, this.typeOptions);
+                return true;
+            }
+            catch(e) {
+                return e.message;
+            };
+        }));
+        if (this.isRequired && !rules.some(rule => rule.name == "required"))
+            rules.unshift(ValidationRule.required());
+        if (typeof this.onValidateCallback === "function")
+            rules.push(new ValidationRule("callback", () => this.onValidateCallback(), "invalid value.", true));
+        return rules;
     };
-    get value(){
-        return this.getAttribute("value");
-    }
-    set backgroundcolor(val){
-        this.setAttribute("backgroundcolor", val);
+    /**
+     * Append a validation rule.
+     * @param {ValidationRule} rule to be applied.
+     */
+    addRule(rule){
+        if (!(rule instanceof ValidationRule))
+            throw new TypeError(`invalid parameter of ${Object.getPrototypeOf(rule).constructor.name} type. Instance of ValidationRule is required here.`);
+        this.#rules.push(rule);
+        return this;
     };
-    get backgroundcolor(){
-        return this.getAttribute("backgroundcolor");
+    /**
+     * Remove the validation rules with the given name.
+     * @param {string} name of the rule.
+     */
+    removeRule(name){
+        this.#rules = this.#rules.filter(rule => rule.name != name);
+        return this;
     };
-    connectedCallback(){
-        this.innerHTML = '<div class="bg-overlay"></div><div class="thumb"></div>';       
-        this.setColor(this.backgroundcolor);
-        this.refreshSlider(this.value);
-        document.addEventListener('mousemove', e => this.eventHandler(e));    
-        document.addEventListener('mouseup', e => this.eventHandler(e));
-        this.addEventListener('mousedown', e => this.eventHandler(e));    
+    /**
+     * Return a copy of the field definition (type, rules, options and label) holding another value.
+     * Change listeners are not copied.
+     * @param {*} fieldValue of the copy (same value if omitted).
+     */
+    clone(fieldValue = this.fieldValue){
+        const field = new DataField(this.fieldName, this.fieldType, fieldValue, this.isRequired, this.onValidateCallback, this.#rules, this.typeOptions);
+        field.label = this.label;
+        field.description = this.description;
+        return field;
     };
-    attributeChangedCallback(name, oldVal, newVal){
-        switch(name){
-            case "value":
-                this.refreshSlider(newVal);
-                break;
-            case "backgroundcolor":
-                this.setColor(newVal);
-                break;
-        };
+    /**
+     * Change or retrieve the value of the field. Change listeners are notified whenever the value is changed.
+     */
+    set fieldValue(newValue){
+        const oldValue = this.#fieldValue;
+        newValue = this.#coerce(newValue);
+        if (newValue === oldValue || (newValue instanceof Date && oldValue instanceof Date && newValue.getTime() == oldValue.getTime()))
+            return;
+        this.#fieldValue = newValue;
+        this.#listeners.slice().forEach(listener => listener(this, newValue, oldValue));
     };
-    refreshSlider(value){
-        if (this.querySelector('.thumb')) {
-            this.querySelector('.thumb').style.left = (value/100 *
-            this.offsetWidth - this.querySelector('.thumb').offsetWidth/2)
-            + 'px';
-        }        
+    get fieldValue(){
+        return this.#fieldValue;
     };
-    setColor(color){
-        if (this.querySelector('.bg-overlay')) {
-            this.querySelector('.bg-overlay').style.background =
-            `linear-gradient(to right, ${color} 0%, ${color}00 100%)`;
-        }
+    /**
+     * Return the converter of the field type.
+     */
+    get converter(){
+        return DataFieldConverter.get(this.fieldType);
     };
-    eventHandler(e) {
-        const bounds = this.getBoundingClientRect();
-        const x = e.clientX - bounds.left;
-        switch (e.type) {
-            case 'mousedown':
-            this.isDragging = true;
-            this.updateX(x);
-            this.refreshSlider(this.value);
-            break;
-        case 'mouseup':
-            this.isDragging = false;
-            break;
-        case 'mousemove':
-            if (this.isDragging) {
-                this.updateX(x);
-                this.refreshSlider(this.value);
-            }
-            break;
-        }
-    }  
-    updateX(x) {
-        let hPos = x - this.querySelector('.thumb') .offsetWidth/2;
-        if (hPos > this.offsetWidth) {
-            hPos = this.offsetWidth;
+    /**
+     * Return the value formatted to be displayed.
+     */
+    format(){
+        return (this.fieldValue == null) ? "" : this.#convert("format", this.fieldValue);
+    };
+    /**
+     * Return the value in the representation sent to the recipient.
+     */
+    serialize(){
+        return (this.fieldValue == null) ? null : this.#convert("serialize", this.fieldValue);
+    };
+    /**
+     * Change the value from the representation received from the recipient.
+     * @param {*} value received.
+     */
+    deserialize(value){
+        this.fieldValue = (value == null) ? null : this.converter.deserialize(value, this.typeOptions);
+    };
+    /**
+     * Register a function to be called as listener(field, newValue, oldValue) when the value changes.
+     * @param {function} listener to be registered.
+     */
+    addChangeListener(listener){
+        if (typeof listener !== "function")
+            throw new TypeError(`invalid parameter of ${typeof listener} type. A function is required here.`);
+        this.#listeners.push(listener);
+    };
+    /**
+     * Unregister a function previously registered by addChangeListener.
+     * @param {function} listener to be removed.
+     */
+    removeChangeListener(listener){
+        this.#listeners = this.#listeners.filter(item => item !== listener);
+    };
+    /**
+     * Apply the rules synchronously and return true when the value is valid. Rules whose test returns a promise are 
+     * skipped: use validateAsync() to apply them and to get the errors found.
+     * @param {Array} fields set of fields the field belongs to (used by cross-field rules).
+     * @param {DataRow} row the set of fields belongs to (if any).
+     */
+    validate(fields = [this], row = null){
+        return this.rules.every(rule => rule.check(this, fields, row) == null);
+    };
+    /**
+     * Apply every rule and resolve with the list of errors found (empty when the value is valid).
+     * @param {Array} fields set of fields the field belongs to (used by cross-field rules).
+     * @param {DataRow} row the set of fields belongs to (if any).
+     */
+    validateAsync(fields = [this], row = null){
+        return Promise.all(this.rules.map(rule => rule.validate(this, fields, row)))
+            .then(errors => errors.filter(error => error != null));
+    };
+    /**
+     * Implement a custom conversion method that will be automatically called by JSON.stringify 
+     */
+    toJSON(){
+        return {
+            fieldName: this.fieldName,
+            fieldType: this.fieldType,
+            fieldValue: this.serialize(),
+            isRequired: this.isRequired
+        };
+    };
+    /**
+     * Convert a value to the field type. Values that cannot be converted are kept as given (reported by validate()).
+     */
+    #coerce(value){
+        if (value == null || (typeof value === "string" && value.trim() === "" && this.fieldType != DataFieldType.String))
+            return null;
+        try {
+            return this.converter.parse(value, this.typeOptions);
         }
-        if (hPos < 0) {
-            hPos = 0;
+        catch(e) {
+            if (e instanceof TypeError)
+                return value;
+            throw e;
+        };
+    };
+    /**
+     * Apply a conversion to values of the field type only (values that could not be converted are returned as they are).
+     */
+    #convert(operation, value){
+        try {
+            return this.converter[operation](this.converter.parse(value, this.typeOptions), this.typeOptions);
         }
-        this.value = (hPos / this.offsetWidth) * 100;
-    }  
+        catch(e) {
+            if (e instanceof TypeError)
+                return value;
+            throw e;
+        };
+    };
 };
 
-export class Carrousel extends HTMLElement{
-    connectedCallback(){
-        this._photoIndex = 0;
-        this._photos = this.getAttribute("photos").split(",");
-        this.innerHTML = '<h2>'+ this.getAttribute('title') + '</h2>' +
-            '<h4>by '+ this.getAttribute('author') + '</h4>' +
-            '<div class="image-container"></div>' +
-            '<button class="back">&lt</button>' +
-            '<button class="forward">&gt</button>';
-        this.querySelector("button.back").addEventListener("click", e => this.onBackButtonClick(e));
-        this.querySelector("button.forward").addEventListener("click", e => this.onForwardButtonClick(e));
-        this.showPhoto();
-    };
-    onBackButtonClick(e){
-        this._photoIndex --;
-        if (this._photoIndex < 0)
-            this._photoIndex = this._photos.length-1;
-        this.showPhoto();
+/**
+ * Resolve a local JSON Schema reference (i.e. "#/$defs/address").
+ * @param {object} property schema that may contain a $ref.
+ * @param {object} root document the reference points into.
+ */
+function resolveSchemaReference(property, root){
+    if (property == null || typeof property.$ref !== "string")
+        return property || {};
+    if (property.$ref.indexOf("#/") != 0)
+        throw new RangeError(`unsupported schema reference: ${property.$ref}. Only local references are resolved.`);
+    const target = property.$ref.substring(2).split("/").reduce(function(node, key){
+        return (node != null) ? node[key.replace(/~1/g, "/").replace(/~0/g, "~")] : null;
+    }, root);
+    if (target == null)
+        throw new RangeError(`schema reference not found: ${property.$ref}.`);
+    return resolveSchemaReference(target, root);
+};
+
+/**
+ * Create a DataField from a JSON Schema property.
+ * @param {string} name of the property.
+ * @param {object} property schema of the property.
+ * @param {boolean} isRequired true when the property is listed as required.
+ * @param {object} root schema document (used to resolve references).
+ */
+function fieldFromSchema(name, property, isRequired, root){
+    property = resolveSchemaReference(property, root);
+    const type = [].concat(property.type || []).filter(item => item != "null")[0];
+    const rules = [];
+    const typeOptions = {};
+    let fieldType = DataFieldType.JSON; //untyped properties, objects and arrays
+    if (Array.isArray(property.enum)){
+        fieldType = DataFieldType.Enum;
+        typeOptions.values = property.enum.filter(item => item !== null);
     }
-    onForwardButtonClick(e){
-        this._photoIndex ++;
-        if (this._photoIndex >= this._photos.length)
-            this._photoIndex = 0;
-        this.showPhoto();
+    else if (type == "string"){
+        fieldType = DataFieldType.String;
+        if (property.format == "date-time"){
+            fieldType = DataFieldType.DateTime;
+            typeOptions.format = "iso";
+        }
+        else if (property.format == "date")
+            fieldType = DataFieldType.Date;
+        else if (property.format == "binary")
+            fieldType = DataFieldType.File;
+        else if (property.format == "email")
+            rules.push(ValidationRule.pattern("email"));
+        else if (property.format == "uri" || property.format == "url")
+            rules.push(ValidationRule.pattern("url"));
     }
-    showPhoto(){
-        this.querySelector(".image-container").style.backgroundImage = "url(" + this._photos[this._photoIndex] + ")";
+    else if (type == "integer")
+        fieldType = DataFieldType.Integer;
+    else if (type == "number"){
+        fieldType = DataFieldType.Number;
+        const precision = (property.multipleOf > 0) ? -Math.log10(property.multipleOf) : NaN;
+        if (Number.isInteger(precision) && precision > 0){ //multipleOf 0.01 means a decimal with precision 2
+            fieldType = DataFieldType.Decimal;
+            typeOptions.precision = precision;
+        };
     }
+    else if (type == "boolean")
+        fieldType = DataFieldType.Boolean;
+    else if (type == "array" && resolveSchemaReference(property.items, root).format == "binary"){ //list of files
+        fieldType = DataFieldType.File;
+        typeOptions.multiple = true;
+    };
+    if (typeof property.pattern === "string")
+        rules.push(ValidationRule.pattern(new RegExp(property.pattern)));
+    if (property.minLength != null || property.maxLength != null)
+        rules.push(ValidationRule.length(property.minLength || 0, (property.maxLength != null) ? property.maxLength : Infinity));
+    if ((property.minItems != null || property.maxItems != null) && fieldType == DataFieldType.File)
+        rules.push(ValidationRule.fileCount(property.minItems || 0, (property.maxItems != null) ? property.maxItems : Infinity));
+    else if (property.minItems != null || property.maxItems != null)
+        rules.push(ValidationRule.length(property.minItems || 0, (property.maxItems != null) ? property.maxItems : Infinity, `must have between ${property.minItems || 0} and ${(property.maxItems != null) ? property.maxItems : "any number of"} items.`));
+    if (property.minimum != null)
+        rules.push(ValidationRule.min(property.minimum));
+    if (typeof property.exclusiveMinimum === "number")
+        rules.push(ValidationRule.min(property.exclusiveMinimum, null, true));
+    if (property.maximum != null)
+        rules.push(ValidationRule.max(property.maximum));
+    if (typeof property.exclusiveMaximum === "number")
+        rules.push(ValidationRule.max(property.exclusiveMaximum, null, true));
+    const field = new DataField(name, fieldType, (property.default !== undefined) ? property.default : null, isRequired, undefined, rules, typeOptions);
+    field.label = property.title || name;
+    field.description = property.description || "";
+    return field;
 };
 
 /**
- * Exposes the BaseViewController allowing the aggregation of its features into an application.
+ * Describe a DataField as a JSON Schema property.
+ * @param {DataField} field to be described.
  */
-export class ViewController extends BaseViewController {
-    constructor(DOMContext, classContext) {
-        super(DOMContext, classContext);
+function fieldToSchema(field){
+    const property = {};
+    const options = field.typeOptions || {};
+    switch (field.fieldType){
+        case DataFieldType.String: property.type = "string"; break;
+        case DataFieldType.Number: property.type = "number"; break;
+        case DataFieldType.Integer: property.type = "integer"; break;
+        case DataFieldType.Boolean: property.type = "boolean"; break;
+        case DataFieldType.Date: property.type = "string"; property.format = "date"; break;
+        case DataFieldType.Decimal:
+            property.type = "number";
+            property.multipleOf = Number(Math.pow(10, -((options.precision != null) ? options.precision : 2)).toFixed(20));
+            break;
+        case DataFieldType.DateTime:
+            property.type = "string";
+            if (options.format == "iso")
+                property.format = "date-time";
+            else
+                property.pattern = PATTERN_YMDHMS.source;
+            break;
+        case DataFieldType.Enum:
+            property.enum = Object.values(options.values || []);
+            break;
+        case DataFieldType.File:
+            if (options.multiple){
+                property.type = "array";
+                property.items = { type: "string", format: "binary" };
+            }
+            else {
+                property.type = "string";
+                property.format = "binary";
+            };
+            break;
+    };
+    if (field.label != null && field.label != field.fieldName)
+        property.title = field.label;
+    if (field.description)
+        property.description = field.description;
+    field.rules.forEach(function(rule){
+        const params = rule.params || {};
+        switch (rule.name){
+            case "pattern":
+                if (params.preset == "email" || params.preset == "url")
+                    property.format = (params.preset == "email") ? "email" : "uri";
+                else if (params.pattern != null && property.pattern == null)
+                    property.pattern = params.pattern.source;
+                break;
+            case "length": {
+                const isArray = field.fieldType == DataFieldType.JSON;
+                if (params.min > 0)
+                    property[(isArray) ? "minItems" : "minLength"] = params.min;
+                if (params.max != null && params.max != Infinity)
+                    property[(isArray) ? "maxItems" : "maxLength"] = params.max;
+                break;
+            }
+            case "min":
+            case "max": {
+                if (typeof params.limit !== "number")
+                    break; //only numeric limits can be described
+                const keyword = (rule.name == "min") ? "Minimum" : "Maximum";
+                property[(params.exclusive) ? "exclusive" + keyword : keyword.toLowerCase()] = params.limit;
+                break;
+            }
+            case "oneOf":
+                property.enum = params.values;
+                break;
+            case "fileCount":
+                if (!options.multiple)
+                    break;
+                if (params.min > 0)
+                    property.minItems = params.min;
+                if (params.max != null && params.max != Infinity)
+                    property.maxItems = params.max;
+                break;
+        };
+    });
+    return property;
+};
+
+/**
+ * Colletion for data fields that exposes a customizable validation method callback
+ */
+export class DataRow extends BaseItemList {
+    #errorLog;
+    #errorCount;
+    getFields(){
+        return this.items;
     };
     /**
-     * Assign an internal event handler to a DOM element.
-     * @param {*} filter querySelector filter to find all DOM elements that can trigger the event handler.
-     * @param {*} eventHandler that will respond when the element is clicked.
+     * Create a DataRow from a JSON Schema document describing an object. Each property becomes a DataField whose type, 
+     * required flag, validation rules, label (title) and initial value (default) are taken from the schema.
+     * @param {object} schema JSON Schema document (local $ref references are resolved).
+     * @param {object} data (optional) values received from the recipient to be loaded into the fields.
      */
-    setTrigger(filter, eventHandler){
-        let classContext = super.classContext;
-        super.DOMContext.querySelectorAll(filter).forEach(function(item, index){
-            item.addEventListener("click", function(e) {
-                e.preventDefault();
-                classContext[eventHandler](e); 
-            });
+    static fromSchema(schema, data){
+        if (schema == null || typeof schema.properties !== "object")
+            throw new TypeError(`invalid schema. An object schema with properties is required here.`);
+        const required = schema.required || [];
+        const fields = Object.entries(schema.properties).map(function([name, property]){
+            return fieldFromSchema(name, property, required.indexOf(name) > -1, schema);
+        });
+        const row = new this(); //subclasses build instances of their own type
+        row.push(...fields);
+        if (data != null)
+            row.deserialize(data);
+        return row;
+    };
+    /**
+     * Describe a set of fields as a JSON Schema document.
+     * @param {number} index of the set of fields (first one if omitted).
+     */
+    toSchema(index = 0){
+        const schema = {
+            $schema: "https://json-schema.org/draft/2020-12/schema",
+            type: "object",
+            properties: {},
+            required: []
+        };
+        this.item(index).forEach(function(field){
+            schema.properties[field.fieldName] = fieldToSchema(field);
+            if (field.isRequired || field.rules.some(rule => rule.name == "required"))
+                schema.required.push(field.fieldName);
         });
-     };    
-};
\ No newline at end of file
+        return schema;
+    };
+    /**
+     * Return a field by its name.
+     * @param {string} fieldName name of the field.
+     * @param {number} index of the set of fields (first one if omitted).
+     */
+    getField(fieldName, index = 0){
+        return this.item(index).find(field => field.fieldName == fieldName) || null;
+    };
+    /**
+     * Return the values of a set of fields as an object with the field names as keys.
+     * @param {number} index of the set of fields (first one if omitted).
+     */
+    toObject(index = 0){
+        const obj = {};
+        this.item(index).forEach(function(field){
+            obj[field.fieldName] = field.fieldValue;
+        });
+        return obj;
+    };
+    /**
+     * Return the values of a set of fields in the representation sent to the recipient (see DataField.serialize).
+     * @param {number} index of the set of fields (first one if omitted).
+     */
+    serialize(index = 0){
+        const obj = {};
+        this.item(index).forEach(function(field){
+            obj[field.fieldName] = field.serialize();
+        });
+        return obj;
+    };
+    /**
+     * Change the values of a set of fields from data received from the recipient. Keys without a matching field are ignored.
+     * @param {object} data with the field names as keys.
+     * @param {number} index of the set of fields (first one if omitted).
+     */
+    deserialize(data, index = 0){
+        this.item(index).forEach(function(field){
+            if (data != null && field.fieldName in data)
+                field.deserialize(data[field.fieldName]);
+        });
+    };
+    /**
+     * Apply changes made elsewhere (i.e. pushed by the recipient) to the sets of fields matched by their key field.
+     * @param {Array} entries list of {action, key, values} changes.
+     * @param {string} keyField name of the field that identifies the sets.
+     */
+    merge(entries, keyField){
+        const indexOf = key => this.items.findIndex(fields => fields.some(field => field.fieldName == keyField && 
+            field.fieldValue != null && String(field.fieldValue) === String(key)));
+        [].concat(entries).forEach(entry => {
+            if (entry == null)
+                return;
+            const index = (entry.key != null) ? indexOf(entry.key) : -1;
+            if (entry.action === ViewControllerAction.Remove){
+                if (index > -1)
+                    this.delete(index);
+                return;
+            };
+            const values = Object.assign({}, entry.values, (entry.key != null) ? { [keyField]: entry.key } : {});
+            if (index > -1){
+                this.deserialize(values, index);
+                return;
+            };
+            if (this.length == 0)
+                throw new RangeError(`a set of fields is required to shape the sets created by merge().`);
+            this.push(...this.item(0).map(field => field.clone(null)));
+            this.deserialize(values, this.length - 1);
+        });
+    };
+    /**
+     * Add a set of fields to the row.
+     * @param {...DataField} fields of the set.
+     */
+    push(...fields){
+        if (fields.length == 0)
+            throw new Error(`at least one data field must be defined in order to instantiate a DataRow class.`);
+        fields.forEach(function(value, _index){
+            if (!(value instanceof DataField)) //check if all items are DataField instances
+                throw new TypeError(`invalid instance of ${Object.getPrototypeOf(value).constructor.name} type. DataRow constructor accepts DataField instances only.`);
+        });
+        return super.push(fields);
+    };
+    /**
+     * DataRow elements are sets (arrays) of DataField objects instead of BaseItem objects.
+     */
+    isValidItem(obj){
+        return Array.isArray(obj) && obj.length > 0 && obj.every(value => value instanceof DataField);
+    };
+    /**
+     * Create a DataRow from its JSON representation: a list of sets of {fieldName, fieldType, fieldValue, isRequired}.
+     * @param {string|Array} json text or parsed array.
+     */
+    static fromJSON(json){
+        const data = (typeof json === "string") ? JSON.parse(json) : json;
+        if (!Array.isArray(data))
+            throw new TypeError(`invalid JSON representation. An array is required here.`);
+        const row = new this();
+        data.forEach(function(fields){
+            row.push(...fields.map(value => {
+                const field = new DataField(value.fieldName, value.fieldType, null, value.isRequired === true);
+                field.deserialize(value.fieldValue);
+                return field;
+            }));
+        });
+        return row;
+    };
+    /**
+     * Validate the row: the result of the callback (an object with one entry per error) becomes the error log.
+     * @param {function} callback custom validation.
+     */
+    validate(callback){
+        this.#errorLog = { count: 0, entries: {}};
+        let result = callback();
+        this.#errorLog.count = Object.entries(result).length;
+        this.#errorLog.entries = result;
+    };
+    /**
+     * Apply the rules of every field and resolve with true when the row is valid. The errors found become the error log.
+     */
+    validateAsync(){
+        const checks = [];
+        this.items.forEach((fields, index) => {
+            fields.forEach(field => {
+                checks.push(field.validateAsync(fields, this).then(errors => errors.map(error => Object.assign(error, { index: index }))));
+            });
+        });
+        return Promise.all(checks).then(results => {
+            const errorLog = { count: 0, entries: {}};
+            results.forEach(errors => errors.forEach(error => {
+                if (!(error.field in errorLog.entries))
+                    errorLog.entries[error.field] = [];
+                errorLog.entries[error.field].push(error);
+                errorLog.count++;
+            }));
+            this.#errorLog = errorLog;
+            return errorLog.count == 0;
+        });
+    };
+    /**
+     * Return the result of the last validation: {count, entries} where entries maps each field name to its errors 
+     * ({field, rule, message, value, index}).
+     */
+    getErrors(){
+        return this.#errorLog;
+    };
+    /**
+     * Append errors found elsewhere (i.e. reported by the recipient) to the error log.
+     * @param {Array} errors list of {field, message, rule}. Errors of fields that do not belong to the set are ignored.
+     * @param {number} index of the set of fields (first one if omitted).
+     */
+    addErrors(errors, index = 0){
+        if (this.#errorLog == null)
+            this.#errorLog = { count: 0, entries: {}};
+        errors.forEach(error => {
+            const field = this.getField(error.field, index);
+            if (field == null)
+                return;
+            if (!(error.field in this.#errorLog.entries))
+                this.#errorLog.entries[error.field] = [];
+            this.#errorLog.entries[error.field].push({
+                field: error.field,
+                rule: error.rule || "server",
+                message: error.message,
+                value: field.fieldValue,
+                index: index
+            });
+            this.#errorLog.count++;
+        });
+        return this.#errorLog;
+    };
+};
+
+/**
+ * Compare two field values: dates by their time, arrays and plain objects by their contents, anything else by identity.
+ * @param {*} a first value.
+ * @param {*} b second value.
+ */
+function isSameValue(a, b){
+    if (a === b || (a == null && b == null))
+        return true;
+    if (a instanceof Date && b instanceof Date)
+        return a.getTime() == b.getTime();
+    if (Array.isArray(a) && Array.isArray(b))
+        return a.length == b.length && a.every((item, index) => isSameValue(item, b[index]));
+    const isPlain = value => value != null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+    if (isPlain(a) && isPlain(b)){
+        const keys = Object.keys(a);
+        return keys.length == Object.keys(b).length && keys.every(key => key in b && isSameValue(a[key], b[key]));
+    };
+    return false;
+};
+
+/**
+ * Undo/redo history of the changes made to the fields of a DataRow. Changes of the same field made within the group delay
+ * are merged into one transaction, and the changes made between begin() and commit() are undone together.
+ * Events: change {canUndo, canRedo, isDirty}, undo {transaction}, redo {transaction}, checkpoint and dirty {isDirty}.
+ */
+export class DataRowHistory extends EventEmitter {
+    #row;
+    #undoStack;
+    #redoStack;
+    #transaction;
+    #lastChange;
+    #groupDelay;
+    #limit;
+    #applying;
+    #fields;
+    #fieldListener;
+    #rowListener;
+    #checkpoint;
+    #dirty;
+    #keyTarget;
+    #keyListener;
+    #watched;
+    #warning;
+    #unloadListener;
+    /**
+     * Create an instance of DataRowHistory type.
+     * @param {DataRow} row whose changes will be recorded.
+     * @param {object} options {groupDelay, limit, controller, warn}:
+     *  - groupDelay: milliseconds within which changes of the same field are merged (500 by default).
+     *  - limit: number of transactions kept (100 by default).
+     *  - controller: DataController (or list of them) to be watched (see watch()).
+     *  - warn: message shown before the page (or the view) is left while the row is dirty.
+     */
+    constructor(row, options = {}){
+        super();
+        if (!(row instanceof DataRow))
+            throw new TypeError(`invalid parameter of ${Object.getPrototypeOf(row).constructor.name} type. Instance of DataRow is required here.`);
+        this.#row = row;
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#transaction = null;
+        this.#lastChange = null;
+        this.#groupDelay = (options.groupDelay != null) ? Number(options.groupDelay) : 500;
+        this.#limit = (options.limit != null) ? Number(options.limit) : 100;
+        this.#applying = false;
+        this.#fields = new Set();
+        this.#fieldListener = (field, newValue, oldValue) => this.#record(field, newValue, oldValue);
+        this.#rowListener = () => {
+            this.#listen();
+            this.#update();
+        };
+        this.#keyTarget = null;
+        this.#keyListener = null;
+        this.#watched = [];
+        this.#warning = (options.warn != null) ? String(options.warn) : null;
+        this.#unloadListener = e => { //browsers display a message of their own
+            e.preventDefault();
+            e.returnValue = this.#warning;
+            return this.#warning;
+        };
+        row.addChangeListener(this.#rowListener);
+        this.#listen();
+        this.#checkpoint = this.#snapshot();
+        this.#dirty = false;
+        [].concat(options.controller || []).forEach(controller => this.watch(controller));
+    };
+    get row(){
+        return this.#row;
+    };
+    get canUndo(){
+        return this.#undoStack.length > 0;
+    };
+    get canRedo(){
+        return this.#redoStack.length > 0;
+    };
+    /**
+     * Return the message shown before leaving while the row is dirty (null if none).
+     */
+    get warning(){
+        return this.#warning;
+    };
+    /**
+     * Return true when the values of the row differ from the ones it had at the last checkpoint.
+     */
+    get isDirty(){
+        return this.getDiff().length > 0;
+    };
+    /**
+     * Return the values changed since the last checkpoint: list of {index, field, from, to} where index is the set of fields.
+     */
+    getDiff(){
+        const current = this.#snapshot();
+        const diff = [];
+        for (let index = 0; index < Math.max(current.length, this.#checkpoint.length); index++){
+            const from = this.#checkpoint[index] || {};
+            const to = current[index] || {};
+            Array.from(new Set(Object.keys(from).concat(Object.keys(to)))).forEach(field => {
+                const previous = (field in from) ? from[field] : null;
+                const value = (field in to) ? to[field] : null;
+                if (!isSameValue(previous, value))
+                    diff.push({ index: index, field: field, from: previous, to: value });
+            });
+        };
+        return diff;
+    };
+    /**
+     * Take the current values as the clean state of the row (i.e. after they were saved).
+     */
+    checkpoint(){
+        this.#takeCheckpoint(this.#snapshot());
+    };
+    /**
+     * Start grouping the changes into one transaction, until commit() is called.
+     */
+    begin(){
+        if (this.#transaction == null)
+            this.#transaction = [];
+    };
+    /**
+     * Close the transaction started by begin(). Return true when it recorded any change.
+     */
+    commit(){
+        const transaction = this.#transaction;
+        this.#transaction = null;
+        this.#lastChange = null;
+        if (transaction == null || transaction.length == 0)
+            return false;
+        this.#push(transaction);
+        return true;
+    };
+    /**
+     * Revert the last transaction. Return false when there is nothing to undo.
+     */
+    undo(){
+        this.commit();
+        const transaction = this.#undoStack.pop();
+        if (transaction == null)
+            return false;
+        this.#apply(transaction.slice().reverse(), "oldValue");
+        this.#redoStack.push(transaction);
+        this.emit("undo", { transaction: transaction });
+        this.#update();
+        return true;
+    };
+    /**
+     * Apply again the last transaction reverted by undo(). Return false when there is nothing to redo.
+     */
+    redo(){
+        this.commit();
+        const transaction = this.#redoStack.pop();
+        if (transaction == null)
+            return false;
+        this.#apply(transaction, "newValue");
+        this.#undoStack.push(transaction);
+        this.emit("redo", { transaction: transaction });
+        this.#update();
+        return true;
+    };
+    /**
+     * Forget every transaction (the checkpoint is kept).
+     */
+    clear(){
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#transaction = null;
+        this.#lastChange = null;
+        this.#update();
+    };
+    /**
+     * Undo on Ctrl+Z (Cmd+Z) and redo on Ctrl+Shift+Z or Ctrl+Y. Return true when the keydown event was handled.
+     * @param {KeyboardEvent} e keydown event.
+     */
+    handleKey(e){
+        const key = String(e.key).toLowerCase();
+        if (!(e.ctrlKey || e.metaKey) || e.altKey)
+            return false;
+        if (key == "z" && !e.shiftKey)
+            this.undo();
+        else if ((key == "z" && e.shiftKey) || key == "y")
+            this.redo();
+        else
+            return false;
+        e.preventDefault(); //the history of the row replaces the one of the control
+        return true;
+    };
+    /**
+     * Undo and redo through the keyboard shortcuts (see handleKey) pressed within an element.
+     * @param {EventTarget} target element listening to the keys.
+     */
+    bindKeys(target){
+        this.unbindKeys();
+        if (target == null || typeof target.addEventListener !== "function")
+            throw new TypeError(`invalid parameter for target: ${target}. An element is required here.`);
+        this.#keyListener = e => this.handleKey(e);
+        this.#keyTarget = target;
+        target.addEventListener("keydown", this.#keyListener);
+    };
+    unbindKeys(){
+        if (this.#keyTarget != null)
+            this.#keyTarget.removeEventListener("keydown", this.#keyListener);
+        this.#keyTarget = null;
+        this.#keyListener = null;
+    };
+    /**
+     * Take a checkpoint after each Create or Edit request of a DataController that sent the row and was accepted.
+     * @param {DataController} controller sending the row.
+     */
+    watch(controller){
+        if (!(controller instanceof DataController))
+            throw new TypeError(`invalid parameter of ${Object.getPrototypeOf(controller).constructor.name} type. Instance of DataController is required here.`);
+        const snapshots = new WeakMap(); //values of the row when each payload was sent
+        const beforeSend = controller.on("beforeSend", e => {
+            if (e.payload != null && e.payload.content.some(entry => {
+                const source = e.payload.getSource(entry.header.operationId);
+                return source === this.#row || (source != null && source.row === this.#row);
+            }))
+                snapshots.set(e.payload, this.#snapshot());
+        });
+        const success = controller.on("success", e => {
+            const snapshot = snapshots.get(e.result.sent);
+            if (snapshot == null || (e.action !== ViewControllerAction.Create && e.action !== ViewControllerAction.Edit))
+                return;
+            if (e.result.response == null || !e.result.response.ok)
+                return; //rejected by the recipient
+            snapshots.delete(e.result.sent);
+            this.#takeCheckpoint(snapshot);
+        });
+        this.#watched.push({ controller: controller, listeners: { beforeSend: beforeSend, success: success } });
+    };
+    /**
+     * Stop taking checkpoints after the requests of a DataController (of every controller when omitted).
+     * @param {DataController} controller given to watch().
+     */
+    unwatch(controller){
+        this.#watched.filter(entry => controller == null || entry.controller === controller)
+            .forEach(entry => Object.entries(entry.listeners).forEach(([type, listener]) => entry.controller.off(type, listener)));
+        this.#watched = this.#watched.filter(entry => controller != null && entry.controller !== controller);
+    };
+    /**
+     * Remove every listener registered by the history. The instance cannot be used afterwards.
+     */
+    dispose(){
+        this.unbindKeys();
+        this.unwatch();
+        this.#row.removeChangeListener(this.#rowListener);
+        this.#fields.forEach(field => field.removeChangeListener(this.#fieldListener));
+        this.#fields.clear();
+        this.#setUnloadWarning(false);
+        this.off();
+    };
+    /**
+     * Follow the fields of every set of the row (and only them).
+     */
+    #listen(){
+        const fields = new Set(this.#row.items.reduce((list, set) => list.concat(set), []));
+        this.#fields.forEach(field => {
+            if (!fields.has(field))
+                field.removeChangeListener(this.#fieldListener);
+        });
+        fields.forEach(field => {
+            if (!this.#fields.has(field))
+                field.addChangeListener(this.#fieldListener);
+        });
+        this.#fields = fields;
+    };
+    #record(field, newValue, oldValue){
+        if (this.#applying)
+            return;
+        const now = Date.now();
+        const change = {
+            field: field,
+            index: this.#row.items.findIndex(set => set.indexOf(field) > -1),
+            fieldName: field.fieldName,
+            oldValue: oldValue,
+            newValue: newValue
+        };
+        this.#redoStack = [];
+        if (this.#transaction != null)
+            this.#merge(this.#transaction, change);
+        else {
+            const last = this.#undoStack[this.#undoStack.length - 1];
+            const grouped = last != null && this.#lastChange != null && this.#lastChange.field === field && now - this.#lastChange.time < this.#groupDelay;
+            if (grouped)
+                this.#merge(last, change);
+            else
+                this.#push([change]);
+            this.#lastChange = { field: field, time: now };
+        };
+        this.#update();
+    };
+    /**
+     * Merge a change into a transaction (the first old value of a field is kept).
+     */
+    #merge(transaction, change){
+        const existing = transaction.find(item => item.field === change.field);
+        if (existing != null)
+            existing.newValue = change.newValue;
+        else
+            transaction.push(change);
+    };
+    #push(transaction){
+        this.#undoStack.push(transaction);
+        if (this.#undoStack.length > this.#limit)
+            this.#undoStack.shift();
+    };
+    #apply(changes, property){
+        this.#applying = true;
+        try {
+            changes.forEach(change => change.field.fieldValue = change[property]);
+        }
+        finally {
+            this.#applying = false;
+            this.#lastChange = null;
+        };
+    };
+    #takeCheckpoint(snapshot){
+        this.#checkpoint = snapshot;
+        this.emit("checkpoint");
+        this.#update();
+    };
+    #snapshot(){
+        return this.#row.items.map(set => Object.fromEntries(set.map(field => [field.fieldName, field.fieldValue])));
+    };
+    /**
+     * Emit change and, when the row became dirty or clean, dirty.
+     */
+    #update(){
+        const dirty = this.isDirty;
+        this.emit("change", { canUndo: this.canUndo, canRedo: this.canRedo, isDirty: dirty });
+        if (dirty === this.#dirty)
+            return;
+        this.#dirty = dirty;
+        this.#setUnloadWarning(dirty);
+        this.emit("dirty", { isDirty: dirty });
+    };
+    #setUnloadWarning(enabled){
+        if (this.#warning == null || typeof window === "undefined" || typeof window.addEventListener !== "function")
+            return;
+        if (enabled)
+            window.addEventListener("beforeunload", this.#unloadListener);
+        else
+            window.removeEventListener("beforeunload", this.#unloadListener);
+    };
+};
+
+/**
+ * Row of a DataTable. Holds its own copy of the table columns (DataField objects), a state (DataRowState) and the 
+ * values it had when the changes were last accepted.
+ */
+export class DataTableRow extends BaseItem {
+    static #sequence = 0;
+    #id;
+    #state;
+    #original;
+    #table;
+    constructor(fields, table, state = DataRowState.Added){
+        super(fields);
+        this.#id = ++DataTableRow.#sequence;
+        this.#table = table;
+        this.#state = state;
+        this.#original = this.serialize();
+        fields.forEach(field => field.addChangeListener(() => this.#onFieldChange()));
+        this.error = null; //error reported by the recipient for this row (if any)
+    };
+    /**
+     * Return an identifier assigned on the client side, used to match rows not yet keyed by the recipient.
+     */
+    get clientId(){
+        return this.#id;
+    };
+    get state(){
+        return this.#state;
+    };
+    get table(){
+        return this.#table;
+    };
+    get fields(){
+        return this.content;
+    };
+    /**
+     * Return the value of the key field.
+     */
+    get key(){
+        const field = this.getField(this.#table.keyField);
+        return (field != null) ? field.fieldValue : null;
+    };
+    getField(fieldName){
+        return this.fields.find(field => field.fieldName == fieldName) || null;
+    };
+    /**
+     * Return the values of the fields as an object with the field names as keys.
+     */
+    toObject(){
+        const obj = {};
+        this.fields.forEach(field => obj[field.fieldName] = field.fieldValue);
+        return obj;
+    };
+    /**
+     * Return the values of the fields in the representation sent to the recipient.
+     */
+    serialize(){
+        const obj = {};
+        this.fields.forEach(field => obj[field.fieldName] = field.serialize());
+        return obj;
+    };
+    /**
+     * Return the values (serialized) the row had when the changes were last accepted.
+     */
+    getOriginal(){
+        return Object.assign({}, this.#original);
+    };
+    /**
+     * Return the names of the fields changed since the changes were last accepted.
+     */
+    getChangedFields(){
+        const current = this.serialize();
+        return Object.keys(current).filter(name => JSON.stringify(current[name]) !== JSON.stringify(this.#original[name]));
+    };
+    /**
+     * Mark the row as deleted. Added rows are discarded from the table right away.
+     */
+    delete(){
+        if (this.#state === DataRowState.Added){
+            this.#table.discard(this);
+            return;
+        };
+        this.#state = DataRowState.Deleted;
+    };
+    /**
+     * Take the current values as the original ones. Deleted rows are discarded from the table.
+     */
+    acceptChanges(){
+        if (this.#state === DataRowState.Deleted){
+            this.#table.discard(this);
+            return;
+        };
+        this.#original = this.serialize();
+        this.#state = DataRowState.Unchanged;
+        this.error = null;
+    };
+    /**
+     * Take some values (serialized) as the original ones of their fields, i.e. values the recipient already holds, 
+     * keeping the current values. The row is left Modified when any field still differs, Unchanged otherwise.
+     * @param {object} values original values by field name.
+     */
+    acceptValues(values){
+        if (this.#state === DataRowState.Deleted)
+            return;
+        Object.keys(values).forEach(name => {
+            if (this.getField(name) != null)
+                this.#original[name] = values[name];
+        });
+        this.#state = (this.getChangedFields().length > 0) ? DataRowState.Modified : DataRowState.Unchanged;
+        this.error = null;
+    };
+    /**
+     * Restore the original values. Added rows are discarded from the table.
+     */
+    rejectChanges(){
+        if (this.#state === DataRowState.Added){
+            this.#table.discard(this);
+            return;
+        };
+        this.fields.forEach(field => field.deserialize(this.#original[field.fieldName]));
+        this.#state = DataRowState.Unchanged;
+        this.error = null;
+    };
+    /**
+     * Implement a custom conversion method that will be automatically called by JSON.stringify 
+     */
+    toJSON(){
+        return this.serialize();
+    };
+    #onFieldChange(){
+        if (this.#state === DataRowState.Unchanged || this.#state === DataRowState.Modified) //back to unchanged when the original values are restored
+            this.#state = (this.getChangedFields().length > 0) ? DataRowState.Modified : DataRowState.Unchanged;
+    };
+};
+
+/**
+ * Collection of keyed rows sharing the same columns, with row-level change tracking. Only the changes (delta) need to be
+ * sent to the recipient: the rows added, modified (changed fields only) and deleted since the changes were last accepted.
+ */
+export class DataTable extends BaseItemList {
+    #columns;
+    #keyField;
+    /**
+     * Create an instance of DataTable type.
+     * @param {DataRow|Array} columns DataRow (first set of fields) or list of DataField objects used as template of the rows.
+     * @param {string} keyField name of the field that identifies the rows (assigned by the recipient for added rows).
+     */
+    constructor(columns, keyField){
+        super();
+        if (columns instanceof DataRow)
+            columns = columns.item(0);
+        if (!Array.isArray(columns) || columns.length == 0 || !columns.every(column => column instanceof DataField))
+            throw new TypeError(`invalid columns. A DataRow or a list of DataField instances is required here.`);
+        if (!columns.some(column => column.fieldName == keyField))
+            throw new RangeError(`key field ${keyField} is not one of the columns.`);
+        this.#columns = columns;
+        this.#keyField = keyField;
+    };
+    get columns(){
+        return this.#columns;
+    };
+    get keyField(){
+        return this.#keyField;
+    };
+    /**
+     * Return true when any row was added, modified or deleted since the changes were last accepted.
+     */
+    get hasChanges(){
+        return this.items.some(row => row.state !== DataRowState.Unchanged);
+    };
+    /**
+     * Create a row (state Added) with the column defaults overridden by the values given and append it to the table.
+     * @param {object} values with the field names as keys.
+     */
+    newRow(values = {}){
+        const row = new DataTableRow(this.#columns.map(column => column.clone()), this, DataRowState.Added);
+        row.fields.forEach(field => {
+            if (field.fieldName in values)
+                field.fieldValue = values[field.fieldName];
+        });
+        this.push(row);
+        return row;
+    };
+    /**
+     * Append rows (state Unchanged) from data received from the recipient.
+     * @param {Array} records list of objects with the field names as keys.
+     */
+    load(records){
+        return [].concat(records).map(record => {
+            const fields = this.#columns.map(column => column.clone());
+            fields.forEach(field => {
+                if (record != null && field.fieldName in record)
+                    field.deserialize(record[field.fieldName]);
+            });
+            const row = new DataTableRow(fields, this, DataRowState.Unchanged);
+            this.push(row);
+            return row;
+        });
+    };
+    /**
+     * Return the row with the given key (or null when there is none).
+     * @param {*} key value of the key field.
+     */
+    findByKey(key){
+        return this.items.find(row => row.key === key || (row.key != null && String(row.key) === String(key))) || null;
+    };
+    /**
+     * Return the rows in any of the given states.
+     * @param {...number} states DataRowState constants (every state but Unchanged if omitted).
+     */
+    getChanges(...states){
+        if (states.length == 0)
+            states = [DataRowState.Added, DataRowState.Modified, DataRowState.Deleted];
+        return this.items.filter(row => states.indexOf(row.state) > -1);
+    };
+    /**
+     * Return the delta to be sent to the recipient: one entry per changed row, 
+     * {action, clientId, key, values} where action is the ViewControllerAction matching the row state
+     * and values holds every field of added rows, the changed fields of modified rows and nothing for deleted rows.
+     * @param {Array} rows changed rows to be included (every changed row if omitted).
+     */
+    getDelta(rows){
+        return this.getChanges().filter(row => rows == null || rows.indexOf(row) > -1).map(row => {
+            const entry = { action: null, clientId: row.clientId, key: row.key, values: {} };
+            const values = row.serialize();
+            switch (row.state){
+                case DataRowState.Added:
+                    entry.action = ViewControllerAction.Create;
+                    entry.values = values;
+                    break;
+                case DataRowState.Modified:
+                    entry.action = ViewControllerAction.Edit;
+                    row.getChangedFields().forEach(name => entry.values[name] = values[name]);
+                    break;
+                case DataRowState.Deleted:
+                    entry.action = ViewControllerAction.Remove;
+                    break;
+            };
+            return entry;
+        });
+    };
+    /**
+     * Return a Payload carrying the delta (one content entry per changed row).
+     * @param {object} requestor instance (references the class that instantiates the Payload).
+     * @param {Array} rows changed rows to be included (every changed row if omitted).
+     */
+    toPayload(requestor, rows){
+        const payload = new Payload(requestor);
+        this.getDelta(rows).forEach(entry => payload.addContent(entry, {
+            action: entry.action,
+            source: this.getChanges().find(row => row.clientId === entry.clientId)
+        }));
+        return payload;
+    };
+    /**
+     * Apply the answer of the recipient to the delta. The data may be a list (or an object with a "rows" list) of
+     * {clientId, key, values, error} entries: keys and values assigned by the recipient are loaded into the matching rows.
+     * Rows reported with an error keep their changes and the error, the changes of every other row are accepted.
+     * A PayloadResponse following the protocol is accepted as well (the data of each operation holding {key, values}).
+     * Given a PayloadResponse, only the rows sent (sources of the payload) are reconciled, and the fields changed since
+     * they were sent remain changed. Otherwise every changed row is taken as sent.
+     * @param {*} data received from the recipient.
+     */
+    reconcile(data){
+        const sent = new Map(); //delta entry sent for each row
+        if (data instanceof PayloadResponse){
+            const response = data;
+            response.payload.content.forEach(entry => {
+                const source = response.payload.getSource(entry.header.operationId);
+                if (source instanceof DataTableRow && source.table === this)
+                    sent.set(source, entry.body);
+            });
+            data = (!response.isProtocol) ? response.data : response.results.map(result => {
+                const source = response.payload.getSource(result.operationId);
+                return Object.assign({}, result.data, {
+                    clientId: (source instanceof DataTableRow) ? source.clientId : null,
+                    error: (result.success) ? null : (result.errors.length > 0 ? result.errors : (result.error || "operation failed."))
+                });
+            });
+        };
+        const results = (Array.isArray(data)) ? data : ((data != null && Array.isArray(data.rows)) ? data.rows : []);
+        const rows = (sent.size > 0) ? Array.from(sent.keys()) : this.getChanges();
+        rows.forEach(row => {
+            if (!this.includes(row)) //discarded meanwhile
+                return;
+            const result = results.find(item => item != null && ((item.clientId != null) ? item.clientId === row.clientId : (item.key != null && item.key === row.key))) || {};
+            if (result.error != null){
+                row.error = result.error;
+                return;
+            };
+            if (row.state === DataRowState.Deleted){
+                row.acceptChanges();
+                return;
+            };
+            const entry = sent.get(row);
+            if (entry != null && entry.action === ViewControllerAction.Remove)
+                return; //restored after being sent
+            const values = (entry != null && entry.values != null) ? entry.values : null;
+            const current = row.serialize();
+            const changed = row.getChangedFields();
+            const edited = (values == null) ? [] : Object.keys(current).filter(name => (name in values) ? 
+                JSON.stringify(current[name]) !== JSON.stringify(values[name]) : changed.indexOf(name) > -1); //changed after being sent
+            if (result.key !== undefined && edited.indexOf(this.#keyField) < 0)
+                row.getField(this.#keyField).deserialize(result.key);
+            if (result.values != null)
+                row.fields.forEach(field => {
+                    if (field.fieldName in result.values && edited.indexOf(field.fieldName) < 0)
+                        field.deserialize(result.values[field.fieldName]);
+                });
+            if (edited.length == 0){
+                row.acceptChanges();
+                return;
+            };
+            const stored = row.serialize(); //values held by the recipient
+            Object.keys(stored).forEach(name => {
+                if (edited.indexOf(name) > -1){
+                    if (name in values)
+                        stored[name] = values[name];
+                    else
+                        delete stored[name];
+                };
+            });
+            row.acceptValues(stored);
+        });
+    };
+    /**
+     * Apply changes made elsewhere (i.e. pushed by the recipient). Fields changed locally and not yet sent keep their values.
+     * @param {Array} entries list of {action, key, values} changes (see getDelta).
+     */
+    merge(entries){
+        [].concat(entries).forEach(entry => {
+            if (entry == null)
+                return;
+            const row = (entry.key != null) ? this.findByKey(entry.key) : null;
+            if (entry.action === ViewControllerAction.Remove){
+                if (row != null)
+                    this.discard(row);
+                return;
+            };
+            const values = entry.values || {};
+            if (row == null){
+                this.load(Object.assign({}, values, (entry.key != null) ? { [this.#keyField]: entry.key } : {}));
+                return;
+            };
+            const changed = row.getChangedFields();
+            const original = {}; //values now held by the recipient
+            row.fields.forEach(field => {
+                if (!(field.fieldName in values))
+                    return;
+                const pushed = field.clone(null);
+                pushed.deserialize(values[field.fieldName]);
+                original[field.fieldName] = pushed.serialize();
+                if (changed.indexOf(field.fieldName) < 0)
+                    field.deserialize(values[field.fieldName]);
+            });
+            row.acceptValues(original);
+        });
+    };
+    acceptChanges(){
+        this.getChanges().forEach(row => row.acceptChanges());
+    };
+    rejectChanges(){
+        this.getChanges().forEach(row => row.rejectChanges());
+    };
+    /**
+     * Remove a row from the table without tracking it as deleted.
+     * @param {DataTableRow} row to be removed.
+     */
+    discard(row){
+        this.remove(row);
+    };
+    /**
+     * DataTable elements are rows created by the table itself.
+     */
+    isValidItem(obj){
+        return obj instanceof DataTableRow && obj.table === this;
+    };
+    /**
+     * Create a DataTable from its JSON representation (list of records, as produced by toJSON). Rows are loaded as unchanged.
+     * @param {string|Array} json text or parsed array.
+     * @param {DataRow|Array} columns of the table.
+     * @param {string} keyField name of the key field.
+     */
+    static fromJSON(json, columns, keyField){
+        const table = new this(columns, keyField);
+        table.load((typeof json === "string") ? JSON.parse(json) : json);
+        return table;
+    };
+    /**
+     * Implement a custom conversion method that will be automatically called by JSON.stringify 
+     */
+    toJSON(){
+        return this.items.filter(row => row.state !== DataRowState.Deleted);
+    };
+};
+
+/**
+ * Version of the protocol implemented by Payload and PayloadResponse.
+ */
+export const PAYLOAD_PROTOCOL_VERSION = 2;
+
+/**
+ * Create a unique identifier (UUID v4 when the platform provides one).
+ */
+function createIdentifier(){
+    if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function")
+        return crypto.randomUUID();
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, function(c){
+        const r = Math.random() * 16 | 0;
+        return ((c == "x") ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+};
+
+/**
+ * Defines a protocol structure to carry information from the BaseController to the recipient.
+ * Each content is an operation {header, body} whose header identifies the requestor, the protocol version, the request
+ * (correlation ID shared by every operation of the payload), the operation itself, the action and the idempotency key.
+ * Several operations can be batched in one payload.
+ */
+export class Payload {
+    #content;
+    #requestor;
+    #requestId;
+    #action;
+    #idempotencyKey;
+    #sources;
+    /**
+     * Create an instance of Payload type.
+     * @param {object} requestor instance (references the class that instantiated the Payload).
+     * @param {object} options {action, idempotencyKey, requestId}: default ViewControllerAction of the operations,
+     *  idempotency key (true generates one) and correlation ID (generated if omitted).
+     */
+    constructor(requestor, options = {}){
+        this.#content = [];
+        if (requestor == null || !(typeof requestor === "object"))
+            throw new TypeError(`invalid parameter of type ${requestor.constructor.name}.`);
+        this.#requestor = requestor.constructor.name;
+        this.#requestId = options.requestId || createIdentifier();
+        this.#action = (options.action != null) ? options.action : null;
+        this.#idempotencyKey = (options.idempotencyKey === true) ? createIdentifier() : (options.idempotencyKey || null);
+        this.#sources = new Map();
+    };
+    set content(newValue){
+        this.#content.push(newValue);
+    };
+    get content(){
+        return this.#content;
+    };
+    /**
+     * Return the class name of the requestor that instantiated the payload.
+     */
+    get requestor(){
+        return this.#requestor;
+    };
+    /**
+     * Return the correlation ID of the request.
+     */
+    get requestId(){
+        return this.#requestId;
+    };
+    /**
+     * Default action of the operations that were not added with an action of their own.
+     */
+    set action(newValue){
+        this.#action = newValue;
+    };
+    get action(){
+        return this.#action;
+    };
+    get idempotencyKey(){
+        return this.#idempotencyKey;
+    };
+    /**
+     * Return true when the payload carries more than one operation.
+     */
+    get isBatch(){
+        return this.#content.length > 1;
+    };
+    clearContent(){
+        this.#content = [];
+        this.#sources.clear();
+    };
+    /**
+     * Include a new content into the payload. Return the identifier of the operation.
+     * @param {object} obj to be embedded into the body.
+     * @param {object} options {action, idempotencyKey, source}: action of the operation, its idempotency key and the origin of the data.
+     */
+    addContent(obj, options = {}){
+        const operationId = createIdentifier();
+        const header = {
+            requestor: this.#requestor, //Requestor identified by the its class name.
+            time: Date.now(), //unformatted date and time.
+            version: PAYLOAD_PROTOCOL_VERSION,
+            requestId: this.#requestId,
+            operationId: operationId
+        };
+        if (options.action != null)
+            header.action = options.action;
+        if (options.idempotencyKey != null)
+            header.idempotencyKey = (options.idempotencyKey === true) ? createIdentifier() : options.idempotencyKey;
+        this.content = {
+            header: header,
+            body: obj
+        };
+        if (options.source != null)
+            this.#sources.set(operationId, options.source);
+        return operationId;
+    };
+    /**
+     * Return the operation with the given identifier.
+     * @param {string} operationId returned by addContent.
+     */
+    getOperation(operationId){
+        return this.#content.find(entry => entry.header.operationId == operationId) || null;
+    };
+    /**
+     * Return the origin of the data of an operation (as given to addContent).
+     * @param {string} operationId returned by addContent.
+     */
+    getSource(operationId){
+        return this.#sources.get(operationId) || null;
+    };
+    toJSON(){
+        return this.content.map(entry => { //operations without action take the default action of the payload
+            if (entry.header.action != null || this.#action == null)
+                return entry;
+            return { header: Object.assign({}, entry.header, { action: this.#action }), body: entry.body };
+        });
+    };
+};
+
+/**
+ * Normalize the validation errors reported by the recipient into a list of {field, message, rule}.
+ * @param {*} errors reported by the recipient.
+ */
+function normalizeFieldErrors(errors){
+    if (errors == null)
+        return [];
+    if (Array.isArray(errors))
+        return errors.filter(error => error != null && error.field != null).map(error => ({
+            field: error.field,
+            message: error.message || "invalid value.",
+            rule: error.rule || "server"
+        }));
+    if (typeof errors === "object")
+        return Object.entries(errors).reduce((list, [field, messages]) => list.concat([].concat(messages).map(message => ({
+            field: field,
+            message: String(message),
+            rule: "server"
+        }))), []);
+    return [];
+};
+
+/**
+ * Typed answer to a Payload, mapping the results received to the operations of the payload.
+ */
+export class PayloadResponse {
+    #payload;
+    #results;
+    /**
+     * Create an instance of PayloadResponse type.
+     * @param {Payload} payload that was sent.
+     * @param {*} data received (text is decoded as JSON when possible).
+     * @param {number} status HTTP status of the answer.
+     */
+    constructor(payload, data, status = 200){
+        if (typeof data === "string")
+            data = parseResponseBody(data, "json");
+        this.#payload = payload;
+        this.status = status;
+        this.data = data;
+        this.isProtocol = data != null && typeof data === "object" && Array.isArray(data.results);
+        this.requestId = (this.isProtocol && data.requestId != null) ? data.requestId : payload.requestId;
+        this.version = (this.isProtocol && data.version != null) ? data.version : null;
+        const succeeded = status >= 200 && status < 300;
+        const operations = payload.content;
+        if (this.isProtocol){
+            this.#results = data.results.map((result, index) => {
+                const operationId = (result.operationId != null) ? result.operationId : (operations[index] || { header: {} }).header.operationId; //positional match as fallback
+                const operation = payload.getOperation(operationId);
+                let success = succeeded;
+                if (typeof result.success === "boolean")
+                    success = result.success;
+                else if (typeof result.status === "number")
+                    success = result.status >= 200 && result.status < 300;
+                else if (typeof result.status === "string")
+                    success = ["ok", "success", "succeeded"].indexOf(result.status.toLowerCase()) > -1;
+                const errors = normalizeFieldErrors(result.errors);
+                return {
+                    operationId: operationId,
+                    action: (operation != null) ? (operation.header.action != null ? operation.header.action : payload.action) : null,
+                    success: success && errors.length == 0 && result.error == null,
+                    data: (result.data !== undefined) ? result.data : null,
+                    error: (result.error != null) ? result.error : null,
+                    errors: errors
+                };
+            });
+        }
+        else {
+            const errors = (!succeeded && data != null && typeof data === "object") ? normalizeFieldErrors(data.errors) : [];
+            this.#results = operations.map(operation => ({
+                operationId: operation.header.operationId,
+                action: (operation.header.action != null) ? operation.header.action : payload.action,
+                success: succeeded,
+                data: data,
+                error: (succeeded) ? null : ((data != null && data.message != null) ? data.message : data),
+                errors: (operations.length == 1) ? errors : [] //field errors cannot be assigned to one operation of a batch
+            }));
+        };
+    };
+    get payload(){
+        return this.#payload;
+    };
+    /**
+     * Return the outcome of each operation: {operationId, action, success, data, error, errors}.
+     */
+    get results(){
+        return this.#results.slice();
+    };
+    /**
+     * Return true when every operation succeeded.
+     */
+    get ok(){
+        return this.#results.every(result => result.success);
+    };
+    /**
+     * Return every validation error reported by the recipient ({operationId, field, message, rule}).
+     */
+    get errors(){
+        return this.#results.reduce((list, result) => list.concat(result.errors.map(error => Object.assign({ operationId: result.operationId }, error))), []);
+    };
+    /**
+     * Return the outcome of an operation.
+     * @param {string} operationId returned by Payload.addContent.
+     */
+    get(operationId){
+        return this.#results.find(result => result.operationId == operationId) || null;
+    };
+    /**
+     * Return the operations that failed.
+     */
+    failed(){
+        return this.#results.filter(result => !result.success);
+    };
+    /**
+     * Assign the validation errors reported by the recipient to the origin of each operation.
+     */
+    mapErrors(){
+        this.#results.forEach(result => {
+            const source = this.#payload.getSource(result.operationId);
+            if (source == null || (result.errors.length == 0 && result.error == null))
+                return;
+            if (source instanceof DataTableRow)
+                source.error = (result.errors.length > 0) ? result.errors : result.error;
+            else if (source instanceof DataRow)
+                source.addErrors(result.errors);
+            else if (source.row instanceof DataRow)
+                source.row.addErrors(result.errors, source.index || 0);
+        });
+    };
+};
+
+/**
+ * Default HTTP verb issued for each ViewControllerAction. Can be overridden per action through BaseController.setEndpoint().
+ */
+const HTTP_METHODS = {
+    [ViewControllerAction.Create]   : "POST",
+    [ViewControllerAction.Edit]     : "PUT",
+    [ViewControllerAction.Remove]   : "DELETE",
+    [ViewControllerAction.Load]     : "GET",
+    [ViewControllerAction.Custom]   : "POST"
+};
+
+/**
+ * Convert the bodies carried by a payload into URL query parameters (used by bodyless requests such as GET).
+ * @param {Payload} payload whose bodies will be flattened into key/value pairs.
+ */
+function toQueryString(payload){
+    const params = new URLSearchParams();
+    payload.content.forEach(function(entry){
+        const body = entry.body;
+        if (body == null || typeof body !== "object"){
+            if (body != null)
+                params.append("body", body);
+            return;
+        };
+        Object.entries(body).forEach(function([key, value]){
+            if (value == null)
+                return;
+            params.append(key, (typeof value === "object") ? JSON.stringify(value) : value);
+        });
+    });
+    return params.toString();
+};
+
+/**
+ * Return the Blob (and File) objects found in a value, nested objects, arrays and toJSON() results included.
+ * @param {*} value to be searched.
+ * @param {Array} files found so far.
+ */
+function collectFiles(value, files = []){
+    if (isBlob(value)){
+        if (files.indexOf(value) < 0)
+            files.push(value);
+    }
+    else if (Array.isArray(value))
+        value.forEach(item => collectFiles(item, files));
+    else if (value != null && typeof value === "object" && typeof value.toJSON === "function" && !(value instanceof Date))
+        collectFiles(value.toJSON(), files); //DataRow and DataField keep their values in private fields
+    else if (value != null && typeof value === "object" && !(value instanceof Date))
+        Object.values(value).forEach(item => collectFiles(item, files));
+    return files;
+};
+
+/**
+ * Encode a payload carrying files as multipart/form-data: the JSON of the payload is the "payload" part and each file is a
+ * part of its own. Return the JSON text when no part is left.
+ * @param {Payload} payload to be encoded.
+ * @param {Array} files found in the payload (see collectFiles).
+ * @param {Map} uploads identifiers of the files uploaded in chunks.
+ */
+function encodeMultipart(payload, files, uploads = new Map()){
+    const parts = files.filter(file => !uploads.has(file));
+    const json = JSON.stringify(payload, (key, value) => {
+        if (!isBlob(value))
+            return value;
+        const description = { name: (value.name != null) ? value.name : "blob", size: value.size, type: value.type };
+        return Object.assign((uploads.has(value)) ? { upload: uploads.get(value) } : { part: "file" + parts.indexOf(value) }, description);
+    });
+    if (parts.length == 0)
+        return json;
+    const form = new FormData();
+    form.append("payload", json);
+    parts.forEach((file, index) => form.append("file" + index, file, (file.name != null) ? file.name : "blob"));
+    return form;
+};
+
+/**
+ * Return the size in bytes of a request or response body (text, Blob or FormData).
+ * @param {*} body to be measured.
+ */
+function getBodySize(body){
+    if (typeof body === "string")
+        return new TextEncoder().encode(body).length;
+    if (isBlob(body))
+        return body.size;
+    if (typeof FormData !== "undefined" && body instanceof FormData)
+        return Array.from(body.values()).reduce((size, value) => size + getBodySize(value), 0);
+    return 0;
+};
+
+/**
+ * Decode a response body according to its content type. JSON bodies that cannot be parsed are returned as text.
+ * @param {string} text raw response body.
+ * @param {string} contentType value of the Content-Type response header.
+ */
+function parseResponseBody(text, contentType){
+    if (text == null || text === "")
+        return null;
+    if (contentType != null && contentType.indexOf("json") > -1){
+        try {
+            return JSON.parse(text);
+        }
+        catch(e) {
+            return text;
+        };
+    };
+    return text;
+};
+
+/**
+ * Error reported by a transport when the request could not be delivered or the recipient answered with a non-2xx status.
+ */
+export class TransportError extends Error {
+    /**
+     * Create an instance of TransportError type.
+     * @param {string} message describing the failure.
+     * @param {object} details containing status, statusText, headers, body, text and the original cause (if any).
+     */
+    constructor(message, details = {}){
+        super(message);
+        this.name = "TransportError";
+        this.status = details.status || 0; //zero means the recipient could not be reached at all
+        this.statusText = details.statusText || "";
+        this.headers = details.headers || {};
+        this.body = (details.body !== undefined) ? details.body : null;
+        this.text = details.text || "";
+        this.cause = details.cause || null;
+        this.aborted = details.aborted === true; //request cancelled through its AbortSignal
+        this.timedOut = details.timedOut === true; //no answer within the time limit set by the RequestPolicy
+    };
+    /**
+     * Return true when the failure happened before any HTTP response was received (cancelled requests excluded).
+     */
+    get isNetworkError(){
+        return this.status === 0 && !this.aborted;
+    };
+    /**
+     * Backward compatible aliases of the former {errorCode, errorMessage} error structure.
+     */
+    get errorCode(){
+        return this.status;
+    };
+    get errorMessage(){
+        return this.text || this.message;
+    };
+    /**
+     * Implement a custom conversion method that will be automatically called by JSON.stringify 
+     */
+    toJSON(){
+        return {
+            errorCode: this.errorCode,
+            errorMessage: this.errorMessage,
+            headers: this.headers,
+            body: this.body
+        };
+    };
+};
+
+/**
+ * Wait for a number of milliseconds without blocking the UI thread.
+ * @param {number} milliseconds to wait.
+ * @param {AbortSignal} signal (optional) that interrupts the wait rejecting with a cancelled TransportError.
+ */
+function delay(milliseconds, signal){
+    return new Promise(function(resolve, reject){
+        const cancelled = () => new TransportError("request was cancelled.", { aborted: true });
+        if (signal != null && signal.aborted)
+            return reject(cancelled());
+        const onAbort = function(){
+            clearTimeout(timer);
+            reject(cancelled());
+        };
+        const timer = setTimeout(function(){
+            if (signal != null)
+                signal.removeEventListener("abort", onAbort);
+            resolve();
+        }, milliseconds);
+        if (signal != null)
+            signal.addEventListener("abort", onAbort, { once: true });
+    });
+};
+
+/**
+ * Define the contract used by BaseController to deliver requests. Subclasses must implement send().
+ */
+export class Transport {
+    static #default = null;
+    /**
+     * Change or retrieve the transport shared by every controller that has no transport of its own.
+     * When none is assigned, fetch is used if available, otherwise XMLHttpRequest.
+     */
+    static set default(newValue){
+        if (newValue != null && !(newValue instanceof Transport))
+            throw new TypeError(`invalid parameter of ${newValue.constructor.name} type. Instance of Transport is required here.`);
+        Transport.#default = newValue;
+    };
+    static get default(){
+        if (Transport.#default == null){
+            if (typeof fetch === "function")
+                Transport.#default = new FetchTransport();
+            else if (typeof XMLHttpRequest === "function")
+                Transport.#default = new XHRTransport();
+            else
+                throw new Error("This environment does not support asynchronous requests. Execution aborted.");
+        };
+        return Transport.#default;
+    };
+    /**
+     * Deliver a request and resolve with {status, statusText, headers, text, body} for any 2xx status.
+     * Must reject with a TransportError otherwise (flagged as aborted when the request signal is triggered).
+     * @param {object} request containing method, url, headers, body (already serialized), an optional AbortSignal and the
+     *  optional onUploadProgress and onDownloadProgress functions receiving {loaded, total} (total is 0 when unknown).
+     */
+    send(request){
+        return Promise.reject(new Error(`${this.constructor.name} does not implement the send() method.`));
+    };
+};
+
+/**
+ * Transport based on the fetch API. Requests reporting their upload progress go through XMLHttpRequest when available.
+ */
+export class FetchTransport extends Transport {
+    send(request){
+        if (typeof request.onUploadProgress === "function" && request.body != null && typeof request.body !== "string" && typeof XMLHttpRequest === "function")
+            return new XHRTransport().send(request);
+        return fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            signal: request.signal || undefined
+        }).then(function(response){
+            return FetchTransport.#read(response, request.onDownloadProgress).then(function(text){
+                const headers = {};
+                response.headers.forEach(function(value, key){
+                    headers[key] = value;
+                });
+                const result = {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: headers,
+                    text: text,
+                    body: parseResponseBody(text, headers["content-type"])
+                };
+                if (!response.ok)
+                    throw new TransportError(`request to ${request.url} failed with status ${response.status}.`, result);
+                return result;
+            });
+        }).catch(function(error){
+            if (error instanceof TransportError)
+                throw error;
+            throw new TransportError(`request to ${request.url} could not be delivered: ${error.message}`, { 
+                cause: error, 
+                aborted: error.name === "AbortError" 
+            });
+        });
+    };
+    /**
+     * Read the response body as text, reporting the download progress when a function is given.
+     */
+    static #read(response, onProgress){
+        if (typeof onProgress !== "function" || response.body == null || typeof response.body.getReader !== "function")
+            return response.text();
+        const reader = response.body.getReader();
+        const total = Number(response.headers.get("content-length")) || 0;
+        const chunks = [];
+        let loaded = 0;
+        const pump = () => reader.read().then(({ done, value }) => {
+            if (done)
+                return new Blob(chunks).text();
+            chunks.push(value);
+            loaded += value.length;
+            onProgress({ loaded: loaded, total: total });
+            return pump();
+        });
+        return pump();
+    };
+};
+
+/**
+ * Transport based on XMLHttpRequest. Used as fallback when fetch is not available.
+ */
+export class XHRTransport extends Transport {
+    send(request){
+        return new Promise(function(resolve, reject){
+            const xhr = new XMLHttpRequest();
+            xhr.open(request.method, request.url);
+            Object.entries(request.headers || {}).forEach(function([key, value]){
+                xhr.setRequestHeader(key, value);
+            });
+            xhr.onreadystatechange = function(){
+                if (xhr.readyState != 4) //Check for errors only after the fetch operation is complete
+                    return;
+                if (xhr.status == 0) //onerror will report it
+                    return;
+                const headers = {};
+                xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(function(line){
+                    const separator = line.indexOf(":");
+                    if (separator > 0)
+                        headers[line.substring(0, separator).trim().toLowerCase()] = line.substring(separator + 1).trim();
+                });
+                const result = {
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers: headers,
+                    text: xhr.responseText,
+                    body: parseResponseBody(xhr.responseText, headers["content-type"])
+                };
+                if (xhr.status >= 200 && xhr.status < 300)
+                    resolve(result);
+                else
+                    reject(new TransportError(`request to ${request.url} failed with status ${xhr.status}.`, result));
+            };
+            xhr.onerror = function(){
+                reject(new TransportError(`request to ${request.url} could not be delivered.`));
+            };
+            xhr.onabort = function(){
+                reject(new TransportError(`request to ${request.url} was cancelled.`, { aborted: true }));
+            };
+            const progress = callback => e => callback({ loaded: e.loaded, total: (e.lengthComputable) ? e.total : 0 });
+            if (typeof request.onUploadProgress === "function" && xhr.upload != null)
+                xhr.upload.onprogress = progress(request.onUploadProgress);
+            if (typeof request.onDownloadProgress === "function")
+                xhr.onprogress = progress(request.onDownloadProgress);
+            if (request.signal){
+                if (request.signal.aborted)
+                    return xhr.onabort();
+                request.signal.addEventListener("abort", function(){ xhr.abort(); }, { once: true });
+            };
+            xhr.send(request.body);
+        });
+    };
+};
+
+/**
+ * In-memory recipient used to test controllers without a network, answering through routes, fixtures or a passthrough
+ * transport. Every request received is kept in requests.
+ */
+export class MockTransport extends Transport {
+    #routes;
+    #requests;
+    #fixtures;
+    #latency;
+    #failureRate;
+    #passthrough;
+    #record;
+    #random;
+    /**
+     * Create an instance of MockTransport type.
+     * @param {object} options {latency, failureRate, passthrough, record, fixtures, random}:
+     *  - latency: delay of each answer in milliseconds (or [min, max] for a random delay).
+     *  - failureRate: probability (0 to 1) of a simulated network failure.
+     *  - passthrough: Transport that answers the requests without route or fixture.
+     *  - record: set to true to keep the exchanges answered by the passthrough transport as fixtures.
+     *  - fixtures: list of {request: {method, url, body}, response: {status, headers, body}} to be replayed.
+     *  - random: function returning a number between 0 and 1 (Math.random by default).
+     */
+    constructor(options = {}){
+        super();
+        if (options.passthrough != null && !(options.passthrough instanceof Transport))
+            throw new TypeError(`invalid parameter of ${options.passthrough.constructor.name} type. Instance of Transport is required here.`);
+        this.#routes = [];
+        this.#requests = [];
+        this.#fixtures = [];
+        this.#latency = options.latency || 0;
+        this.#failureRate = Number(options.failureRate) || 0;
+        this.#passthrough = options.passthrough || null;
+        this.#record = options.record === true;
+        this.#random = (typeof options.random === "function") ? options.random : Math.random;
+        if (options.fixtures != null)
+            this.replay(options.fixtures);
+    };
+    /**
+     * Return the requests received: {method, url, headers, body, time}.
+     */
+    get requests(){
+        return this.#requests.slice();
+    };
+    /**
+     * Return the fixtures replayed and recorded.
+     */
+    get fixtures(){
+        return this.#fixtures.slice();
+    };
+    set latency(newValue){
+        this.#latency = newValue;
+    };
+    get latency(){
+        return this.#latency;
+    };
+    set failureRate(newValue){
+        this.#failureRate = Number(newValue) || 0;
+    };
+    get failureRate(){
+        return this.#failureRate;
+    };
+    /**
+     * Answer the requests matching a verb and a URL. Routes registered later take precedence.
+     * @param {string} method HTTP verb ("*" for any).
+     * @param {string|RegExp} url full URL or path, optionally with parameters (i.e. "/customers/:id", "/files/*").
+     * @param {*} handler function(request) returning the body of the answer or {status, headers, body}.
+     */
+    route(method, url, handler){
+        if (typeof url !== "string" && !(url instanceof RegExp))
+            throw new TypeError(`invalid parameter for url: ${url}. A string or a RegExp is required here.`);
+        const pattern = (typeof url === "string") ? this.#compile(url) : { origin: null, regex: url, keys: [], full: true };
+        this.#routes.unshift({ method: String(method).toUpperCase(), pattern: pattern, handler: handler });
+        return this;
+    };
+    /**
+     * Make the requests matching a verb and a URL fail.
+     * @param {string} method HTTP verb ("*" for any).
+     * @param {string|RegExp} url full URL or path (see route()).
+     * @param {object} error {status, body}: status of the answer (0 simulates a network failure, 500 by default).
+     */
+    fail(method, url, error = {}){
+        const status = (error.status != null) ? error.status : 500;
+        return this.route(method, url, request => {
+            throw new TransportError((status == 0) ? `request to ${request.url} could not be delivered: simulated failure.` : 
+                `request to ${request.url} failed with status ${status}.`, {
+                status: status,
+                body: (error.body !== undefined) ? error.body : null,
+                text: (error.body != null) ? JSON.stringify(error.body) : ""
+            });
+        });
+    };
+    /**
+     * Answer the requests matching the fixtures (same verb, URL and body when the fixture has one).
+     * @param {Array} fixtures list of {request: {method, url, body}, response: {status, headers, body}} (or its JSON text).
+     */
+    replay(fixtures){
+        if (typeof fixtures === "string")
+            fixtures = JSON.parse(fixtures);
+        [].concat(fixtures).forEach(fixture => {
+            if (fixture == null || fixture.request == null || fixture.response == null)
+                throw new TypeError(`invalid fixture. {request, response} is required here.`);
+            this.#fixtures.push(fixture);
+        });
+        return this;
+    };
+    /**
+     * Forget the requests received and the fixtures (routes are kept unless all is set).
+     * @param {boolean} all remove the routes as well.
+     */
+    reset(all = false){
+        this.#requests = [];
+        this.#fixtures = [];
+        if (all)
+            this.#routes = [];
+    };
+    send(request){
+        this.#requests.push({ method: request.method, url: request.url, headers: Object.assign({}, request.headers), body: request.body, time: Date.now() });
+        let wait = this.#latency;
+        if (Array.isArray(wait))
+            wait = wait[0] + this.#random() * (wait[1] - wait[0]);
+        return delay(wait || 0, request.signal).then(() => {
+            if (this.#failureRate > 0 && this.#random() < this.#failureRate)
+                throw new TransportError(`request to ${request.url} could not be delivered: simulated failure.`);
+            if (typeof request.onUploadProgress === "function" && request.body != null){
+                const size = getBodySize(request.body);
+                request.onUploadProgress({ loaded: size, total: size });
+            };
+            return this.#answer(request);
+        }).then(response => {
+            if (typeof request.onDownloadProgress === "function" && response.text != ""){
+                const size = getBodySize(response.text);
+                request.onDownloadProgress({ loaded: size, total: size });
+            };
+            if (response.status < 200 || response.status > 299)
+                throw new TransportError(`request to ${request.url} failed with status ${response.status}.`, response);
+            return response;
+        });
+    };
+    /**
+     * Answer a request through its route, fixture or the passthrough transport.
+     */
+    #answer(request){
+        const url = new URL(request.url, "http://localhost");
+        const route = this.#routes.find(item => (item.method == "*" || item.method == request.method) && this.#match(item.pattern, url) != null);
+        if (route != null){
+            const params = this.#match(route.pattern, url);
+            let data = (typeof request.body === "string") ? parseResponseBody(request.body, "json") : request.body;
+            const files = {};
+            if (typeof FormData !== "undefined" && request.body instanceof FormData){ //multipart payloads (see encodeMultipart)
+                data = parseResponseBody(request.body.get("payload"), "json");
+                request.body.forEach((value, key) => {
+                    if (isBlob(value))
+                        files[key] = value;
+                });
+            };
+            const context = {
+                method: request.method,
+                url: request.url,
+                headers: Object.assign({}, request.headers),
+                body: request.body,
+                data: data,
+                files: files,
+                params: params,
+                query: Object.fromEntries(url.searchParams)
+            };
+            return Promise.resolve((typeof route.handler === "function") ? route.handler(context) : route.handler).then(result => this.#toResponse(result));
+        };
+        const fixture = this.#fixtures.find(item => String(item.request.method).toUpperCase() == request.method && item.request.url == request.url &&
+            (item.request.body == null || this.#sameBody(item.request.body, request.body)));
+        if (fixture != null)
+            return Promise.resolve(this.#toResponse(Object.assign({ status: 200 }, fixture.response)));
+        if (this.#passthrough == null)
+            return Promise.resolve(this.#toResponse({ status: 404, body: null }));
+        const record = response => {
+            if (this.#record)
+                this.#fixtures.push({
+                    request: { method: request.method, url: request.url, body: (request.body != null) ? request.body : null },
+                    response: { status: response.status, headers: response.headers, body: response.body }
+                });
+            return response;
+        };
+        return this.#passthrough.send(request).then(record, error => {
+            if (error instanceof TransportError && error.status > 0){
+                record(error);
+                return this.#toResponse(error);
+            };
+            throw error;
+        });
+    };
+    /**
+     * Convert the value returned by a handler into a response.
+     */
+    #toResponse(result){
+        const isResponse = result != null && typeof result === "object" && typeof result.status === "number" && ("body" in result || "headers" in result);
+        const response = (isResponse) ? result : { status: 200, body: (result === undefined) ? null : result };
+        const body = (response.body !== undefined) ? response.body : null;
+        const text = (typeof body === "string") ? body : ((body == null) ? "" : JSON.stringify(body));
+        return {
+            status: response.status,
+            statusText: response.statusText || "",
+            headers: Object.assign({ "content-type": (typeof body === "string") ? "text/plain" : "application/json" }, response.headers),
+            text: text,
+            body: (typeof body === "string") ? parseResponseBody(body, (response.headers || {})["content-type"]) : body
+        };
+    };
+    #compile(url){
+        const absolute = /^(https?:\/\/[^/?#]+)(.*)$/i.exec(url);
+        const path = (absolute != null) ? absolute[2] || "/" : url;
+        const compiled = compileRoutePath(path.split("?")[0]);
+        return { origin: (absolute != null) ? new URL(absolute[1]).origin : null, regex: compiled.regex, keys: compiled.keys, full: false };
+    };
+    /**
+     * Return the parameters of the URL when it matches the pattern (null otherwise).
+     */
+    #match(pattern, url){
+        if (pattern.origin != null && pattern.origin != url.origin)
+            return null;
+        const result = pattern.regex.exec((pattern.full) ? url.href : url.pathname);
+        if (result == null)
+            return null;
+        const params = {};
+        pattern.keys.forEach((key, index) => {
+            if (result[index + 1] !== undefined)
+                params[key] = decodeURIComponent(result[index + 1]);
+        });
+        return params;
+    };
+    #sameBody(expected, actual){
+        const normalize = body => {
+            const value = (typeof body === "string") ? parseResponseBody(body, "json") : body;
+            if (Array.isArray(value)) //headers of payload operations carry identifiers and timestamps
+                return JSON.stringify(value.map(entry => (entry != null && entry.header != null && "body" in entry) ? entry.body : entry));
+            return JSON.stringify(value);
+        };
+        return normalize(expected) === normalize(actual);
+    };
+};
+
+/**
+ * Timeout, retry and backoff rules applied to each request sent by a BaseController.
+ * Load requests are retried whenever the failure is retryable. Any other action (Create, Edit, Remove, Custom) 
+ * is only retried when the policy marks it as idempotent.
+ */
+export class RequestPolicy {
+    /**
+     * Create an instance of RequestPolicy type.
+     * @param {object} options containing:
+     *  - timeout: milliseconds to wait for each attempt (0 waits forever).
+     *  - retries: number of additional attempts after the first one fails.
+     *  - backoff: base delay in milliseconds, doubled on each retry.
+     *  - maxBackoff: upper limit for the delay between attempts.
+     *  - jitter: randomize the delay (between half and the full value) to spread retries from many clients.
+     *  - retryOn: array of retryable HTTP status codes or a function(error) returning true when the error is retryable.
+     *  - retryNetworkErrors: retry when the recipient could not be reached or timed out.
+     *  - idempotent: allow retrying actions other than Load.
+     */
+    constructor(options = {}){
+        this.timeout = options.timeout || 0;
+        this.retries = options.retries || 0;
+        this.backoff = (options.backoff != null) ? options.backoff : 250;
+        this.maxBackoff = (options.maxBackoff != null) ? options.maxBackoff : 30000;
+        this.jitter = options.jitter !== false;
+        this.retryOn = options.retryOn || [408, 425, 429, 500, 502, 503, 504];
+        this.retryNetworkErrors = options.retryNetworkErrors !== false;
+        this.idempotent = options.idempotent === true;
+    };
+    /**
+     * Return a new policy overriding some of the rules of this one.
+     * @param {object} options to be overridden (same structure accepted by the constructor).
+     */
+    extend(options = {}){
+        return new RequestPolicy(Object.assign({}, this, options));
+    };
+    /**
+     * Return the total number of attempts allowed for an action.
+     * @param {number} action ViewControllerAction constant.
+     */
+    getAttempts(action){
+        return (action === ViewControllerAction.Load || this.idempotent) ? this.retries + 1 : 1;
+    };
+    /**
+     * Check whether a failed attempt can be repeated. Cancelled requests are never retried.
+     * @param {TransportError} error reported by the transport.
+     */
+    isRetryable(error){
+        if (!(error instanceof TransportError) || error.aborted)
+            return false;
+        if (typeof this.retryOn === "function")
+            return this.retryOn(error) === true;
+        if (error.isNetworkError)
+            return this.retryNetworkErrors;
+        return this.retryOn.indexOf(error.status) > -1;
+    };
+    /**
+     * Return the delay in milliseconds before a retry. A Retry-After header sent by the recipient (seconds or HTTP-date)
+     * takes precedence.
+     * @param {number} attempt number of the attempt that failed (starting from 1).
+     * @param {TransportError} error reported by the transport.
+     */
+    getDelay(attempt, error){
+        const header = (error != null) ? error.headers["retry-after"] : null;
+        let retryAfter = NaN;
+        if (header != null)
+            retryAfter = (/^\s*\d+(\.\d+)?\s*$/.test(header)) ? parseFloat(header) * 1000 : Date.parse(header) - Date.now();
+        if (!isNaN(retryAfter))
+            return Math.min(Math.max(retryAfter, 0), this.maxBackoff);
+        const exponential = Math.min(this.backoff * Math.pow(2, attempt - 1), this.maxBackoff);
+        return (this.jitter) ? Math.round(exponential / 2 + Math.random() * exponential / 2) : exponential;
+    };
+};
+
+/**
+ * Coordinate asynchronous requests shared by one or more DataController instances.
+ * Requests are grouped into named channels with their own concurrency limit and can be cancelled ("latest wins"),
+ * de-duplicated while in flight or sequenced after other requests.
+ */
+export class RequestCoordinator {
+    static #default = null;
+    #concurrency;
+    #channels;
+    #inFlight;
+    #latest;
+    /**
+     * Create an instance of RequestCoordinator type.
+     * @param {number} concurrency default limit of simultaneous requests per channel (unlimited if omitted).
+     */
+    constructor(concurrency = Infinity){
+        this.#concurrency = concurrency;
+        this.#channels = new Map();
+        this.#inFlight = new Map();
+        this.#latest = new Map();
+    };
+    /**
+     * Change or retrieve the coordinator used by controllers that have no coordinator of their own.
+     */
+    static set default(newValue){
+        if (newValue != null && !(newValue instanceof RequestCoordinator))
+            throw new TypeError(`invalid parameter of ${newValue.constructor.name} type. Instance of RequestCoordinator is required here.`);
+        RequestCoordinator.#default = newValue;
+    };
+    static get default(){
+        if (RequestCoordinator.#default == null)
+            RequestCoordinator.#default = new RequestCoordinator();
+        return RequestCoordinator.#default;
+    };
+    /**
+     * Create or reconfigure a named channel.
+     * @param {string} name of the channel.
+     * @param {number} concurrency limit of simultaneous requests (use 1 to run them strictly in order).
+     */
+    setChannel(name, concurrency){
+        if (!(concurrency >= 1))
+            throw new RangeError(`channel concurrency (${concurrency}) must be greater than zero.`);
+        const channel = this.#getChannel(name);
+        channel.concurrency = concurrency;
+        this.#next(channel);
+        return this;
+    };
+    /**
+     * Return the number of requests running and waiting in a channel.
+     * @param {string} name of the channel.
+     */
+    getChannelState(name = "default"){
+        const channel = this.#getChannel(name);
+        return {
+            concurrency: channel.concurrency,
+            active: channel.active.size,
+            queued: channel.queue.length
+        };
+    };
+    /**
+     * Schedule a task into a channel. The task is a function that receives an AbortSignal and returns a promise.
+     * @param {function} task to be performed once the channel has a free slot.
+     * @param {object} options {channel, latest, after, signal}: 
+     *  - channel: name of the channel (default).
+     *  - latest: true (or a key) to abort the previous request scheduled with the same latest key in this channel.
+     *  - after: promise (or array of promises) that must be settled before the task is queued.
+     *  - signal: external AbortSignal that cancels the task.
+     */
+    schedule(task, options = {}){
+        const channel = this.#getChannel(options.channel || "default");
+        const controller = new AbortController();
+        const entry = { task: task, controller: controller, started: false };
+        const promise = new Promise(function(resolve, reject){
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        if (options.signal != null){
+            if (options.signal.aborted)
+                controller.abort();
+            else
+                options.signal.addEventListener("abort", function(){ controller.abort(); }, { once: true });
+        };
+        let latestKey = null;
+        if (options.latest){
+            latestKey = channel.name + "\u0000" + ((options.latest === true) ? "" : options.latest);
+            const previous = this.#latest.get(latestKey);
+            if (previous != null)
+                previous.abort(); //latest wins
+            this.#latest.set(latestKey, controller);
+        };
+        const cancel = () => {
+            if (entry.started) //once started the task itself reports the cancellation
+                return;
+            const index = channel.queue.indexOf(entry);
+            if (index > -1)
+                channel.queue.splice(index, 1);
+            entry.reject(new TransportError("request was cancelled before being sent.", { aborted: true }));
+        };
+        if (controller.signal.aborted)
+            cancel();
+        else
+            controller.signal.addEventListener("abort", cancel, { once: true });
+        const enqueue = () => {
+            if (controller.signal.aborted)
+                return;
+            channel.queue.push(entry);
+            this.#next(channel);
+        };
+        if (options.after != null)
+            Promise.allSettled([].concat(options.after)).then(enqueue); //sequencing: wait regardless of the outcome
+        else
+            enqueue();
+        const cleanup = () => {
+            if (latestKey != null && this.#latest.get(latestKey) === controller)
+                this.#latest.delete(latestKey);
+        };
+        promise.then(cleanup, cleanup);
+        return promise;
+    };
+    /**
+     * Share the promise of an identical request still in flight instead of issuing a new one.
+     * @param {string} key identifying the request.
+     * @param {function} factory called to create the promise when no request with the same key is in flight.
+     */
+    dedupe(key, factory){
+        if (this.#inFlight.has(key))
+            return this.#inFlight.get(key);
+        const promise = factory();
+        this.#inFlight.set(key, promise);
+        const cleanup = () => { this.#inFlight.delete(key) };
+        promise.then(cleanup, cleanup);
+        return promise;
+    };
+    /**
+     * Abort every request (running or waiting) of a channel.
+     * @param {string} name of the channel.
+     */
+    cancel(name = "default"){
+        const channel = this.#getChannel(name);
+        channel.queue.slice().concat(Array.from(channel.active)).forEach(function(entry){
+            entry.controller.abort();
+        });
+    };
+    /**
+     * Abort every request of every channel.
+     */
+    cancelAll(){
+        this.#channels.forEach((_channel, name) => this.cancel(name));
+    };
+    #getChannel(name){
+        if (!this.#channels.has(name)){
+            this.#channels.set(name, {
+                name: name,
+                concurrency: this.#concurrency,
+                active: new Set(),
+                queue: []
+            });
+        };
+        return this.#channels.get(name);
+    };
+    #next(channel){
+        while (channel.active.size < channel.concurrency && channel.queue.length > 0){
+            const entry = channel.queue.shift();
+            entry.started = true;
+            channel.active.add(entry);
+            const release = () => {
+                channel.active.delete(entry);
+                this.#next(channel);
+            };
+            Promise.resolve()
+                .then(() => entry.task(entry.controller.signal))
+                .then(entry.resolve, entry.reject)
+                .then(release);
+        };
+    };
+};
+
+/**
+ * Outbox storage based on the Web Storage API (localStorage). Also used in memory when no durable storage is available.
+ */
+class WebStorageOutboxStorage {
+    #key;
+    #storage;
+    constructor(key, storage){
+        this.#key = key;
+        this.#storage = storage;
+    };
+    #read(){
+        return JSON.parse(this.#storage.getItem(this.#key) || "[]");
+    };
+    #write(entries){
+        this.#storage.setItem(this.#key, JSON.stringify(entries));
+    };
+    getAll(){
+        return Promise.resolve(this.#read());
+    };
+    put(entry){
+        const entries = this.#read().filter(item => item.id !== entry.id);
+        entries.push(entry);
+        this.#write(entries);
+        return Promise.resolve(entry);
+    };
+    delete(id){
+        this.#write(this.#read().filter(item => item.id !== id));
+        return Promise.resolve();
+    };
+};
+
+/**
+ * Outbox storage based on IndexedDB. When the database cannot be opened (IndexedDB disabled, private browsing, 
+ * quota...), the entries are kept by the storage returned by the fallback function instead.
+ */
+class IndexedDBOutboxStorage {
+    #name;
+    #database;
+    #createFallback;
+    #fallback;
+    constructor(name, createFallback){
+        this.#name = name;
+        this.#database = null;
+        this.#createFallback = createFallback;
+        this.#fallback = null;
+    };
+    /**
+     * Resolve with the database, or with null once the fallback storage took its place.
+     */
+    #open(){
+        if (this.#database == null){
+            this.#database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.#name, 1); //may throw synchronously (e.g. SecurityError)
+                request.onupgradeneeded = () => request.result.createObjectStore("entries", { keyPath: "id" });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(() => {
+                this.#fallback = this.#createFallback();
+                return null;
+            });
+        };
+        return this.#database;
+    };
+    #transaction(mode, operation, fallback){
+        return this.#open().then(database => (database == null) ? fallback(this.#fallback) : new Promise(function(resolve, reject){
+            const transaction = database.transaction("entries", mode);
+            const request = operation(transaction.objectStore("entries"));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        }));
+    };
+    getAll(){
+        return this.#transaction("readonly", store => store.getAll(), storage => storage.getAll());
+    };
+    put(entry){
+        return this.#transaction("readwrite", store => store.put(entry), storage => storage.put(entry)).then(() => entry);
+    };
+    delete(id){
+        return this.#transaction("readwrite", store => store.delete(id), storage => storage.delete(id)).then(() => undefined);
+    };
+};
+
+/**
+ * Durable queue of requests that could not be delivered because the network was unavailable.
+ * Entries are kept in IndexedDB (localStorage when it is missing or cannot be opened), so they survive page reloads,
+ * and are replayed in order when the browser comes back online.
+ * Results are reported to the controller that queued the request or, after a reload, to the requestor 
+ * registered under the same class name through its onDataControllerCallbackEvent method.
+ * Entries queued in the current session are sent by their sender (the controller runs them through its interceptors,
+ * so headers such as authorization are added at replay time); entries restored after a reload are sent by the transport
+ * as they were stored.
+ */
+export class Outbox {
+    static #default = null;
+    static #sequence = 0;
+    #storage;
+    #transport;
+    #requestors;
+    #listeners;
+    #senders;
+    #replaying;
+    /**
+     * Create an instance of Outbox type.
+     * @param {string} name of the database (or storage key) where the entries are kept.
+     * @param {boolean} autoReplay replay the pending entries when created and whenever the browser comes back online.
+     */
+    constructor(name = "juliett-outbox", autoReplay = true){
+        const fallback = function(){
+            if (typeof localStorage !== "undefined")
+                return new WebStorageOutboxStorage(name, localStorage);
+            const memory = {}; //Non-durable fallback
+            return new WebStorageOutboxStorage(name, {
+                getItem: key => (key in memory) ? memory[key] : null,
+                setItem: (key, value) => { memory[key] = value }
+            });
+        };
+        this.#storage = (typeof indexedDB !== "undefined") ? new IndexedDBOutboxStorage(name, fallback) : fallback();
+        this.#transport = null;
+        this.#requestors = new Map();
+        this.#listeners = new Map();
+        this.#senders = new Map();
+        this.#replaying = null;
+        if (autoReplay && typeof window !== "undefined" && typeof window.addEventListener === "function"){
+            window.addEventListener("online", () => this.replay());
+            setTimeout(() => this.replay(), 0); //give the application a chance to register its requestors first
+        };
+    };
+    /**
+     * Change or retrieve the outbox shared by the application.
+     */
+    static set default(newValue){
+        if (newValue != null && !(newValue instanceof Outbox))
+            throw new TypeError(`invalid parameter of ${newValue.constructor.name} type. Instance of Outbox is required here.`);
+        Outbox.#default = newValue;
+    };
+    static get default(){
+        if (Outbox.#default == null)
+            Outbox.#default = new Outbox();
+        return Outbox.#default;
+    };
+    /**
+     * Return true when the browser reports that there is no network connection.
+     */
+    static get offline(){
+        return typeof navigator !== "undefined" && navigator.onLine === false;
+    };
+    /**
+     * Transport used to replay the entries. Falls back to Transport.default when not assigned.
+     * @param {Transport} instance of a Transport subclass.
+     */
+    set transport(newValue){
+        if (newValue != null && !(newValue instanceof Transport))
+            throw new TypeError(`invalid parameter of ${newValue.constructor.name} type. Instance of Transport is required here.`);
+        this.#transport = newValue;
+    };
+    get transport(){
+        return this.#transport || Transport.default;
+    };
+    /**
+     * Register the object (or class) that must be notified about the entries queued by requestors of its class.
+     * @param {object} requestor instance or class implementing onDataControllerCallbackEvent.
+     */
+    register(requestor){
+        if (requestor == null || typeof requestor.onDataControllerCallbackEvent !== "function")
+            throw new TypeError(`invalid requestor. An object implementing onDataControllerCallbackEvent is required here.`);
+        this.#requestors.set((typeof requestor === "function") ? requestor.name : requestor.constructor.name, requestor);
+    };
+    /**
+     * Store a request to be replayed later.
+     * @param {object} request containing method, url, headers and body (already serialized).
+     * @param {object} details {action, requestor} where requestor is the class name of the requestor.
+     * @param {function} listener (optional) called with (error, result) once the entry is replayed or cancelled.
+     * @param {function} sender (optional) called with the entry to send it in place of the transport, resolving with the
+     * response. It is kept in memory only.
+     */
+    enqueue(request, details = {}, listener, sender){
+        const entry = {
+            id: Date.now() * 1000 + (Outbox.#sequence++ % 1000), //keeps the order of the requests
+            method: request.method,
+            url: request.url,
+            headers: request.headers || {},
+            body: request.body,
+            action: (details.action != null) ? details.action : null,
+            requestor: details.requestor || null,
+            createdAt: new Date().toISOString()
+        };
+        return this.#storage.put(entry).then(() => {
+            if (typeof listener === "function")
+                this.#listeners.set(entry.id, listener);
+            if (typeof sender === "function")
+                this.#senders.set(entry.id, sender);
+            return entry;
+        });
+    };
+    /**
+     * Return the pending entries in the order they will be replayed.
+     */
+    list(){
+        return this.#storage.getAll().then(entries => entries.sort((a, b) => a.id - b.id));
+    };
+    /**
+     * Remove a pending entry. Its requestor is notified as cancelled.
+     * @param {number} id of the entry.
+     */
+    cancel(id){
+        return this.list().then(entries => {
+            const entry = entries.find(item => item.id === id);
+            if (entry == null)
+                return false;
+            return this.#storage.delete(id).then(() => {
+                this.#deliver(entry, new TransportError(`queued request to ${entry.url} was cancelled.`, { aborted: true }));
+                return true;
+            });
+        });
+    };
+    /**
+     * Remove every pending entry notifying their requestors as cancelled.
+     */
+    clear(){
+        return this.list().then(entries => Promise.all(entries.map(entry => this.cancel(entry.id))));
+    };
+    /**
+     * Send the pending entries in order. The replay stops at the first entry that fails because of the network,
+     * keeping it (and the following ones) for the next replay.
+     */
+    replay(){
+        if (this.#replaying != null)
+            return this.#replaying;
+        if (Outbox.offline)
+            return Promise.resolve(0);
+        let sent = 0;
+        const next = (entries) => {
+            if (entries.length == 0)
+                return sent;
+            const entry = entries.shift();
+            const sender = this.#senders.get(entry.id);
+            return ((sender != null) ? sender(entry) : this.transport.send(entry)).then(response => {
+                return this.#storage.delete(entry.id).then(() => {
+                    sent++;
+                    this.#deliver(entry, null, {
+                        sender: null,
+                        recipient: entry.url,
+                        method: entry.method,
+                        sent: parseResponseBody(entry.body, "json"),
+                        status: response.status,
+                        headers: response.headers,
+                        received: response.text,
+                        data: response.body,
+                        outboxId: entry.id
+                    });
+                    return next(entries);
+                });
+            }, error => {
+                if (error.isNetworkError && !error.timedOut)
+                    return sent; //still offline
+                return this.#storage.delete(entry.id).then(() => {
+                    this.#deliver(entry, error);
+                    return next(entries);
+                });
+            });
+        };
+        const done = () => { this.#replaying = null };
+        this.#replaying = this.list().then(next);
+        this.#replaying.then(done, done);
+        return this.#replaying;
+    };
+    #deliver(entry, error, result){
+        this.#senders.delete(entry.id);
+        const listener = this.#listeners.get(entry.id);
+        if (listener != null){
+            this.#listeners.delete(entry.id);
+            return listener(error, result);
+        };
+        const requestor = this.#requestors.get(entry.requestor);
+        if (requestor == null)
+            return;
+        let status = DataControllerStatus.Succeeded;
+        if (error != null)
+            status = (error.aborted) ? DataControllerStatus.Cancelled : DataControllerStatus.Failed;
+        requestor.onDataControllerCallbackEvent({
+            status: status,
+            payload: (error != null) ? error : result,
+            outbox: entry
+        });
+    };
+};
+
+/**
+ * Return a JSON text of a value with the keys of its objects sorted, so equivalent values produce the same text.
+ */
+function toNormalizedJSON(value){
+    return JSON.stringify(value, function(key, item){
+        if (item == null || typeof item !== "object" || Array.isArray(item))
+            return item;
+        return Object.keys(item).sort().reduce((sorted, name) => {
+            sorted[name] = item[name];
+            return sorted;
+        }, {});
+    });
+};
+
+/**
+ * Return true when two recipients address the same resource or collection (same origin, one path within the other).
+ */
+function isRelatedRecipient(first, second){
+    const a = new URL(first, "http://localhost");
+    const b = new URL(second, "http://localhost");
+    if (a.origin != b.origin)
+        return false;
+    const pathA = a.pathname.replace(/\/+$/, "") + "/";
+    const pathB = b.pathname.replace(/\/+$/, "") + "/";
+    return pathA.indexOf(pathB) == 0 || pathB.indexOf(pathA) == 0;
+};
+
+/**
+ * Opt-in cache of the responses to Load requests, keyed by recipient, action and payload bodies. Give a scope when the
+ * answers depend on the user and clear() the cache on logout.
+ */
+export class ResponseCache {
+    #entries;
+    #scope;
+    #ttl;
+    #maxEntries;
+    #maxBytes;
+    #staleWhileRevalidate;
+    #storage;
+    #name;
+    /**
+     * Create an instance of ResponseCache type.
+     * @param {object} options {ttl, maxEntries, maxBytes, staleWhileRevalidate, storage, name, scope}:
+     *  - ttl: time to live of the entries in milliseconds (60000 by default).
+     *  - maxEntries: number of entries kept (100 by default).
+     *  - maxBytes: size of the response texts kept (no limit by default).
+     *  - staleWhileRevalidate: set to true to deliver expired entries while a fresher result is requested.
+     *  - storage: Web Storage (i.e. localStorage, sessionStorage) where the entries are persisted under the name given.
+     *  - scope: string or function returning the string (i.e. the id of the user signed in) the entries are kept under.
+     */
+    constructor(options = {}){
+        if (options.storage != null && (typeof options.storage.getItem !== "function" || typeof options.storage.setItem !== "function"))
+            throw new TypeError(`invalid parameter for storage: ${options.storage}. A Storage instance is required here.`);
+        this.#entries = new Map(); //insertion order is the order of use (least recently used first)
+        this.#ttl = (options.ttl != null) ? Number(options.ttl) : 60000;
+        this.#maxEntries = (options.maxEntries != null) ? Number(options.maxEntries) : 100;
+        this.#maxBytes = (options.maxBytes != null) ? Number(options.maxBytes) : Infinity;
+        this.#staleWhileRevalidate = options.staleWhileRevalidate === true;
+        this.#storage = options.storage || null;
+        this.#name = options.name || "juliett-cache";
+        this.#scope = (options.scope != null) ? options.scope : null;
+        this.#restore();
+    };
+    get ttl(){
+        return this.#ttl;
+    };
+    get staleWhileRevalidate(){
+        return this.#staleWhileRevalidate;
+    };
+    get size(){
+        return this.#entries.size;
+    };
+    /**
+     * Return the key of a request.
+     * @param {string} recipient URL of the request.
+     * @param {number} action ViewControllerAction constant.
+     * @param {Payload} payload whose bodies are part of the key (headers carry identifiers and timestamps, so they are left out).
+     */
+    static key(recipient, action, payload){
+        const bodies = (payload != null) ? payload.content.map(entry => entry.body) : [];
+        return `${action} ${recipient} ${toNormalizedJSON(bodies)}`;
+    };
+    /**
+     * Return an entry {key, recipient, response, time, expires, stale} (null when there is none).
+     * @param {string} key of the entry.
+     */
+    get(key){
+        key = this.#scoped(key);
+        const entry = this.#entries.get(key);
+        if (entry == null)
+            return null;
+        this.#entries.delete(key);
+        this.#entries.set(key, entry);
+        return Object.assign({}, entry, { stale: Date.now() >= entry.expires });
+    };
+    /**
+     * Keep a response.
+     * @param {string} key of the entry.
+     * @param {object} response received through the transport ({status, headers, text, body}).
+     * @param {object} options {recipient, ttl}: URL used to invalidate the entry and its time to live (ttl of the cache by default).
+     */
+    set(key, response, options = {}){
+        const ttl = (options.ttl != null) ? Number(options.ttl) : this.#ttl;
+        key = this.#scoped(key);
+        this.#entries.delete(key);
+        this.#entries.set(key, {
+            key: key,
+            recipient: options.recipient || null,
+            response: { status: response.status, statusText: response.statusText || "", headers: response.headers || {}, text: response.text || "", body: response.body },
+            time: Date.now(),
+            expires: Date.now() + ttl
+        });
+        this.#evict();
+        this.#persist();
+    };
+    delete(key){
+        const deleted = this.#entries.delete(this.#scoped(key));
+        if (deleted)
+            this.#persist();
+        return deleted;
+    };
+    /**
+     * Remove the entries of a recipient, the entries accepted by a function or every entry. Return the number removed.
+     * @param {*} filter URL of the recipient or function(entry) returning true for the entries to be removed.
+     */
+    invalidate(filter){
+        const count = this.#entries.size;
+        Array.from(this.#entries.values()).forEach(entry => {
+            let remove = filter == null;
+            if (typeof filter === "function")
+                remove = filter(entry) === true;
+            else if (typeof filter === "string")
+                remove = entry.recipient != null && isRelatedRecipient(entry.recipient, filter);
+            if (remove)
+                this.#entries.delete(entry.key);
+        });
+        if (count != this.#entries.size)
+            this.#persist();
+        return count - this.#entries.size;
+    };
+    clear(){
+        this.invalidate();
+    };
+    /**
+     * Prefix a key with the current scope (if any).
+     */
+    #scoped(key){
+        const scope = (typeof this.#scope === "function") ? this.#scope() : this.#scope;
+        return (scope != null) ? `${scope}\u0000${key}` : key;
+    };
+    #evict(){
+        const keys = Array.from(this.#entries.keys());
+        let bytes = Array.from(this.#entries.values()).reduce((total, entry) => total + entry.response.text.length, 0);
+        while (keys.length > 0 && (this.#entries.size > this.#maxEntries || bytes > this.#maxBytes)){
+            const key = keys.shift();
+            bytes -= this.#entries.get(key).response.text.length;
+            this.#entries.delete(key);
+        };
+    };
+    #persist(){
+        if (this.#storage == null)
+            return;
+        try {
+            this.#storage.setItem(this.#name, JSON.stringify(Array.from(this.#entries.values())));
+        }
+        catch(e) { //quota exceeded: the cache keeps working in memory
+        };
+    };
+    #restore(){
+        if (this.#storage == null)
+            return;
+        try {
+            const entries = JSON.parse(this.#storage.getItem(this.#name) || "[]");
+            entries.forEach(entry => this.#entries.set(entry.key, entry));
+            this.#evict();
+        }
+        catch(e) {
+            this.#entries.clear();
+        };
+    };
+};
+
+/**
+ * Middleware applied to the requests issued by the controllers. Hooks may be given to the constructor or overridden:
+ *  - beforeSend(request, context): return the request to send, or context.respond(body, status, headers) to answer it.
+ *  - afterReceive(response, context): return the response, or throw an error to reject it.
+ *  - onError(error, context): throw the error, return a response or return context.retry() to send the request again.
+ * Global interceptors (Interceptor.use) run before the interceptors of the controller.
+ */
+export class Interceptor {
+    static #global = [];
+    /**
+     * Create an instance of Interceptor type.
+     * @param {object} hooks {beforeSend, afterReceive, onError} functions overriding the default hooks.
+     */
+    constructor(hooks = {}){
+        ["beforeSend", "afterReceive", "onError"].forEach(name => {
+            if (hooks[name] == null)
+                return;
+            if (typeof hooks[name] !== "function")
+                throw new TypeError(`invalid parameter for ${name}: ${hooks[name]}. A function is required here.`);
+            this[name] = hooks[name];
+        });
+    };
+    beforeSend(request, context){
+        return request;
+    };
+    afterReceive(response, context){
+        return response;
+    };
+    onError(error, context){
+        throw error;
+    };
+    /**
+     * Return the interceptors applied to every controller.
+     */
+    static get global(){
+        return Interceptor.#global.slice();
+    };
+    /**
+     * Apply an interceptor to every controller. Return the interceptor (created from hooks when an object is given).
+     * @param {Interceptor} interceptor instance of Interceptor or an object with the hooks accepted by its constructor.
+     */
+    static use(interceptor){
+        interceptor = toInterceptor(interceptor);
+        Interceptor.#global.push(interceptor);
+        return interceptor;
+    };
+    /**
+     * Stop applying a global interceptor.
+     * @param {Interceptor} interceptor returned by use().
+     */
+    static eject(interceptor){
+        const index = Interceptor.#global.indexOf(interceptor);
+        if (index > -1)
+            Interceptor.#global.splice(index, 1);
+        return index > -1;
+    };
+    /**
+     * Create an interceptor adding headers to each request.
+     * @param {object} headers mapping each header name to its value or to a function(request, context) returning it.
+     */
+    static headers(headers){
+        return new Interceptor({
+            beforeSend: (request, context) => {
+                Object.entries(headers).forEach(([name, value]) => {
+                    value = (typeof value === "function") ? value(request, context) : value;
+                    if (value != null)
+                        request.headers[name] = String(value);
+                });
+                return request;
+            }
+        });
+    };
+    /**
+     * Create an interceptor sending an access token and refreshing it once when the recipient answers 401 (Unauthorized).
+     * @param {object} options {getToken, refresh, header, scheme}: token getter, token refresh, header name and scheme.
+     */
+    static authRefresh(options = {}){
+        if (typeof options.refresh !== "function")
+            throw new TypeError(`invalid parameter for refresh: ${options.refresh}. A function is required here.`);
+        const header = options.header || "Authorization";
+        const scheme = (options.scheme != null) ? options.scheme : "Bearer";
+        let token = null;
+        let refreshing = null;
+        const getToken = (typeof options.getToken === "function") ? options.getToken : () => token;
+        return new Interceptor({
+            beforeSend: (request) => Promise.resolve(getToken()).then(value => {
+                if (value != null && value !== "")
+                    request.headers[header] = (scheme != "") ? `${scheme} ${value}` : String(value);
+                return request;
+            }),
+            onError: (error, context) => {
+                if (error.status !== 401 || context.retried)
+                    throw error;
+                if (refreshing == null){
+                    refreshing = Promise.resolve().then(() => options.refresh(error)).then(value => {
+                        refreshing = null;
+                        if (value !== undefined)
+                            token = value;
+                    }, reason => {
+                        refreshing = null;
+                        throw reason;
+                    });
+                };
+                return refreshing.then(() => context.retry(), () => { throw error; });
+            }
+        });
+    };
+};
+
+/**
+ * Return the interceptor given or create one from an object with hooks.
+ */
+function toInterceptor(interceptor){
+    if (interceptor instanceof Interceptor)
+        return interceptor;
+    if (interceptor == null || typeof interceptor !== "object")
+        throw new TypeError(`invalid parameter for interceptor: ${interceptor}. Instance of Interceptor is required here.`);
+    return new Interceptor(interceptor);
+};
+
+/**
+ * State {id, offset} of the files being uploaded in chunks, keyed by File object.
+ */
+const RESUMABLE_UPLOADS = new WeakMap();
+
+/**
+ * Implement basic procedures to send and receive data through a pluggable Transport (fetch by default, XMLHttpRequest as fallback).
+ * This class has no control over the meaning information in the payload, but just acts as a trasmitter / receiver. 
+ * The onSuccess and onError event handlers must be implemented outside to deal with any result that comes back to the caller.
+ * Every listener registered through on() is notified of the events:
+ *  - beforeSend {action, payload, request}: the request is about to be scheduled (its headers can still be changed).
+ *  - progress {action, phase, ...}: "attempt" {attempt, attempts, delay, error} before each delivery attempt and 
+ *    "queued" {entry} when the request is kept in the outbox, "upload" and "download" {loaded, total, percent} while
+ *    the request is sent and the answer received.
+ *  - success {action, result}, error {action, error} or cancelled {action, error}: outcome of the request.
+ *  - complete {action, status, result, error}: emitted after any outcome (DataControllerStatus).
+ */
+class BaseController extends EventEmitter {
+    #recipient;
+    #sender;
+    #payload;
+    #action;
+    #endpoints;
+    #transport;
+    #coordinator;
+    #policy;
+    #outbox;
+    #cache;
+    #interceptors;
+    #onSuccessEventHandler;
+    #onErrorEventHandler;
+    #onCancelEventHandler;
+    #onAttemptEventHandler;
+    #onQueueEventHandler;
+    #onProgressEventHandler;
+    constructor(){
+        super();
+        this.#recipient = null;
+        this.#payload = null;
+        this.#action = null;
+        this.#endpoints = {};
+        this.#transport = null;
+        this.#coordinator = null;
+        this.#policy = new RequestPolicy();
+        this.#outbox = null;
+        this.#cache = null;
+        this.#interceptors = [];
+        this.#onSuccessEventHandler = null;
+        this.#onErrorEventHandler = null;
+        this.#onCancelEventHandler = null;
+        this.#onAttemptEventHandler = null;
+        this.#onQueueEventHandler = null;
+        this.#onProgressEventHandler = null;
+    };
+    /**
+     * Payload is a object wrapper for the information to be sent. 
+     * @param {object} object containing any predefined structure. 
+     */
+    set payload(newValue){
+        if (!(newValue instanceof Payload) || newValue == null)
+            throw new TypeError(`invalid parameter of ${newValue.constructor.name} type. Instance of Payload is required here`);
+        this.#payload = newValue;
+    };
+    get payload(){
+        return this.#payload;
+    };
+    /**
+     * Recipient identifies the web address to the service that will read and process the payload. 
+     * @param {string} URL of the recipient.
+     */
+    set recipient(newValue){
+        if (newValue == null || !(typeof newValue === "string") || PATTERN_URL.test(newValue) == false)
+            throw new TypeError(`invalid parameter for recipient: ${newValue}. A valid URL is required here.`);
+        this.#recipient = newValue;
+    };
+    get recipient(){
+        return this.#recipient;
+    };
+    /**
+     * Sender identifies the web address from the origin of the request.
+     * @param {string} URL of the sender.
+     */
+    set sender(newValue){
+        if (newValue == null || !(typeof newValue === "string") || PATTERN_URL.test(newValue) == false)
+            throw new TypeError(`invalid parameter for sender: ${newValue}. A valid URL is required here.`);
+        this.#sender = newValue;
+    };
+    get sender(){
+        return this.#sender;
+    };
+    /**
+     * Event handler to be called when the execution is successful after the asynchronous request.
+     * @param {function} name of the event handler.
+     */
+    set onSuccessEventHandler(newValue){
+        this.#onSuccessEventHandler = (newValue != null && typeof newValue == "function") ? newValue : null;
+    };
+    get onSuccessEventHandler(){
+        return this.#onSuccessEventHandler;
+    };
+    /**
+     * Event handler to be called when an error occurs during or after the asychronous request.
+     * @param {function} name of the event handler.
+     */
+    set onErrorEventHandler(newValue){
+        this.#onErrorEventHandler = (newValue != null && typeof newValue == "function") ? newValue : null;
+    };
+    get onErrorEventHandler(){
+        return this.#onErrorEventHandler;
+    };
+    /**
+     * Event handler to be called when the request is cancelled (aborted, superseded or cancelled while queued).
+     * Cancelled requests are reported to the error event handler when this one is not assigned.
+     * @param {function} name of the event handler.
+     */
+    set onCancelEventHandler(newValue){
+        this.#onCancelEventHandler = (newValue != null && typeof newValue == "function") ? newValue : null;
+    };
+    get onCancelEventHandler(){
+        return this.#onCancelEventHandler;
+    };
+    /**
+     * Event handler to be called before each attempt to deliver the request, receiving {attempt, attempts, delay, error}.
+     * The error is the failure of the previous attempt (null on the first one).
+     * @param {function} name of the event handler.
+     */
+    set onAttemptEventHandler(newValue){
+        this.#onAttemptEventHandler = (newValue != null && typeof newValue == "function") ? newValue : null;
+    };
+    get onAttemptEventHandler(){
+        return this.#onAttemptEventHandler;
+    };
+    /**
+     * Event handler to be called when the request is kept in the outbox because the network is unavailable.
+     * @param {function} name of the event handler.
+     */
+    set onQueueEventHandler(newValue){
+        this.#onQueueEventHandler = (newValue != null && typeof newValue == "function") ? newValue : null;
+    };
+    get onQueueEventHandler(){
+        return this.#onQueueEventHandler;
+    };
+    /**
+     * Event handler to be called while the request is uploaded or the answer downloaded.
+     * @param {function} name of the event handler, receiving {phase, loaded, total, percent}.
+     */
+    set onProgressEventHandler(newValue){
+        this.#onProgressEventHandler = (newValue != null && typeof newValue == "function") ? newValue : null;
+    };
+    get onProgressEventHandler(){
+        return this.#onProgressEventHandler;
+    };
+    /**
+     * Action being performed (ViewControllerAction). It selects the HTTP verb and, when an endpoint was set for it, the URL.
+     * @param {number} ViewControllerAction constant.
+     */
+    set action(newValue){
+        if (newValue != null && HTTP_METHODS[newValue] == null)
+            throw new TypeError(`invalid parameter value for action: ${newValue}. Require ViewControllerAction enumerator constants.`);
+        this.#action = newValue;
+    };
+    get action(){
+        return this.#action;
+    };
+    /**
+     * Assign a specific URL and/or HTTP verb to an action, i.e. setEndpoint(ViewControllerAction.Edit, "https://www.host.com/customers/1", "PATCH").
+     * Actions without an endpoint are sent to the recipient using their default verb.
+     * @param {number} action ViewControllerAction constant.
+     * @param {string} url of the service that handles the action (optional, recipient is used if omitted).
+     * @param {string} method HTTP verb (optional, default verb of the action is used if omitted).
+     */
+    setEndpoint(action, url, method){
+        if (HTTP_METHODS[action] == null)
+            throw new TypeError(`invalid parameter value for action: ${action}. Require ViewControllerAction enumerator constants.`);
+        if (url != null && (typeof url !== "string" || PATTERN_URL.test(url) == false))
+            throw new TypeError(`invalid parameter for endpoint: ${url}. A valid URL is required here.`);
+        this.#endpoints[action] = {
+            url: url || null,
+            method: (method != null) ? String(method).toUpperCase() : null
+        };
+    };
+    /**
+     * Return the URL and HTTP verb that will be used to perform an action.
+     * @param {number} action ViewControllerAction constant (optional, current action is used if omitted).
+     */
+    getEndpoint(action = this.action){
+        const endpoint = this.#endpoints[action] || {};
+        return {
+            url: endpoint.url || this.recipient,
+            method: endpoint.method || HTTP_METHODS[action] || "POST" //POST is kept as default when no action was set
+        };
+    };
+    /**
+     * Transport used to deliver the requests. Falls back to Transport.default when not assigned.
+     * @param {Transport} instance of a Transport subclass.
+     */
+    set transport(newValue){
+        if (newValue != null && !(newValue instanceof Transport))
+            throw new TypeError(`invalid parameter of ${newValue.constructor.name} type. Instance of Transport is required here.`);
+        this.#transport = newValue;
+    };
+    get transport(){
+        return this.#transport || Transport.default;
+    };
+    /**
+     * Coordinator that schedules the requests. Falls back to RequestCoordinator.default when not assigned.
+     * @param {RequestCoordinator} instance shared by the controllers that must be coordinated together.
+     */
+    set coordinator(newValue){
+        if (newValue != null && !(newValue instanceof RequestCoordinator))
+            throw new TypeError(`invalid parameter of ${newValue.constructor.name} type. Instance of RequestCoordinator is required here.`);
+        this.#coordinator = newValue;
+    };
+    get coordinator(){
+        return this.#coordinator || RequestCoordinator.default;
+    };
+    /**
+     * Timeout and retry rules applied to every request of this controller. Can be overridden per request through execute().
+     * @param {RequestPolicy} instance of RequestPolicy or an object with the options accepted by its constructor.
+     */
+    set policy(newValue){
+        if (newValue == null || typeof newValue !== "object")
+            throw new TypeError(`invalid parameter for policy: ${newValue}. Instance of RequestPolicy is required here.`);
+        this.#policy = (newValue instanceof RequestPolicy) ? newValue : new RequestPolicy(newValue);
+    };
+    get policy(){
+        return this.#policy;
+    };
+    /**
+     * Opt-in outbox mode: requests (except bodyless ones such as Load and the ones carrying files) that cannot be delivered
+     * while the browser is offline are stored in the outbox and replayed when it comes back online.
+     * @param {Outbox} instance of Outbox (null turns the outbox mode off).
+     */
+    set outbox(newValue){
+        if (newValue != null && !(newValue instanceof Outbox))
+            throw new TypeError(`invalid parameter of ${newValue.constructor.name} type. Instance of Outbox is required here.`);
+        this.#outbox = newValue;
+    };
+    get outbox(){
+        return this.#outbox;
+    };
+    /**
+     * Opt-in cache of the responses to Load requests (null turns the cache off).
+     * @param {ResponseCache} instance of ResponseCache.
+     */
+    set cache(newValue){
+        if (newValue != null && !(newValue instanceof ResponseCache))
+            throw new TypeError(`invalid parameter of ${newValue.constructor.name} type. Instance of ResponseCache is required here.`);
+        this.#cache = newValue;
+    };
+    get cache(){
+        return this.#cache;
+    };
+    /**
+     * Return the interceptors applied to the requests of this controller (global interceptors excluded).
+     */
+    get interceptors(){
+        return this.#interceptors.slice();
+    };
+    /**
+     * Apply an interceptor to the requests of this controller. Return the interceptor.
+     * @param {Interceptor} interceptor instance of Interceptor or an object with the hooks accepted by its constructor.
+     */
+    use(interceptor){
+        interceptor = toInterceptor(interceptor);
+        this.#interceptors.push(interceptor);
+        return interceptor;
+    };
+    /**
+     * Stop applying an interceptor to the requests of this controller.
+     * @param {Interceptor} interceptor returned by use().
+     */
+    eject(interceptor){
+        const index = this.#interceptors.indexOf(interceptor);
+        if (index > -1)
+            this.#interceptors.splice(index, 1);
+        return index > -1;
+    };
+    /**
+     * Send the payload out to the recipient via asynchronous request.
+     * Return a promise settled with the value returned by the success (or error/cancel) event handler. 
+     * When no error event handler is assigned the promise is rejected with the TransportError.
+     * @param {number} action ViewControllerAction constant (optional, current action is used if omitted).
+     * @param {object} options coordination options {channel, latest, after, signal, dedupe} (see RequestCoordinator.schedule).
+     *  Set dedupe to true to share the outcome of an identical request (same verb, URL and bodies) still in flight.
+     *  Set policy to a RequestPolicy (or to the options overriding the controller policy) to change the timeout and retry rules.
+     *  Set onResponse to a function(result) to handle the result before it is reported to the success event handler.
+     *  Set cache to false to bypass the response cache, or to {ttl} to change the time to live of the entry.
+     *  Payloads carrying files (Blob or File objects) are sent as multipart/form-data (see encodeMultipart). Set upload to
+     *  {chunkSize, url} to send the files larger than chunkSize bytes beforehand, in chunks, to the url (endpoint of the 
+     *  action by default). Each chunk is a POST request carrying the Upload-ID and Content-Range headers; an Upload-Offset 
+     *  header in the answer tells where the next chunk starts. Uploads interrupted resume where they stopped when the 
+     *  same File object is sent again during the session (the state is kept in memory, a page reload starts over). 
+     *  Uploads are cancelled as any other request (i.e. through the signal option).
+     */
+    execute(action = this.action, options = {}){
+        const endpoint = this.getEndpoint(action);
+        if (endpoint.url == null)
+            throw new Error("no valid recipient url was provided to dispatch the payload.");
+        if (this.payload == null)
+            throw new Error("data package is empty.");
+        const payload = this.payload;
+        if (payload.action == null && action != null)
+            payload.action = action;
+        const request = {
+            method: endpoint.method,
+            url: endpoint.url,
+            headers: { "Accept": "application/json", "X-Request-ID": payload.requestId },
+            body: null
+        };
+        if (payload.idempotencyKey != null)
+            request.headers["Idempotency-Key"] = payload.idempotencyKey;
+        let files = [];
+        const encode = uploads => {
+            request.body = (files.length > 0) ? encodeMultipart(payload, files, uploads) : JSON.stringify(payload);
+            if (typeof request.body === "string")
+                request.headers["Content-type"] = "application/json";
+            else
+                delete request.headers["Content-type"]; //the boundary of the parts is set by the transport
+        };
+        if (request.method == "GET" || request.method == "HEAD"){ //Bodyless verbs carry the payload as query parameters
+            const query = toQueryString(this.payload);
+            if (query != "")
+                request.url += ((request.url.indexOf("?") > -1) ? "&" : "?") + query;
+        }
+        else {
+            files = collectFiles(payload.content.map(entry => entry.body));
+            encode();
+        };
+        const upload = options.upload || {};
+        const chunked = files.filter(file => upload.chunkSize > 0 && file.size > upload.chunkSize);
+        this.emit("beforeSend", { action: action, payload: payload, request: request });
+        const policy = (options.policy instanceof RequestPolicy) ? options.policy : this.policy.extend(options.policy);
+        const coordinator = this.coordinator;
+        const queueable = this.outbox != null && typeof request.body === "string" && files.length == 0;
+        if (queueable && Outbox.offline)
+            return this.#enqueue(request, action, policy);
+        const cache = (options.cache !== false) ? this.cache : null;
+        const cacheKey = (cache != null && action === ViewControllerAction.Load) ? ResponseCache.key(endpoint.url, action, payload) : null;
+        const deliver = (response, cached) => {
+            const result = {
+                sender: this.sender,
+                recipient: request.url,
+                method: request.method,
+                sent: payload,
+                status: response.status,
+                headers: response.headers,
+                received: response.text,
+                data: response.body,
+                response: new PayloadResponse(payload, response.body, response.status),
+                cached: cached //answered by the response cache
+            };
+            result.response.mapErrors();
+            if (typeof options.onResponse === "function")
+                options.onResponse(result);
+            return this.#succeed(result, action);
+        };
+        const send = signal => {
+            if (chunked.length == 0)
+                return this.#intercept(request, policy, action, signal);
+            return this.#upload(chunked, upload.url || endpoint.url, upload.chunkSize, policy, action, signal).then(uploads => {
+                encode(uploads);
+                return this.#intercept(request, policy, action, signal);
+            }).then(response => {
+                chunked.forEach(file => RESUMABLE_UPLOADS.delete(file)); //the recipient took the uploads over
+                return response;
+            });
+        };
+        let owner = false; //false when the outcome of an identical request in flight is shared (dedupe)
+        const transmit = () => {
+            owner = true;
+            return coordinator.schedule(send, options);
+        };
+        const bodies = payload.content.map(entry => entry.body); //headers carry a timestamp, so they are left out of the key
+        const describe = function(key, value){ //blobs would be serialized as {}
+            return (isBlob(value)) ? { name: value.name, size: value.size, type: value.type, lastModified: value.lastModified } : value;
+        };
+        const run = () => ((options.dedupe) ? coordinator.dedupe(`${request.method} ${request.url} ${JSON.stringify(bodies, describe)}`, transmit) : transmit()).then(response => {
+            if (cacheKey != null)
+                cache.set(cacheKey, response, { recipient: endpoint.url, ttl: (options.cache != null) ? options.cache.ttl : null });
+            else if (cache != null && [ViewControllerAction.Create, ViewControllerAction.Edit, ViewControllerAction.Remove].indexOf(action) > -1)
+                cache.invalidate(endpoint.url);
+            return deliver(response, false);
+        }, error => {
+            if (queueable && error.isNetworkError && !error.timedOut && Outbox.offline && owner) //timeouts leave the outcome unknown
+                return this.#enqueue(request, action, policy);
+            if (!owner && error instanceof TransportError)
+                error = new TransportError(error.message, error); //each controller decorates its own copy
+            if (error instanceof TransportError && !error.isNetworkError && !error.aborted){
+                error.response = new PayloadResponse(payload, error.body, error.status);
+                error.response.mapErrors();
+            };
+            return this.#fail(error, action);
+        });
+        const entry = (cacheKey != null) ? cache.get(cacheKey) : null;
+        if (entry == null || (entry.stale && !cache.staleWhileRevalidate))
+            return run();
+        //the cached answer goes through the channel as well
+        const delivered = coordinator.schedule(() => Promise.resolve(entry.response), options)
+            .then(response => deliver(response, true), error => this.#fail(error, action));
+        if (entry.stale) //the fresher result is delivered once received
+            delivered.then(() => run(), () => run()).catch(() => null);
+        return delivered;
+    };
+    /**
+     * Report a result to the listeners and to the success event handler.
+     */
+    #succeed(result, action){
+        this.emit("success", { action: action, result: result });
+        try {
+            return (this.#onSuccessEventHandler != null) ? this.#onSuccessEventHandler(result) : result;
+        }
+        finally {
+            this.emit("complete", { action: action, status: DataControllerStatus.Succeeded, result: result, error: null });
+        };
+    };
+    /**
+     * Route a failure to the listeners and to the cancel or error event handler.
+     */
+    #fail(error, action){
+        this.emit((error.aborted) ? "cancelled" : "error", { action: action, error: error });
+        try {
+            if (error.aborted && this.#onCancelEventHandler != null)
+                return this.#onCancelEventHandler(error);
+            if (this.#onErrorEventHandler == null)
+                throw error;
+            return this.#onErrorEventHandler(error);
+        }
+        finally {
+            const status = (error.aborted) ? DataControllerStatus.Cancelled : DataControllerStatus.Failed;
+            this.emit("complete", { action: action, status: status, result: null, error: error });
+        };
+    };
+    /**
+     * Keep the request in the outbox. Its outcome will be reported to the same event handlers once replayed.
+     */
+    #enqueue(request, action, policy){
+        const details = { action: action, requestor: this.payload.requestor };
+        return this.outbox.enqueue(request, details, (error, result) => {
+            if (error != null)
+                return this.#fail(error, action);
+            this.#succeed(result, action);
+        }, () => this.#intercept(request, policy, action, null)).then(entry => { //interceptors run again at replay time
+            this.emit("progress", { action: action, phase: "queued", entry: entry });
+            return (this.#onQueueEventHandler != null) ? this.#onQueueEventHandler(entry) : entry;
+        });
+    };
+    /**
+     * Run the request through the interceptors (global ones first) around its delivery.
+     */
+    #intercept(request, policy, action, signal, retried = false){
+        const interceptors = Interceptor.global.concat(this.#interceptors);
+        const reversed = interceptors.slice().reverse();
+        const context = {
+            controller: this,
+            action: action,
+            payload: this.payload,
+            retried: retried,
+            response: null,
+            outcome: null,
+            respond: function(body, status = 200, headers = {}){
+                this.response = {
+                    status: status,
+                    statusText: "",
+                    headers: headers,
+                    text: (typeof body === "string") ? body : JSON.stringify(body),
+                    body: body
+                };
+                return this.response;
+            },
+            retry: () => {
+                if (retried)
+                    throw new Error("the request was already sent again.");
+                return this.#intercept(request, policy, action, signal, true).then(response => {
+                    context.outcome = response;
+                    return response;
+                }, error => {
+                    context.outcome = error;
+                    throw error;
+                });
+            }
+        };
+        let outgoing = Promise.resolve(Object.assign({}, request, { headers: Object.assign({}, request.headers) }));
+        interceptors.forEach(interceptor => {
+            outgoing = outgoing.then(value => {
+                if (context.response != null)
+                    return value;
+                return Promise.resolve(interceptor.beforeSend(value, context)).then(result => (result === undefined || result === context.response) ? value : result);
+            });
+        });
+        let incoming = outgoing.then(value => {
+            if (context.response != null)
+                return context.response;
+            if (value.body != null && typeof value.body === "object" && (Array.isArray(value.body) || Object.getPrototypeOf(value.body) === Object.prototype))
+                value.body = JSON.stringify(value.body); //bodies replaced by plain objects are serialized
+            return this.#send(value, policy, action, signal);
+        });
+        reversed.forEach(interceptor => {
+            incoming = incoming.then(value => {
+                if (value === context.outcome)
+                    return value; //already handled by the interceptors of the retried request
+                return Promise.resolve(interceptor.afterReceive(value, context)).then(result => (result === undefined) ? value : result);
+            }, error => {
+                if (error === context.outcome)
+                    throw error;
+                return interceptor.onError(error, context);
+            });
+        });
+        return incoming;
+    };
+    /**
+     * Send files in chunks and resolve with the identifiers of the uploads (Map of file to Upload-ID).
+     */
+    #upload(files, url, chunkSize, policy, action, signal){
+        const uploads = new Map();
+        const total = files.reduce((size, file) => size + file.size, 0);
+        const chunkPolicy = policy.extend({ idempotent: true }); //each chunk carries its range, so it can be sent again
+        let sent = 0;
+        return files.reduce((previous, file) => previous.then(() => {
+            if (!RESUMABLE_UPLOADS.has(file))
+                RESUMABLE_UPLOADS.set(file, { id: createIdentifier(), offset: 0 });
+            const state = RESUMABLE_UPLOADS.get(file);
+            const next = () => {
+                if (state.offset >= file.size){
+                    uploads.set(file, state.id);
+                    sent += file.size;
+                    return;
+                };
+                const end = Math.min(state.offset + chunkSize, file.size);
+                const request = {
+                    method: "POST",
+                    url: url,
+                    headers: {
+                        "Content-type": "application/octet-stream",
+                        "Content-Range": `bytes ${state.offset}-${end - 1}/${file.size}`,
+                        "Upload-ID": state.id,
+                        "Upload-Name": encodeURIComponent((file.name != null) ? file.name : "blob")
+                    },
+                    body: file.slice(state.offset, end),
+                    progress: { loaded: sent + state.offset, total: total }
+                };
+                return this.#intercept(request, chunkPolicy, action, signal).then(response => {
+                    const offset = parseInt((response.headers || {})["upload-offset"]);
+                    state.offset = (offset > state.offset) ? Math.min(offset, file.size) : end;
+                    return next();
+                });
+            };
+            return next();
+        }), Promise.resolve()).then(() => uploads);
+    };
+    /**
+     * Report the upload or download progress of a request to the listeners and to the progress event handler.
+     */
+    #progress(action, phase, loaded, total){
+        const progress = { phase: phase, loaded: loaded, total: total, percent: (total > 0) ? Math.min(100, Math.round(loaded / total * 100)) : null };
+        this.emit("progress", Object.assign({ action: action }, progress));
+        if (this.#onProgressEventHandler != null)
+            this.#onProgressEventHandler(progress);
+    };
+    /**
+     * Deliver the request through the transport applying the timeout and retry rules of the policy.
+     */
+    #send(request, policy, action, signal, attempt = 1, lastError = null, wait = 0){
+        const progress = { attempt: attempt, attempts: policy.getAttempts(action), delay: wait, error: lastError };
+        this.emit("progress", Object.assign({ action: action, phase: "attempt" }, progress));
+        if (this.#onAttemptEventHandler != null)
+            this.#onAttemptEventHandler(progress);
+        const controller = new AbortController(); //aborted either by the caller signal or by the timeout
+        const onAbort = () => controller.abort();
+        if (signal != null){
+            if (signal.aborted)
+                controller.abort();
+            else
+                signal.addEventListener("abort", onAbort, { once: true });
+        };
+        let timer = null;
+        let timedOut = false;
+        if (policy.timeout > 0){
+            timer = setTimeout(function(){
+                timedOut = true;
+                controller.abort();
+            }, policy.timeout);
+        };
+        const done = () => {
+            clearTimeout(timer);
+            if (signal != null)
+                signal.removeEventListener("abort", onAbort);
+        };
+        const base = request.progress || { loaded: 0, total: 0 };
+        return this.transport.send(Object.assign({}, request, {
+            signal: controller.signal,
+            onUploadProgress: e => this.#progress(action, "upload", base.loaded + e.loaded, (base.total > 0) ? base.total : e.total),
+            onDownloadProgress: e => this.#progress(action, "download", e.loaded, e.total)
+        })).then(response => {
+            done();
+            return response;
+        }, error => {
+            done();
+            if (timedOut)
+                error = new TransportError(`request to ${request.url} timed out after ${policy.timeout}ms.`, { timedOut: true, cause: error });
+            if (attempt >= policy.getAttempts(action) || !policy.isRetryable(error))
+                throw error;
+            const next = policy.getDelay(attempt, error);
+            return delay(next, signal).then(() => this.#send(request, policy, action, signal, attempt + 1, error, next));
+        });
+    };
+};
+
+export const DataControllerStatus = new Enumerator({
+    "Succeeded" : true,
+    "Failed"    : false,
+    "Cancelled" : "cancelled", //neither loosely equal to Failed nor falsy, compare statuses strictly
+    "Queued"    : "queued" //kept in the outbox, reported through onDataControllerQueuedEvent only
+});
+
+/**
+ * Exposes the BaseController allowing the aggregation of its features into an requestor class.
+ * The requestor (optional) is notified through its onDataControllerCallbackEvent method, any number of listeners can 
+ * be registered through on() as well (see BaseController events).
+ */
+export class DataController extends BaseController{
+    #viewController;
+    #requestor;
+    /**
+     * Create an instance of DataController type.
+     * @param {object} requestor instance implementing onDataControllerCallbackEvent (optional).
+     */
+    constructor(requestor = null){
+        super();
+        super.onSuccessEventHandler = this.onSuccessEventHandler; //Redirect the event trigger to its local version.
+        super.onErrorEventHandler = this.onErrorEventHandler;
+        super.onCancelEventHandler = this.onCancelEventHandler;
+        super.onAttemptEventHandler = this.onAttemptEventHandler;
+        super.onQueueEventHandler = this.onQueueEventHandler;
+        super.onProgressEventHandler = this.onProgressEventHandler;
+        this.#requestor = requestor;
+    };
+    /**
+     * Re-route the event handler to the overloaded method that will perform if the request was sucessful.
+     * @param {object} response containing the payload and the result from processing.
+     */
+    onSuccessEventHandler(response){
+        const event = {
+            status: DataControllerStatus.Succeeded,
+            payload: response
+        };
+        this.#notify(event); //Call the event defined by the requestor class passing execution status flag and the returned data package.
+        return event; //Settles the promise returned by execute()
+    };
+    /**
+     * Re-route the event handler to the overloaded method that will perform if the request failed.
+     * @param {TransportError} response containing the error code, headers and the parsed body sent back by the recipient.
+     */
+    onErrorEventHandler(response){
+        const event = {
+            status: DataControllerStatus.Failed,
+            payload: response
+        };
+        this.#notify(event); //Call the event defined by the requestor class passing execution status flag and the returned data package.
+        return event; //Settles the promise returned by execute()
+    };
+    /**
+     * Re-route the event handler to the overloaded method that will perform if the request was cancelled.
+     * @param {TransportError} response flagged as aborted.
+     */
+    onCancelEventHandler(response){
+        const event = {
+            status: DataControllerStatus.Cancelled,
+            payload: response
+        };
+        this.#notify(event);
+        return event;
+    };
+    /**
+     * Report each attempt to the requestor through its (optional) onDataControllerAttemptEvent method,
+     * i.e. to display "retrying (2/3)..." while a request is being retried.
+     * @param {object} attempt containing the attempt number, the total of attempts allowed, the delay waited and the previous error.
+     */
+    onAttemptEventHandler(attempt){
+        if (this.#requestor != null && typeof this.#requestor.onDataControllerAttemptEvent === "function")
+            this.#requestor.onDataControllerAttemptEvent(attempt);
+    };
+    /**
+     * Report to the requestor, through its (optional) onDataControllerQueuedEvent method, that the request was kept 
+     * in the outbox. The final outcome is reported later through onDataControllerCallbackEvent.
+     * @param {object} entry stored in the outbox.
+     */
+    onQueueEventHandler(entry){
+        const event = {
+            status: DataControllerStatus.Queued,
+            payload: entry
+        };
+        if (this.#requestor != null && typeof this.#requestor.onDataControllerQueuedEvent === "function")
+            this.#requestor.onDataControllerQueuedEvent(event);
+        return event;
+    };
+    /**
+     * Report the upload and download progress to the requestor through its (optional) onDataControllerProgressEvent method.
+     * @param {object} progress containing the phase ("upload" or "download"), the bytes loaded, the total and the percent.
+     */
+    onProgressEventHandler(progress){
+        if (this.#requestor != null && typeof this.#requestor.onDataControllerProgressEvent === "function")
+            this.#requestor.onDataControllerProgressEvent(progress);
+    };
+    /**
+     * ViewController served by this controller. The action of its first form (if any) is taken as recipient.
+     * @param {ViewController} newValue instance of ViewController.
+     */
+    set view(newValue){
+        this.#viewController = newValue;
+        const context = (newValue != null) ? newValue.DOMContext : null;
+        const form = (context != null && typeof context.querySelector === "function") ? context.querySelector("form") : null;
+        if (form != null && form.getAttribute("action"))
+            this.recipient = form.getAttribute("action");
+    };
+    set payload(newValue){
+        super.payload = newValue;
+    };
+    get payload(){
+        return super.payload;
+    };
+    get view(){
+        return this.#viewController;
+    };
+    /**
+     * Send the changes of a DataTable (delta) and reconcile the keys and values assigned by the recipient before the
+     * requestor is notified. Return the promise returned by execute().
+     * @param {DataTable} table whose changes will be sent.
+     * @param {number} action ViewControllerAction constant (Custom, sent as POST, if omitted).
+     * @param {object} options accepted by execute(), plus rows: list of the changed rows to be sent (every changed row by default).
+     */
+    sendChanges(table, action = ViewControllerAction.Custom, options = {}){
+        if (!(table instanceof DataTable))
+            throw new TypeError(`invalid parameter of ${Object.getPrototypeOf(table).constructor.name} type. Instance of DataTable is required here.`);
+        this.payload = table.toPayload(this.requestor, options.rows);
+        return this.execute(action, Object.assign({}, options, {
+            onResponse: result => {
+                table.reconcile(result.response);
+                if (typeof options.onResponse === "function")
+                    options.onResponse(result);
+            }
+        }));
+    };
+    /**
+     * Return the requestor instance notified by this controller (the controller itself when no requestor was given).
+     */
+    get requestor(){
+        return (this.#requestor != null) ? this.#requestor : this;
+    };
+    #notify(event){
+        if (this.#requestor != null && typeof this.#requestor.onDataControllerCallbackEvent === "function")
+            this.#requestor.onDataControllerCallbackEvent(event);
+    };
+};
+
+/**
+ * Convert an action received as a name ("Edit") or a number into a ViewControllerAction constant (null if unknown).
+ */
+function toViewControllerAction(action){
+    if (typeof action === "string" && ViewControllerAction.has(action))
+        return ViewControllerAction.getValue(action);
+    return (ViewControllerAction.isValid(action)) ? action : null;
+};
+
+/**
+ * Channel receiving the messages pushed by a WebSocket or Server-Sent Events endpoint and delivering them by topic to the
+ * subscribers. Reconnects with exponential backoff when the connection drops or the heartbeat is missed.
+ * Events: open, close, reconnect {attempt, delay}, message {topic, result} and error {error}.
+ */
+export class PushChannel extends EventEmitter {
+    #url;
+    #type;
+    #protocols;
+    #factory;
+    #socket;
+    #state;
+    #subscriptions;
+    #attempt;
+    #reconnectTimer;
+    #heartbeatTimer;
+    #pingTimer;
+    #heartbeat;
+    #backoff;
+    #maxBackoff;
+    #listeners;
+    /**
+     * Create an instance of PushChannel type.
+     * @param {string} url of the endpoint (ws:// or wss:// for WebSocket, http:// or https:// for EventSource).
+     * @param {object} options {type, protocols, backoff, maxBackoff, heartbeat, factory}:
+     *  - type: "websocket" or "sse" (deduced from the URL if omitted).
+     *  - protocols: WebSocket sub-protocols.
+     *  - backoff, maxBackoff: first and longest delay between reconnections in milliseconds (500 and 30000 by default).
+     *  - heartbeat: longest silence in milliseconds before the connection is considered lost (0 disables it).
+     *  - factory: function(url, protocols) creating the socket (i.e. MockPushServer.factory).
+     */
+    constructor(url, options = {}){
+        super();
+        if (typeof url !== "string" || url == "")
+            throw new TypeError(`invalid parameter for url: ${url}. A valid URL is required here.`);
+        const type = options.type || ((/^wss?:/i.test(url)) ? "websocket" : "sse");
+        if (type != "websocket" && type != "sse")
+            throw new TypeError(`invalid parameter for type: ${type}. Require "websocket" or "sse".`);
+        this.#url = url;
+        this.#type = type;
+        this.#protocols = options.protocols;
+        this.#factory = options.factory || null;
+        this.#socket = null;
+        this.#state = "idle";
+        this.#subscriptions = new Map();
+        this.#attempt = 0;
+        this.#reconnectTimer = null;
+        this.#heartbeatTimer = null;
+        this.#pingTimer = null;
+        this.#heartbeat = (options.heartbeat != null) ? Number(options.heartbeat) : 30000;
+        this.#backoff = (options.backoff != null) ? Number(options.backoff) : 500;
+        this.#maxBackoff = (options.maxBackoff != null) ? Number(options.maxBackoff) : 30000;
+    };
+    get url(){
+        return this.#url;
+    };
+    get type(){
+        return this.#type;
+    };
+    /**
+     * Return the state of the channel: idle, connecting, open, reconnecting or closed.
+     */
+    get state(){
+        return this.#state;
+    };
+    /**
+     * Return the topics subscribed.
+     */
+    get topics(){
+        return Array.from(this.#subscriptions.keys());
+    };
+    /**
+     * Open the connection (subscribing to the topics already registered).
+     */
+    connect(){
+        if (this.#state == "connecting" || this.#state == "open")
+            return;
+        this.#attempt = 0;
+        this.#open();
+    };
+    /**
+     * Close the connection for good (no reconnection).
+     */
+    close(){
+        clearTimeout(this.#reconnectTimer);
+        this.#state = "closed";
+        this.#dispose();
+    };
+    /**
+     * Deliver the messages of a topic to a subscriber. Return the subscription {topic, unsubscribe()}.
+     * @param {string} topic of the messages ("*" for every topic).
+     * @param {*} subscriber function(event), DataController or requestor implementing onDataControllerCallbackEvent.
+     * @param {object} options {apply, keyField}: DataTable or DataRow receiving the changes pushed, and the key field of the DataRow.
+     */
+    subscribe(topic, subscriber, options = {}){
+        if (typeof topic !== "string" || topic == "")
+            throw new TypeError(`invalid parameter for topic: ${topic}. A string is required here.`);
+        if (typeof subscriber !== "function" && !(subscriber instanceof DataController) && 
+            (subscriber == null || typeof subscriber.onDataControllerCallbackEvent !== "function"))
+            throw new TypeError(`invalid subscriber. A function, a DataController or an object implementing onDataControllerCallbackEvent is required here.`);
+        if (options.apply != null && !(options.apply instanceof DataTable) && !(options.apply instanceof DataRow))
+            throw new TypeError(`invalid parameter of ${Object.getPrototypeOf(options.apply).constructor.name} type. Instance of DataTable or DataRow is required here.`);
+        if (options.apply instanceof DataRow && options.keyField == null)
+            throw new TypeError(`a key field is required to apply changes to a DataRow.`);
+        const isNew = !this.#subscriptions.has(topic);
+        if (isNew)
+            this.#subscriptions.set(topic, []);
+        const entry = { subscriber: subscriber, apply: options.apply || null, keyField: options.keyField || null };
+        this.#subscriptions.get(topic).push(entry);
+        if (isNew)
+            this.#updateSubscription("subscribe", topic);
+        return { topic: topic, unsubscribe: () => this.unsubscribe(topic, subscriber) };
+    };
+    /**
+     * Stop delivering the messages of a topic to a subscriber (to every subscriber when omitted).
+     * @param {string} topic of the messages.
+     * @param {*} subscriber given to subscribe().
+     */
+    unsubscribe(topic, subscriber){
+        const entries = (this.#subscriptions.get(topic) || []).filter(entry => subscriber != null && entry.subscriber !== subscriber);
+        if (!this.#subscriptions.has(topic))
+            return;
+        if (entries.length > 0){
+            this.#subscriptions.set(topic, entries);
+            return;
+        };
+        this.#subscriptions.delete(topic);
+        this.#updateSubscription("unsubscribe", topic);
+    };
+    /**
+     * Send a message to the endpoint in a Payload envelope (WebSocket only).
+     * @param {string} topic of the message.
+     * @param {*} body of the message.
+     * @param {number} action ViewControllerAction constant (optional).
+     */
+    send(topic, body, action = null){
+        if (this.#type != "websocket")
+            throw new Error("messages can only be sent through WebSocket channels.");
+        if (this.#state != "open")
+            throw new Error("the channel is not connected.");
+        const payload = new Payload(this, { action: action });
+        payload.addContent(body);
+        const message = payload.toJSON().map(entry => ({ header: Object.assign({ topic: topic }, entry.header), body: entry.body }));
+        this.#socket.send(JSON.stringify(message));
+    };
+    #open(){
+        this.#state = (this.#attempt > 0) ? "reconnecting" : "connecting";
+        let url = this.#url;
+        if (this.#type == "sse" && this.#subscriptions.size > 0)
+            url += ((url.indexOf("?") > -1) ? "&" : "?") + "topics=" + encodeURIComponent(this.topics.join(","));
+        let socket;
+        try {
+            if (this.#factory != null)
+                socket = this.#factory(url, this.#protocols);
+            else if (this.#type == "websocket")
+                socket = new WebSocket(url, this.#protocols);
+            else
+                socket = new EventSource(url);
+        }
+        catch(error) {
+            this.emit("error", { error: error });
+            return this.#reconnect();
+        };
+        this.#socket = socket;
+        const listeners = {
+            open: () => this.#onOpen(socket),
+            message: e => this.#onMessage(socket, e.data),
+            heartbeat: () => this.#alive(socket),
+            error: e => this.#onError(socket, e),
+            close: () => this.#onClose(socket)
+        };
+        this.#listeners = listeners;
+        Object.entries(listeners).forEach(([type, listener]) => socket.addEventListener(type, listener));
+    };
+    #onOpen(socket){
+        if (socket !== this.#socket)
+            return;
+        this.#state = "open";
+        this.#attempt = 0;
+        if (this.#type == "websocket")
+            this.topics.forEach(topic => socket.send(JSON.stringify({ type: "subscribe", topic: topic })));
+        this.#alive(socket);
+        if (this.#type == "websocket" && this.#heartbeat > 0)
+            this.#pingTimer = setInterval(() => {
+                if (socket.readyState === 1)
+                    socket.send(JSON.stringify({ type: "ping" }));
+            }, this.#heartbeat / 2);
+        this.emit("open");
+    };
+    #onError(socket, e){
+        if (socket !== this.#socket)
+            return;
+        this.emit("error", { error: e });
+        if (this.#type == "sse") //EventSource retries on its own without backoff
+            this.#onClose(socket);
+    };
+    #onClose(socket){
+        if (socket !== this.#socket)
+            return;
+        this.#dispose();
+        this.emit("close");
+        if (this.#state != "closed")
+            this.#reconnect();
+    };
+    #reconnect(){
+        this.#state = "reconnecting";
+        const wait = Math.min(this.#backoff * Math.pow(2, this.#attempt), this.#maxBackoff) * (0.5 + Math.random() / 2); //jitter
+        this.#attempt++;
+        this.emit("reconnect", { attempt: this.#attempt, delay: wait });
+        clearTimeout(this.#reconnectTimer);
+        this.#reconnectTimer = setTimeout(() => this.#open(), wait);
+    };
+    /**
+     * Remove the listeners of the socket and close it.
+     */
+    #dispose(){
+        clearTimeout(this.#heartbeatTimer);
+        clearInterval(this.#pingTimer);
+        const socket = this.#socket;
+        this.#socket = null;
+        if (socket == null)
+            return;
+        Object.entries(this.#listeners || {}).forEach(([type, listener]) => socket.removeEventListener(type, listener));
+        if (socket.readyState !== 2 && socket.readyState !== 3 || this.#type == "sse")
+            socket.close();
+    };
+    /**
+     * Restart the heartbeat countdown: the connection is considered lost after a silence longer than the interval.
+     */
+    #alive(socket){
+        clearTimeout(this.#heartbeatTimer);
+        if (this.#heartbeat > 0)
+            this.#heartbeatTimer = setTimeout(() => {
+                this.emit("error", { error: new Error(`no message received from ${this.#url} within ${this.#heartbeat}ms.`) });
+                this.#onClose(socket);
+            }, this.#heartbeat);
+    };
+    #updateSubscription(type, topic){
+        if (this.#socket == null || this.#state != "open")
+            return;
+        if (this.#type == "websocket")
+            this.#socket.send(JSON.stringify({ type: type, topic: topic }));
+        else { //the topics are part of the EventSource URL
+            this.#dispose();
+            this.#open();
+        };
+    };
+    #onMessage(socket, data){
+        if (socket !== this.#socket)
+            return;
+        this.#alive(socket);
+        const message = (typeof data === "string") ? parseResponseBody(data, "json") : data;
+        if (message == null || typeof message !== "object" || message.type == "pong" || message.type == "heartbeat")
+            return;
+        const list = (Array.isArray(message)) ? message : ((Array.isArray(message.content)) ? message.content : [message]);
+        const operations = list.filter(item => item != null && typeof item === "object").map(item => {
+            const header = item.header || {};
+            return {
+                topic: (header.topic != null) ? header.topic : ((item.topic != null) ? item.topic : message.topic),
+                action: toViewControllerAction((header.action != null) ? header.action : item.action),
+                body: ("body" in item) ? item.body : item.data
+            };
+        });
+        Array.from(new Set(operations.map(operation => operation.topic))).forEach(topic => {
+            this.#deliver(topic, operations.filter(operation => operation.topic === topic), (typeof data === "string") ? data : JSON.stringify(data));
+        });
+    };
+    /**
+     * Deliver the operations of a topic to its subscribers (and to the "*" subscribers).
+     */
+    #deliver(topic, operations, text){
+        const envelope = new Payload(this);
+        operations.forEach(operation => envelope.addContent(operation.body, { action: operation.action }));
+        const bodies = operations.map(operation => operation.body);
+        const result = {
+            sender: this.#url,
+            topic: topic,
+            received: text,
+            data: (bodies.length == 1) ? bodies[0] : bodies,
+            envelope: envelope,
+            push: true
+        };
+        const entries = (this.#subscriptions.get(topic) || []).concat((topic != "*") ? (this.#subscriptions.get("*") || []) : []);
+        entries.forEach(entry => {
+            if (entry.apply != null){
+                const keyField = (entry.apply instanceof DataTable) ? entry.apply.keyField : entry.keyField;
+                const changes = operations.filter(operation => operation.body != null && typeof operation.body === "object").map(operation => ({
+                    action: operation.action,
+                    key: ("key" in operation.body) ? operation.body.key : operation.body[keyField],
+                    values: ("values" in operation.body) ? operation.body.values : operation.body
+                }));
+                if (entry.apply instanceof DataTable)
+                    entry.apply.merge(changes);
+                else
+                    entry.apply.merge(changes, keyField);
+            };
+            const subscriber = entry.subscriber;
+            if (typeof subscriber === "function")
+                subscriber({ status: DataControllerStatus.Succeeded, payload: result });
+            else if (subscriber instanceof DataController){
+                subscriber.emit("push", { topic: topic, result: result });
+                subscriber.onSuccessEventHandler(result);
+            }
+            else
+                subscriber.onDataControllerCallbackEvent({ status: DataControllerStatus.Succeeded, payload: result });
+        });
+        this.emit("message", { topic: topic, result: result });
+    };
+};
+
+/**
+ * In-memory push endpoint used to test PushChannel without a server.
+ */
+export class MockPushServer {
+    #sockets;
+    #received;
+    #refusing;
+    constructor(){
+        this.#sockets = [];
+        this.#received = [];
+        this.#refusing = false;
+    };
+    /**
+     * Return the function creating the sockets connected to this server (PushChannel factory option).
+     */
+    get factory(){
+        return (url, protocols) => {
+            const socket = new MockPushSocket(this, url, this.#refusing);
+            this.#sockets.push(socket);
+            return socket;
+        };
+    };
+    /**
+     * Return the open connections: {url, topics}.
+     */
+    get clients(){
+        return this.#sockets.filter(socket => socket.readyState === 1).map(socket => ({ url: socket.url, topics: Array.from(socket.topics) }));
+    };
+    /**
+     * Return the messages sent by the clients (pings excluded).
+     */
+    get received(){
+        return this.#received.slice();
+    };
+    /**
+     * Send a message to the connections subscribed to a topic. Return the number of connections reached.
+     * @param {string} topic of the message.
+     * @param {*} body of the message.
+     * @param {number} action ViewControllerAction constant (optional).
+     */
+    publish(topic, body, action = null){
+        const message = JSON.stringify([{ header: { topic: topic, action: action, time: Date.now(), version: PAYLOAD_PROTOCOL_VERSION }, body: body }]);
+        const sockets = this.#sockets.filter(socket => socket.readyState === 1 && (socket.topics.has(topic) || socket.topics.has("*")));
+        sockets.forEach(socket => socket.deliver(message));
+        return sockets.length;
+    };
+    /**
+     * Close every connection as if the network dropped.
+     */
+    drop(){
+        this.#sockets.forEach(socket => socket.close());
+        this.#sockets = [];
+    };
+    /**
+     * Refuse (or accept again) the new connections.
+     * @param {boolean} refusing the connections.
+     */
+    refuse(refusing = true){
+        this.#refusing = refusing;
+    };
+    /**
+     * Handle a message sent by a socket: subscriptions, pings and any other message (kept in received).
+     */
+    receive(socket, data){
+        const message = parseResponseBody(data, "json");
+        if (message != null && message.type == "ping")
+            return socket.deliver(JSON.stringify({ type: "pong" }));
+        if (message != null && message.type == "subscribe")
+            socket.topics.add(message.topic);
+        else if (message != null && message.type == "unsubscribe")
+            socket.topics.delete(message.topic);
+        this.#received.push(message);
+    };
+};
+
+/**
+ * WebSocket stand-in connected to a MockPushServer (EventSource topics are read from the topics query parameter).
+ */
+class MockPushSocket {
+    #server;
+    #listeners;
+    constructor(server, url, refused){
+        this.#server = server;
+        this.#listeners = {};
+        this.url = url;
+        this.readyState = 0;
+        const topics = new URL(url, "http://localhost").searchParams.get("topics");
+        this.topics = new Set((topics != null && topics != "") ? topics.split(",") : []);
+        setTimeout(() => {
+            if (this.readyState !== 0)
+                return;
+            if (refused){
+                this.readyState = 3;
+                this.#dispatch("error", {});
+                this.#dispatch("close", {});
+                return;
+            };
+            this.readyState = 1;
+            this.#dispatch("open", {});
+        }, 0);
+    };
+    addEventListener(type, listener){
+        (this.#listeners[type] = this.#listeners[type] || []).push(listener);
+    };
+    removeEventListener(type, listener){
+        this.#listeners[type] = (this.#listeners[type] || []).filter(item => item !== listener);
+    };
+    send(data){
+        if (this.readyState !== 1)
+            throw new Error("the socket is not open.");
+        this.#server.receive(this, data);
+    };
+    close(){
+        if (this.readyState === 3)
+            return;
+        this.readyState = 3;
+        setTimeout(() => this.#dispatch("close", {}), 0);
+    };
+    deliver(data){
+        setTimeout(() => {
+            if (this.readyState === 1)
+                this.#dispatch("message", { data: data });
+        }, 0);
+    };
+    #dispatch(type, details){
+        const event = Object.assign({ type: type, target: this }, details);
+        (this.#listeners[type] || []).slice().forEach(listener => listener(event));
+    };
+};
+
+/**
+ * Implements basic functionalities manages to control interactions between UI interface and the underlying data.
+ */
+class BaseViewController extends EventEmitter {
+    #DOMContext;
+    #classContext;
+    constructor(DOMContext, classContext) {
+        super();
+        this.#DOMContext = DOMContext;
+        this.#classContext = (classContext != null) ? classContext : this; //subclasses handle their own triggers
+    };
+    get DOMContext(){
+        return this.#DOMContext;
+    };
+    get classContext(){
+        return this.#classContext;
+    };
+};
+
+/**
+ * Base class of the custom elements. Outside the browser (i.e. Node) a placeholder keeps the module loadable.
+ */
+const ElementBase = (typeof HTMLElement !== "undefined") ? HTMLElement : class {};
+
+/**
+ * Custom DOM-based button implementation to intercept click events according to ACTION attribute value.
+ * The action is a ViewControllerAction name (i.e. action="Edit") handled by the onCreate, onEdit, onRemove or onLoad 
+ * method of the nearest ViewController (its classContext), or any other name handled as a Custom action by the method
+ * on + name (i.e. action="archive" calls onArchive) or by onCustom. Handlers are called as handler(event, {action, name, button}).
+ * While the promise returned by the handler (i.e. the one returned by DataController.execute) is pending the button is
+ * disabled and flagged as busy. The confirm attribute asks for a confirmation first (onConfirm(message, action) of the
+ * classContext or window.confirm).
+ * Failures (no ViewController or handler found, handler throwing or rejecting) fire a cancelable error event 
+ * {error, action, name}; when no listener cancels it, the error is thrown again as an uncaught error.
+ */
+export class Button extends ElementBase{
+    connectedCallback(){
+        this._action = this.getAttribute("action") || null; //immutable attribute (will not be observed)
+        if (!this.hasAttribute("role"))
+            this.setAttribute("role", "button");
+        if (!this.hasAttribute("tabindex"))
+            this.setAttribute("tabindex", "0");
+        if (this._onActivate == null){
+            this._onActivate = e => this.#activate(e).catch(error => this.#report(error));
+            this._onKeyDown = e => {
+                if (e.key == "Enter" || e.key == " "){
+                    e.preventDefault();
+                    this.#activate(e).catch(error => this.#report(error));
+                };
+            };
+            this.addEventListener("click", this._onActivate);
+            this.addEventListener("keydown", this._onKeyDown);
+        };
+    };
+    /**
+     * Return the ViewControllerAction constant of the button (Custom for named actions, null without action).
+     */
+    get action(){
+        const name = this.actionName;
+        if (name == null)
+            return null;
+        const key = ViewControllerAction.keys().find(key => key.toLowerCase() == name.toLowerCase());
+        return (key != null) ? ViewControllerAction[key] : ViewControllerAction.Custom;
+    };
+    /**
+     * Return the name of the action as given by the action attribute.
+     */
+    get actionName(){
+        return (this._action != null) ? this._action : this.getAttribute("action");
+    };
+    set disabled(newValue){
+        if (newValue)
+            this.setAttribute("disabled", "");
+        else
+            this.removeAttribute("disabled");
+        this.setAttribute("aria-disabled", String(Boolean(newValue)));
+    };
+    get disabled(){
+        return this.hasAttribute("disabled");
+    };
+    /**
+     * Return true while the request started by the button is pending.
+     */
+    get busy(){
+        return this.hasAttribute("busy");
+    };
+    /**
+     * Assign a function to handle the button click event.
+     */
+    onClickHandler(eventHandler, classContext){
+        this.addEventListener("click", function(e){ 
+            e.preventDefault(); 
+            eventHandler.call(classContext, e); //'this' inside the event handler is the class context.
+        });
+     };
+    /**
+     * Find the handler of the action, ask for confirmation and keep the button busy while the handler is pending.
+     */
+    #activate(e){
+        if (this.disabled || this.busy || this.actionName == null)
+            return Promise.resolve(null);
+        e.preventDefault();
+        const view = ViewController.from(this);
+        if (view == null)
+            return Promise.reject(new Error(`no ViewController found for the action ${this.actionName}.`));
+        const context = view.classContext;
+        const action = this.action;
+        const name = (action == ViewControllerAction.Custom) ? this.actionName : ViewControllerAction.getName(action);
+        const method = "on" + name.charAt(0).toUpperCase() + name.substring(1);
+        let handler = context[method];
+        const args = [e, { action: action, name: name, button: this }];
+        if (typeof handler !== "function" && action == ViewControllerAction.Custom && typeof context.onCustom === "function")
+            handler = context.onCustom;
+        if (typeof handler !== "function")
+            return Promise.reject(new Error(`${context.constructor.name} does not implement ${method} to handle the action ${name}.`));
+        const message = this.getAttribute("confirm");
+        const confirmed = (message == null) ? Promise.resolve(true) : new Promise(resolve => resolve((typeof context.onConfirm === "function") ? 
+            context.onConfirm(message || `${name}?`, action) : window.confirm(message || `${name}?`)));
+        this.#setBusy(true);
+        return confirmed.then(accepted => {
+            if (!accepted)
+                return null;
+            return handler.apply(context, args);
+        }).finally(() => this.#setBusy(false));
+    };
+    /**
+     * Fire the error event, throwing the error outside of the promise chain when no listener cancelled it.
+     */
+    #report(error){
+        const event = new CustomEvent("error", { cancelable: true, detail: { error: error, action: this.action, name: this.actionName } });
+        if (this.dispatchEvent(event))
+            setTimeout(() => { throw error; }, 0);
+    };
+    #setBusy(busy){
+        if (busy){
+            this.setAttribute("busy", "");
+            this.setAttribute("aria-busy", "true");
+        }
+        else {
+            this.removeAttribute("busy");
+            this.removeAttribute("aria-busy");
+        };
+        this.disabled = busy;
+    };
+};
+
+/**
+ * Accessible slider operated by pointer and keyboard, with min, max, step and orientation attributes.
+ * Fires input while the value is changed by the user and change once the change is committed.
+ */
+export class Slider extends ElementBase{
+    static formAssociated = true;
+    #internals;
+    #value;
+    #defaultValue;
+    #listeners;
+    #dragging;
+    #startValue;
+    #reflecting;
+    constructor(){
+        super();
+        this.#internals = (typeof this.attachInternals === "function") ? this.attachInternals() : null;
+        this.#value = null;
+        this.#defaultValue = null;
+        this.#listeners = null;
+        this.#dragging = null;
+        this.#startValue = null;
+        this.#reflecting = false;
+        this.formatValueText = value => String(value); //text read by assistive technologies (aria-valuetext)
+    };
+    static get observedAttributes(){
+        return ["value", "min", "max", "step", "orientation", "disabled", "backgroundcolor"];
+    };
+    set value(val){
+        this.#setValue(val, false);
+    };
+    get value(){
+        return (this.#value != null) ? this.#value : this.#normalize(this.getAttribute("value"));
+    };
+    set min(val){
+        this.setAttribute("min", val);
+    };
+    get min(){
+        return this.#readNumber("min", 0);
+    };
+    set max(val){
+        this.setAttribute("max", val);
+    };
+    get max(){
+        return Math.max(this.#readNumber("max", 100), this.min);
+    };
+    set step(val){
+        this.setAttribute("step", val);
+    };
+    get step(){
+        const step = this.#readNumber("step", 1);
+        return (step > 0) ? step : 1;
+    };
+    set orientation(val){
+        this.setAttribute("orientation", val);
+    };
+    get orientation(){
+        return (this.getAttribute("orientation") == "vertical") ? "vertical" : "horizontal";
+    };
+    set disabled(val){
+        if (val)
+            this.setAttribute("disabled", "");
+        else
+            this.removeAttribute("disabled");
+    };
+    get disabled(){
+        return this.hasAttribute("disabled");
+    };
+    set backgroundcolor(val){
+        this.setAttribute("backgroundcolor", val);
+    };
+    get backgroundcolor(){
+        return this.getAttribute("backgroundcolor");
+    };
+    /**
+     * Form control properties read by forms and FormBinding.
+     */
+    get name(){
+        return this.getAttribute("name");
+    };
+    get type(){
+        return "range";
+    };
+    get form(){
+        return (this.#internals != null) ? this.#internals.form : this.closest("form");
+    };
+    connectedCallback(){
+        if (this.querySelector(".thumb") == null)
+            this.innerHTML = '<div class="bg-overlay"></div><div class="thumb"></div>';
+        if (this.#defaultValue == null)
+            this.#defaultValue = this.value;
+        this.setAttribute("role", "slider");
+        if (!this.hasAttribute("tabindex"))
+            this.setAttribute("tabindex", "0");
+        this.style.touchAction = "none"; //pointer events instead of scrolling on touch screens
+        this.setColor(this.backgroundcolor);
+        this.#listeners = {
+            pointerdown: e => this.#onPointerDown(e),
+            pointermove: e => this.#onPointerMove(e),
+            pointerup: e => this.#onPointerUp(e),
+            pointercancel: e => this.#onPointerUp(e),
+            keydown: e => this.#onKeyDown(e)
+        };
+        Object.entries(this.#listeners).forEach(([type, listener]) => this.addEventListener(type, listener));
+        this.#setValue(this.value, false);
+    };
+    disconnectedCallback(){
+        if (this.#listeners != null)
+            Object.entries(this.#listeners).forEach(([type, listener]) => this.removeEventListener(type, listener));
+        this.#listeners = null;
+        this.#dragging = null;
+    };
+    attributeChangedCallback(name, oldVal, newVal){
+        switch(name){
+            case "value":
+                if (!this.#reflecting)
+                    this.#setValue(newVal, false);
+                break;
+            case "min":
+            case "max":
+            case "step":
+            case "orientation":
+            case "disabled":
+                if (this.#value != null)
+                    this.#setValue(this.#value, false); //keeps the value within the new range
+                break;
+            case "backgroundcolor":
+                this.setColor(newVal);
+                break;
+        };
+    };
+    formResetCallback(){
+        this.#setValue(this.#defaultValue, false);
+    };
+    formStateRestoreCallback(state){
+        this.#setValue(state, false);
+    };
+    formDisabledCallback(disabled){
+        this.setAttribute("aria-disabled", String(disabled || this.disabled));
+    };
+    refreshSlider(value){
+        const thumb = this.querySelector(".thumb");
+        if (thumb == null)
+            return;
+        const percent = (this.max > this.min) ? (value - this.min) / (this.max - this.min) * 100 : 0;
+        const vertical = this.orientation == "vertical";
+        const size = (vertical ? thumb.offsetHeight : thumb.offsetWidth) / 2;
+        thumb.style.left = (vertical) ? "" : `calc(${percent}% - ${size}px)`;
+        thumb.style.bottom = (vertical) ? `calc(${percent}% - ${size}px)` : "";
+    };
+    setColor(color){
+        if (this.querySelector('.bg-overlay')) {
+            this.querySelector('.bg-overlay').style.background =
+            `linear-gradient(to ${(this.orientation == "vertical") ? "top" : "right"}, ${color} 0%, ${color}00 100%)`;
+        }
+    };
+    #readNumber(name, defaultValue){
+        const value = parseFloat(this.getAttribute(name));
+        return (Number.isFinite(value)) ? value : defaultValue;
+    };
+    /**
+     * Snap a value to the nearest step within the range (middle of the range when it is not a number).
+     */
+    #normalize(value){
+        const min = this.min, max = this.max, step = this.step;
+        let number = (value === "" || value == null) ? NaN : Number(value);
+        if (!Number.isFinite(number))
+            number = min + (max - min) / 2;
+        number = min + Math.round((number - min) / step) * step;
+        const decimals = Math.max((String(step).split(".")[1] || "").length, (String(min).split(".")[1] || "").length);
+        number = Number(number.toFixed(decimals)); //avoids floating point residues such as 0.30000000000000004
+        return Math.min(Math.max(number, min), max);
+    };
+    /**
+     * Change the value updating the attribute, the ARIA state, the thumb and the form value. User changes fire input.
+     */
+    #setValue(value, byUser){
+        const previous = this.#value;
+        this.#value = this.#normalize(value);
+        this.#reflecting = true;
+        this.setAttribute("value", String(this.#value));
+        this.#reflecting = false;
+        this.setAttribute("aria-valuemin", String(this.min));
+        this.setAttribute("aria-valuemax", String(this.max));
+        this.setAttribute("aria-valuenow", String(this.#value));
+        this.setAttribute("aria-valuetext", this.formatValueText(this.#value));
+        this.setAttribute("aria-orientation", this.orientation);
+        this.setAttribute("aria-disabled", String(this.disabled));
+        if (this.#internals != null && typeof this.#internals.setFormValue === "function")
+            this.#internals.setFormValue(String(this.#value));
+        this.refreshSlider(this.#value);
+        if (byUser && previous !== this.#value)
+            this.dispatchEvent(new Event("input", { bubbles: true }));
+        return previous !== this.#value;
+    };
+    #commit(){
+        this.dispatchEvent(new Event("change", { bubbles: true }));
+    };
+    /**
+     * Convert the pointer position into a value.
+     */
+    #valueFromPointer(e){
+        const bounds = this.getBoundingClientRect();
+        const vertical = this.orientation == "vertical";
+        const length = (vertical) ? bounds.height : bounds.width;
+        if (!(length > 0))
+            return this.value;
+        let ratio = (vertical) ? (bounds.bottom - e.clientY) / length : (e.clientX - bounds.left) / length;
+        ratio = Math.min(Math.max(ratio, 0), 1);
+        return this.min + ratio * (this.max - this.min);
+    };
+    #onPointerDown(e){
+        if (this.disabled || (e.button != null && e.button > 0))
+            return;
+        e.preventDefault();
+        this.focus();
+        this.#dragging = e.pointerId;
+        this.#startValue = this.value;
+        if (typeof this.setPointerCapture === "function" && e.pointerId != null)
+            this.setPointerCapture(e.pointerId); //moves outside the element are still received
+        this.#setValue(this.#valueFromPointer(e), true);
+    };
+    #onPointerMove(e){
+        if (this.#dragging == null || e.pointerId !== this.#dragging)
+            return;
+        this.#setValue(this.#valueFromPointer(e), true);
+    };
+    #onPointerUp(e){
+        if (this.#dragging == null || e.pointerId !== this.#dragging)
+            return;
+        if (typeof this.releasePointerCapture === "function" && e.pointerId != null && this.hasPointerCapture(e.pointerId))
+            this.releasePointerCapture(e.pointerId);
+        this.#dragging = null;
+        if (this.value !== this.#startValue)
+            this.#commit();
+    };
+    #onKeyDown(e){
+        if (this.disabled)
+            return;
+        const page = Math.max(this.step, (this.max - this.min) / 10);
+        let value = null;
+        switch (e.key){
+            case "ArrowRight":
+            case "ArrowUp":
+                value = this.value + this.step;
+                break;
+            case "ArrowLeft":
+            case "ArrowDown":
+                value = this.value - this.step;
+                break;
+            case "PageUp":
+                value = this.value + page;
+                break;
+            case "PageDown":
+                value = this.value - page;
+                break;
+            case "Home":
+                value = this.min;
+                break;
+            case "End":
+                value = this.max;
+                break;
+            default:
+                return;
+        };
+        e.preventDefault();
+        if (this.#setValue(value, true))
+            this.#commit();
+    };
+};
+
+const SAFE_URL_PROTOCOLS = ["http:", "https:", "mailto:", "tel:"];
+
+/**
+ * Tell whether a URL taken from data can be written into an attribute (protocols of SAFE_URL_PROTOCOLS only).
+ * @param {string} text URL, absolute or relative to the base URI of the document.
+ */
+function isSafeUrl(text){
+    const base = (typeof document !== "undefined" && document.baseURI) ? document.baseURI : "https://localhost/";
+    try {
+        return SAFE_URL_PROTOCOLS.indexOf(new URL(text, base).protocol) > -1;
+    }
+    catch(e) {
+        return false; //not a valid URL
+    };
+};
+
+/**
+ * Gallery of slides: the child elements of the carrousel followed by the photos given by the photos attribute or property,
+ * or loaded through a DataController (see load()). Fires slidechange {index, previous, slide}.
+ */
+export class Carrousel extends ElementBase{
+    #root;
+    #photos;
+    #index;
+    #timer;
+    #paused;
+    #swipe;
+    #listeners;
+    constructor(){
+        super();
+        this.#root = this.attachShadow({ mode: "open" });
+        this.#root.innerHTML = '<style>' +
+                ':host{display:block;position:relative;}' +
+                '[hidden]{display:none !important;}' +
+                '.viewport{overflow:hidden;touch-action:pan-y;}' +
+                '.photo img{display:block;width:100%;height:auto;}' +
+                '.indicators button[aria-current="true"]{font-weight:bold;}' +
+            '</style>' +
+            '<h2 part="title"></h2>' +
+            '<h4 part="author"></h4>' +
+            '<div class="viewport" part="viewport" aria-live="polite"><slot></slot><div class="photos"></div></div>' +
+            '<button type="button" class="back" part="back" aria-label="Previous slide">&lt;</button>' +
+            '<button type="button" class="forward" part="forward" aria-label="Next slide">&gt;</button>' +
+            '<div class="indicators" part="indicators"></div>';
+        this.#photos = [];
+        this.#index = 0;
+        this.#timer = null;
+        this.#paused = false;
+        this.#swipe = null;
+        this.#listeners = null;
+        this.#root.querySelector("button.back").addEventListener("click", e => this.onBackButtonClick(e));
+        this.#root.querySelector("button.forward").addEventListener("click", e => this.onForwardButtonClick(e));
+        this.#root.querySelector("slot").addEventListener("slotchange", () => this.#render());
+    };
+    static get observedAttributes(){
+        return ["photos", "title", "author", "autoplay"];
+    };
+    /**
+     * Photos displayed after the slotted content: list of URLs or of {src, alt} objects.
+     */
+    set photos(newValue){
+        if (typeof newValue === "string")
+            newValue = newValue.split(",");
+        if (!Array.isArray(newValue))
+            throw new TypeError(`invalid parameter for photos: ${newValue}. A list of URLs is required here.`);
+        this.#photos = newValue.map(photo => (typeof photo === "string") ? { src: photo.trim(), alt: "" } : {
+            src: String(photo.src || photo.url || ""),
+            alt: String(photo.alt || photo.caption || "")
+        }).filter(photo => photo.src != "" && isSafeUrl(photo.src));
+        this.#render();
+    };
+    get photos(){
+        return this.#photos.map(photo => Object.assign({}, photo));
+    };
+    /**
+     * Return the slides: slotted elements followed by the photo slides.
+     */
+    get slides(){
+        const slotted = this.#root.querySelector("slot").assignedElements();
+        return slotted.concat(Array.from(this.#root.querySelectorAll(".photos > .photo")));
+    };
+    set index(newValue){
+        this.show(newValue);
+    };
+    get index(){
+        return this.#index;
+    };
+    connectedCallback(){
+        if (!this.hasAttribute("tabindex"))
+            this.setAttribute("tabindex", "0");
+        this.setAttribute("role", "region");
+        this.setAttribute("aria-roledescription", "carousel");
+        this.#listeners = {
+            keydown: e => this.#onKeyDown(e),
+            pointerdown: e => this.#swipe = { x: e.clientX, y: e.clientY },
+            pointerup: e => this.#onSwipe(e),
+            pointercancel: () => this.#swipe = null,
+            pointerenter: () => this.#pause(true),
+            pointerleave: () => this.#pause(false),
+            focusin: () => this.#pause(true),
+            focusout: () => this.#pause(false)
+        };
+        Object.entries(this.#listeners).forEach(([type, listener]) => this.addEventListener(type, listener));
+        this.#render();
+        this.#autoplay();
+    };
+    disconnectedCallback(){
+        if (this.#listeners != null)
+            Object.entries(this.#listeners).forEach(([type, listener]) => this.removeEventListener(type, listener));
+        this.#listeners = null;
+        clearInterval(this.#timer);
+        this.#timer = null;
+    };
+    attributeChangedCallback(name, oldVal, newVal){
+        switch(name){
+            case "photos":
+                this.photos = newVal || "";
+                break;
+            case "title":
+            case "author":
+                this.#renderCaption();
+                break;
+            case "autoplay":
+                this.#autoplay();
+                break;
+        };
+    };
+    onBackButtonClick(e){
+        this.previous();
+    };
+    onForwardButtonClick(e){
+        this.next();
+    };
+    previous(){
+        this.show(this.#index - 1);
+    };
+    next(){
+        this.show(this.#index + 1);
+    };
+    /**
+     * Display a slide (indexes out of range wrap around).
+     * @param {number} index of the slide.
+     */
+    show(index){
+        const slides = this.slides;
+        if (slides.length == 0)
+            return;
+        index = ((Math.trunc(Number(index) || 0) % slides.length) + slides.length) % slides.length;
+        const previous = this.#index;
+        this.#index = index;
+        this.showPhoto();
+        if (previous !== index)
+            this.dispatchEvent(new CustomEvent("slidechange", { bubbles: true, detail: { index: index, previous: previous, slide: slides[index] } }));
+    };
+    /**
+     * Display the current slide, loading its photo and the photos of its neighbours.
+     */
+    showPhoto(){
+        const slides = this.slides;
+        slides.forEach((slide, index) => {
+            slide.hidden = index !== this.#index;
+            slide.setAttribute("aria-label", `${index + 1} of ${slides.length}`);
+            const near = Math.abs(index - this.#index) <= 1 || Math.abs(index - this.#index) == slides.length - 1;
+            const img = slide.querySelector("img[data-src]");
+            if (near && img != null){ //lazy loading
+                img.src = img.getAttribute("data-src");
+                img.removeAttribute("data-src");
+            };
+        });
+        this.#root.querySelectorAll(".indicators > button").forEach((dot, index) => dot.setAttribute("aria-current", String(index === this.#index)));
+    };
+    /**
+     * Load the photos through a Load request. Resolve with the photos.
+     * @param {DataController} controller whose Load action returns the photos.
+     * @param {object} options {field, options}: property of the data holding the list and the options accepted by execute().
+     */
+    load(controller, options = {}){
+        if (!(controller instanceof DataController))
+            throw new TypeError(`invalid parameter of ${Object.getPrototypeOf(controller).constructor.name} type. Instance of DataController is required here.`);
+        if (controller.payload == null)
+            controller.payload = new Payload(controller.requestor);
+        return controller.execute(ViewControllerAction.Load, options.options).then(event => {
+            if (event == null || event.status !== DataControllerStatus.Succeeded)
+                return null;
+            const data = event.payload.data;
+            const list = (Array.isArray(data)) ? data : ((data != null) ? data[options.field || "photos"] : null);
+            if (Array.isArray(list))
+                this.photos = list;
+            return this.photos;
+        });
+    };
+    #renderCaption(){
+        this.#root.querySelector("[part=title]").textContent = this.getAttribute("title") || "";
+        this.#root.querySelector("[part=author]").textContent = (this.getAttribute("author") != null) ? `by ${this.getAttribute("author")}` : "";
+    };
+    #render(){
+        this.#renderCaption();
+        const container = this.#root.querySelector(".photos");
+        container.textContent = "";
+        this.#photos.forEach(photo => {
+            const slide = document.createElement("div");
+            const img = document.createElement("img");
+            slide.className = "photo";
+            slide.setAttribute("part", "slide");
+            slide.setAttribute("role", "group");
+            img.setAttribute("data-src", photo.src);
+            img.alt = photo.alt;
+            slide.appendChild(img);
+            container.appendChild(slide);
+        });
+        const slides = this.slides;
+        const indicators = this.#root.querySelector(".indicators");
+        indicators.textContent = "";
+        slides.forEach((slide, index) => {
+            const dot = document.createElement("button");
+            dot.type = "button";
+            dot.setAttribute("part", "indicator");
+            dot.setAttribute("aria-label", `Slide ${index + 1}`);
+            dot.addEventListener("click", () => this.show(index));
+            indicators.appendChild(dot);
+        });
+        this.#root.querySelectorAll("button.back, button.forward").forEach(button => button.hidden = slides.length < 2);
+        if (this.#index >= slides.length)
+            this.#index = 0;
+        this.showPhoto();
+    };
+    #autoplay(){
+        clearInterval(this.#timer);
+        this.#timer = null;
+        const reduced = typeof window !== "undefined" && typeof window.matchMedia === "function" && 
+            window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+        if (!this.hasAttribute("autoplay") || reduced || !this.isConnected)
+            return;
+        const interval = parseInt(this.getAttribute("autoplay"), 10);
+        this.#timer = setInterval(() => {
+            if (!this.#paused)
+                this.next();
+        }, (interval > 0) ? interval : 5000);
+    };
+    #pause(paused){
+        this.#paused = paused;
+    };
+    #onKeyDown(e){
+        const keys = { ArrowLeft: () => this.previous(), ArrowRight: () => this.next(), Home: () => this.show(0), End: () => this.show(-1) };
+        if (keys[e.key] == null || e.target !== this)
+            return;
+        e.preventDefault();
+        keys[e.key]();
+    };
+    #onSwipe(e){
+        if (this.#swipe == null)
+            return;
+        const dx = e.clientX - this.#swipe.x;
+        const dy = e.clientY - this.#swipe.y;
+        this.#swipe = null;
+        if (Math.abs(dx) < 40 || Math.abs(dx) < Math.abs(dy)) //too short or vertical (scroll)
+            return;
+        if (dx > 0)
+            this.previous();
+        else
+            this.next();
+    };
+};
+
+/**
+ * Create the form control used to edit a field inline, according to its DataFieldType.
+ * @param {DataField} field to be edited.
+ */
+function createFieldInput(field){
+    let element;
+    switch (field.fieldType){
+        case DataFieldType.Boolean:
+            element = document.createElement("input");
+            element.type = "checkbox";
+            break;
+        case DataFieldType.Number:
+        case DataFieldType.Integer:
+        case DataFieldType.Decimal:
+            element = document.createElement("input");
+            element.type = "number";
+            element.step = (field.fieldType == DataFieldType.Integer) ? "1" : "any";
+            break;
+        case DataFieldType.Date:
+            element = document.createElement("input");
+            element.type = "date";
+            break;
+        case DataFieldType.DateTime:
+            element = document.createElement("input");
+            element.type = "datetime-local";
+            break;
+        case DataFieldType.Enum:
+            element = document.createElement("select");
+            [""].concat((field.typeOptions && field.typeOptions.values) || []).forEach(value => {
+                const option = document.createElement("option");
+                option.value = option.textContent = String(value);
+                element.appendChild(option);
+            });
+            break;
+        case DataFieldType.JSON:
+            element = document.createElement("textarea");
+            break;
+        case DataFieldType.File:
+            element = document.createElement("input");
+            element.type = "file";
+            element.multiple = field.typeOptions.multiple === true;
+            if (field.typeOptions.accept != null)
+                element.accept = [].concat(field.typeOptions.accept).join(",");
+            break;
+        default:
+            element = document.createElement("input");
+            element.type = "text";
+    };
+    element.name = field.fieldName;
+    element.setAttribute("aria-label", field.label);
+    if (field.isRequired)
+        element.required = true;
+    writeInputValue(element, field);
+    return element;
+};
+
+/**
+ * Grid of the rows of a DataTable, paged, sorted and filtered through the Load action of a DataController. Editable grids
+ * save the rows through its Create, Edit and Remove actions (see DataController.sendChanges).
+ * Fires pagechange {page, pageSize, total, rows}, rowsave {row, action} and rowerror {row, action, error}.
+ */
+export class DataGrid extends ElementBase{
+    static #sequence = 0;
+    #id;
+    #table;
+    #controller;
+    #page;
+    #total;
+    #sort;
+    #filter;
+    #editing;
+    #filterTimer;
+    constructor(){
+        super();
+        this.#id = ++DataGrid.#sequence;
+        this.#table = null;
+        this.#controller = null;
+        this.#page = 1;
+        this.#total = null;
+        this.#sort = { field: null, direction: null };
+        this.#filter = {};
+        this.#editing = null;
+        this.#filterTimer = null;
+    };
+    static get observedAttributes(){
+        return ["page-size", "columns", "editable", "filterable"];
+    };
+    /**
+     * DataTable holding the rows displayed (its columns define the columns of the grid).
+     */
+    set table(newValue){
+        if (!(newValue instanceof DataTable))
+            throw new TypeError(`invalid parameter of ${Object.getPrototypeOf(newValue).constructor.name} type. Instance of DataTable is required here.`);
+        this.#table = newValue;
+        this.#editing = null;
+        this.render();
+    };
+    get table(){
+        return this.#table;
+    };
+    /**
+     * DataController used to load the pages and to send the changes.
+     */
+    set controller(newValue){
+        if (!(newValue instanceof DataController))
+            throw new TypeError(`invalid parameter of ${Object.getPrototypeOf(newValue).constructor.name} type. Instance of DataController is required here.`);
+        this.#controller = newValue;
+    };
+    get controller(){
+        return this.#controller;
+    };
+    /**
+     * Return the columns displayed (DataField of the table).
+     */
+    get columns(){
+        if (this.#table == null)
+            return [];
+        const names = (this.getAttribute("columns") || "").split(",").map(name => name.trim()).filter(name => name != "");
+        if (names.length == 0)
+            return this.#table.columns.slice();
+        return names.map(name => this.#table.columns.find(column => column.fieldName == name)).filter(column => column != null);
+    };
+    set pageSize(newValue){
+        this.setAttribute("page-size", newValue);
+    };
+    get pageSize(){
+        const size = parseInt(this.getAttribute("page-size"), 10);
+        return (size > 0) ? size : 20;
+    };
+    get page(){
+        return this.#page;
+    };
+    /**
+     * Return the number of records reported by the recipient (null when unknown).
+     */
+    get total(){
+        return this.#total;
+    };
+    get pageCount(){
+        return (this.#total != null) ? Math.max(1, Math.ceil(this.#total / this.pageSize)) : null;
+    };
+    /**
+     * Return the sorting applied: {field, direction} where direction is "asc", "desc" or null.
+     */
+    get sort(){
+        return Object.assign({}, this.#sort);
+    };
+    get filter(){
+        return Object.assign({}, this.#filter);
+    };
+    get editable(){
+        return this.hasAttribute("editable");
+    };
+    /**
+     * Return the row being edited (null if none).
+     */
+    get editing(){
+        return this.#editing;
+    };
+    connectedCallback(){
+        this.render();
+    };
+    disconnectedCallback(){
+        clearTimeout(this.#filterTimer);
+    };
+    attributeChangedCallback(name, oldVal, newVal){
+        if (oldVal !== newVal && this.isConnected)
+            this.render();
+    };
+    /**
+     * Load a page (current page if omitted). Resolve with false when the table has changes not sent.
+     * @param {number} page to be loaded (first page is 1).
+     */
+    load(page = this.#page){
+        if (this.#controller == null || this.#table == null)
+            throw new Error("a DataTable and a DataController are required to load the grid.");
+        if (this.#table.hasChanges)
+            return Promise.resolve(this.#report(null, ViewControllerAction.Load, new Error("the changes of the table must be saved or rejected before loading.")));
+        const payload = new Payload(this.#controller.requestor, { action: ViewControllerAction.Load });
+        const query = { page: Math.max(1, page), pageSize: this.pageSize };
+        if (this.#sort.field != null){
+            query.sort = this.#sort.field;
+            query.direction = this.#sort.direction;
+        };
+        if (Object.keys(this.#filter).length > 0)
+            query.filter = this.#filter;
+        payload.addContent(query);
+        this.#controller.payload = payload;
+        this.#setStatus("loading", true);
+        return this.#controller.execute(ViewControllerAction.Load, { latest: `DataGrid ${this.#id}` }).then(event => {
+            if (event.status === DataControllerStatus.Cancelled)
+                return false;
+            if (event.status !== DataControllerStatus.Succeeded)
+                return this.#report(null, ViewControllerAction.Load, event.payload);
+            const data = event.payload.data;
+            const records = (Array.isArray(data)) ? data : ((data != null) ? (data.rows || data.items || data.data || []) : []);
+            const total = (data != null && !Array.isArray(data)) ? (data.total != null ? data.total : data.count) : null;
+            this.#editing = null;
+            this.#table.clear();
+            this.#table.load(records);
+            this.#page = query.page;
+            this.#total = (total != null) ? Number(total) : ((records.length < this.pageSize) ? (query.page - 1) * this.pageSize + records.length : null);
+            this.#setStatus("", false);
+            this.render();
+            this.dispatchEvent(new CustomEvent("pagechange", { detail: { page: this.#page, pageSize: this.pageSize, total: this.#total, rows: this.#table.items } }));
+            return true;
+        });
+    };
+    /**
+     * Sort by a column and load the first page. The direction cycles asc, desc and none when omitted.
+     * @param {string} fieldName of the column.
+     * @param {string} direction "asc", "desc" or null.
+     */
+    sortBy(fieldName, direction){
+        if (direction === undefined)
+            direction = (this.#sort.field != fieldName) ? "asc" : ({ asc: "desc", desc: null })[this.#sort.direction] || null;
+        this.#sort = (direction == null) ? { field: null, direction: null } : { field: fieldName, direction: direction };
+        return this.load(1);
+    };
+    /**
+     * Filter by the values of the columns (empty values are ignored) and load the first page.
+     * @param {object} filter with the field names as keys.
+     */
+    filterBy(filter = {}){
+        this.#filter = {};
+        Object.entries(filter).forEach(([name, value]) => {
+            if (value != null && value !== "")
+                this.#filter[name] = value;
+        });
+        return this.load(1);
+    };
+    /**
+     * Start editing a row inline (a new row when omitted).
+     * @param {DataTableRow} row to be edited.
+     */
+    edit(row){
+        if (this.#editing != null && this.#editing !== row)
+            this.cancel();
+        this.#editing = (row != null) ? row : this.#table.newRow();
+        this.render();
+        const input = this.querySelector("tr[aria-selected=true] :is(input, select, textarea)");
+        if (input != null)
+            input.focus();
+        return this.#editing;
+    };
+    /**
+     * Stop editing, discarding the row when it was being created.
+     */
+    cancel(){
+        const row = this.#editing;
+        this.#editing = null;
+        if (row != null && row.state === DataRowState.Added)
+            row.delete();
+        this.render();
+    };
+    /**
+     * Validate the values edited and send the row (Create or Edit). Resolve with true when the row was saved.
+     */
+    save(){
+        const row = this.#editing;
+        if (row == null)
+            return Promise.resolve(false);
+        const element = this.querySelector("tr[aria-selected=true]");
+        const fields = row.fields.map(field => {
+            const input = element.querySelector(`[name="${field.fieldName}"]`);
+            if (input == null || (input.type == "file" && (input.files == null || input.files.length == 0)))
+                return field.clone(); //file inputs start empty: the current files are kept unless others are chosen
+            return field.clone(readInputValue(input, field.fieldType));
+        });
+        return Promise.all(fields.map(field => field.validateAsync(fields, row))).then(results => {
+            let valid = true;
+            results.forEach((errors, index) => {
+                const input = element.querySelector(`[name="${fields[index].fieldName}"]`);
+                if (input == null)
+                    return;
+                input.setAttribute("aria-invalid", String(errors.length > 0));
+                input.title = errors.map(error => error.message).join(" ");
+                valid = valid && errors.length == 0;
+            });
+            if (!valid)
+                return false;
+            fields.forEach((field, index) => {
+                if (row.fields[index].serialize() !== field.serialize())
+                    row.fields[index].fieldValue = field.fieldValue;
+            });
+            const action = (row.state === DataRowState.Added) ? ViewControllerAction.Create : ViewControllerAction.Edit;
+            if (row.state === DataRowState.Unchanged){
+                this.#editing = null;
+                this.render();
+                return true;
+            };
+            return this.#send(row, action);
+        });
+    };
+    /**
+     * Remove a row through the Remove action. Resolve with true when the row was removed.
+     * @param {DataTableRow} row to be removed.
+     */
+    remove(row){
+        const message = this.getAttribute("confirm");
+        const view = ViewController.from(this);
+        const context = (view != null) ? view.classContext : null;
+        const confirmed = (message == null) ? Promise.resolve(true) : Promise.resolve((context != null && typeof context.onConfirm === "function") ? 
+            context.onConfirm(message || "Remove?", ViewControllerAction.Remove) : window.confirm(message || "Remove?"));
+        return confirmed.then(accepted => (accepted) ? this.#remove(row) : false);
+    };
+    #remove(row){
+        if (row === this.#editing)
+            this.#editing = null;
+        if (row.state === DataRowState.Added){
+            row.delete();
+            this.render();
+            return Promise.resolve(true);
+        };
+        row.delete();
+        return this.#send(row, ViewControllerAction.Remove);
+    };
+    /**
+     * Rebuild the grid from the rows of the table.
+     */
+    render(){
+        if (!this.isConnected)
+            return;
+        this.textContent = "";
+        if (this.#table == null)
+            return;
+        const columns = this.columns;
+        const editable = this.editable;
+        const toolbar = this.#create("div", { class: "toolbar" });
+        if (editable)
+            toolbar.appendChild(this.#create("button", { type: "button", class: "new" }, "New", () => this.edit()));
+        toolbar.appendChild(this.#create("span", { class: "status", role: "status" }));
+        const table = this.#create("table", { role: "grid", "aria-rowcount": (this.#total != null) ? this.#total : -1 });
+        const head = table.appendChild(this.#create("thead"));
+        const header = head.appendChild(this.#create("tr"));
+        columns.forEach(column => {
+            const sorted = this.#sort.field == column.fieldName;
+            const th = header.appendChild(this.#create("th", { scope: "col", "aria-sort": (sorted) ? ((this.#sort.direction == "asc") ? "ascending" : "descending") : "none" }));
+            th.appendChild(this.#create("button", { type: "button", class: "sort" }, column.label, () => this.sortBy(column.fieldName)));
+        });
+        if (editable)
+            header.appendChild(this.#create("th", { scope: "col", class: "actions" }));
+        if (this.hasAttribute("filterable")){
+            const filters = head.appendChild(this.#create("tr", { class: "filters" }));
+            columns.forEach(column => {
+                const input = this.#create("input", { type: "search", name: column.fieldName, "aria-label": `Filter ${column.label}` });
+                input.value = (this.#filter[column.fieldName] != null) ? this.#filter[column.fieldName] : "";
+                input.addEventListener("input", () => {
+                    clearTimeout(this.#filterTimer);
+                    this.#filterTimer = setTimeout(() => this.filterBy(this.#readFilters()), 300);
+                });
+                filters.appendChild(this.#create("td")).appendChild(input);
+            });
+            if (editable)
+                filters.appendChild(this.#create("td"));
+        };
+        const body = table.appendChild(this.#create("tbody"));
+        this.#table.items.filter(row => row.state !== DataRowState.Deleted).forEach(row => body.appendChild(this.#renderRow(row, columns, editable)));
+        const pager = this.#create("div", { class: "pager" });
+        const count = this.pageCount;
+        pager.appendChild(this.#create("button", { type: "button", class: "previous", "aria-label": "Previous page" }, "‹", () => this.load(this.#page - 1))).disabled = this.#page <= 1;
+        pager.appendChild(this.#create("span", { class: "page" }, (count != null) ? `Page ${this.#page} of ${count}` : `Page ${this.#page}`));
+        pager.appendChild(this.#create("button", { type: "button", class: "next", "aria-label": "Next page" }, "›", () => this.load(this.#page + 1))).disabled = (count != null) ? this.#page >= count : this.#table.length < this.pageSize;
+        this.appendChild(toolbar);
+        this.appendChild(table);
+        this.appendChild(pager);
+    };
+    #renderRow(row, columns, editable){
+        const editing = row === this.#editing;
+        const tr = this.#create("tr", { "data-client-id": row.clientId, "aria-selected": String(editing) });
+        if (row.error != null)
+            tr.setAttribute("aria-invalid", "true");
+        columns.forEach(column => {
+            const field = row.getField(column.fieldName);
+            const td = tr.appendChild(this.#create("td"));
+            if (editing && column.fieldName != this.#table.keyField)
+                td.appendChild(createFieldInput(field));
+            else
+                td.textContent = field.format();
+        });
+        if (!editable)
+            return tr;
+        const actions = tr.appendChild(this.#create("td", { class: "actions" }));
+        if (editing){
+            actions.appendChild(this.#create("button", { type: "button", class: "save" }, "Save", () => this.#save()));
+            actions.appendChild(this.#create("button", { type: "button", class: "cancel" }, "Cancel", () => this.cancel()));
+            tr.addEventListener("keydown", e => {
+                if (e.key == "Enter" && e.target.localName != "textarea"){
+                    e.preventDefault();
+                    this.#save();
+                }
+                else if (e.key == "Escape")
+                    this.cancel();
+            });
+        }
+        else {
+            actions.appendChild(this.#create("button", { type: "button", class: "edit" }, "Edit", () => this.edit(row)));
+            actions.appendChild(this.#create("button", { type: "button", class: "remove" }, "Remove", () => this.remove(row).catch(error => this.#report(row, ViewControllerAction.Remove, error))));
+            tr.addEventListener("dblclick", () => this.edit(row));
+        };
+        return tr;
+    };
+    /**
+     * Save from the buttons and keys of the grid, reporting the failures instead of rejecting.
+     */
+    #save(){
+        const row = this.#editing;
+        const action = (row != null && row.state === DataRowState.Added) ? ViewControllerAction.Create : ViewControllerAction.Edit;
+        return this.save().catch(error => this.#report(row, action, error));
+    };
+    /**
+     * Send the changes of the row being saved (only) and report the outcome.
+     */
+    #send(row, action){
+        if (this.#controller == null)
+            throw new Error("a DataController is required to save the grid.");
+        this.#setStatus("saving", true);
+        return this.#controller.sendChanges(this.#table, action, { rows: [row] }).then(event => {
+            if (event.status !== DataControllerStatus.Succeeded || row.error != null){
+                if (action === ViewControllerAction.Remove)
+                    row.rejectChanges(); //displayed again
+                return this.#report(row, action, (row.error != null) ? row.error : event.payload);
+            };
+            this.#editing = null;
+            this.#setStatus("", false);
+            this.render();
+            this.dispatchEvent(new CustomEvent("rowsave", { detail: { row: row, action: action } }));
+            return true;
+        });
+    };
+    #report(row, action, error){
+        this.#setStatus("", false);
+        this.render();
+        const status = this.querySelector(".status");
+        if (status != null)
+            status.textContent = (error != null && error.message != null) ? error.message : [].concat(error).map(item => (item != null && item.message != null) ? item.message : String(item)).join(" ");
+        this.dispatchEvent(new CustomEvent("rowerror", { detail: { row: row, action: action, error: error } }));
+        return false;
+    };
+    #setStatus(status, busy){
+        if (busy)
+            this.setAttribute("aria-busy", "true");
+        else
+            this.removeAttribute("aria-busy");
+        const element = this.querySelector(".status");
+        if (element != null)
+            element.textContent = status;
+    };
+    #readFilters(){
+        const filter = {};
+        this.querySelectorAll("tr.filters input").forEach(input => filter[input.name] = input.value);
+        return filter;
+    };
+    #create(tagName, attributes = {}, text = null, onClick = null){
+        const element = document.createElement(tagName);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        if (text != null)
+            element.textContent = text;
+        if (onClick != null)
+            element.addEventListener("click", onClick);
+        return element;
+    };
+};
+
+/**
+ * Read the value of a form control. The text is converted by the field itself according to its DataFieldType.
+ * @param {HTMLElement} element form control (input, select or textarea).
+ * @param {number} fieldType DataFieldType constant.
+ */
+function readInputValue(element, fieldType){
+    if (element.type == "checkbox" && fieldType == DataFieldType.Boolean)
+        return element.checked;
+    if (element.type == "select-multiple")
+        return Array.from(element.selectedOptions).map(option => option.value);
+    if (element.type == "file")
+        return Array.from(element.files || []);
+    if ((element.type == "number" || element.type == "range") && element.value !== "")
+        return Number(element.value); //not locale dependent
+    if (element.type == "date" && element.value !== "" && fieldType == DataFieldType.DateTime)
+        return element.value + " 00:00:00";
+    return element.value;
+};
+
+/**
+ * Render a field value into a form control.
+ * @param {HTMLElement} element form control (input, select or textarea).
+ * @param {DataField} field whose value will be rendered.
+ */
+function writeInputValue(element, field){
+    const value = field.fieldValue;
+    if (element.type == "checkbox" && typeof value === "boolean"){
+        element.checked = value;
+        return;
+    };
+    if (element.type == "checkbox" || element.type == "radio"){
+        element.checked = [].concat(value).map(String).indexOf(element.value) > -1;
+        return;
+    };
+    if (element.type == "select-multiple"){
+        const selected = [].concat(value).map(String);
+        Array.from(element.options).forEach(option => option.selected = selected.indexOf(option.value) > -1);
+        return;
+    };
+    if (value == null){
+        element.value = "";
+        return;
+    };
+    if (element.type == "file") //files can only be chosen by the user
+        return;
+    if (element.type == "datetime-local" || element.type == "date"){
+        const text = (value instanceof Date) ? toLocalDateTimeString(value) : String(value).replace(" ", "T");
+        element.value = (element.type == "date") ? text.substring(0, 10) : text;
+        return;
+    };
+    if (element.type == "number" || element.type == "range"){
+        element.value = String(value);
+        return;
+    };
+    element.value = field.format();
+};
+
+/**
+ * Two-way binding between the controls of a form and the fields of a DataRow. Controls are matched to fields by their
+ * data-field attribute or, when absent, by their name. Changes made by the user update the fields and changes made to 
+ * the fields re-render the controls. Submission is blocked until the fields are valid, with the errors rendered next 
+ * to the controls. When a DataController is given, submitting the form sends the row as payload.
+ */
+export class FormBinding {
+    #form;
+    #row;
+    #index;
+    #controller;
+    #action;
+    #fieldListener;
+    #inputListener;
+    #submitListener;
+    #updating;
+    #invalidFields;
+    /**
+     * Create an instance of FormBinding type.
+     * @param {HTMLFormElement} form to be bound.
+     * @param {DataRow} row whose fields will be bound to the form controls.
+     * @param {object} options {index, controller, action}: set of fields of the row to be bound (first one by default),
+     *  DataController used to submit the row and ViewControllerAction performed on submit (controller action by default).
+     */
+    constructor(form, row, options = {}){
+        if (form == null || form.elements == null)
+            throw new TypeError(`invalid form element. A <form> is required to bind a DataRow.`);
+        if (!(row instanceof DataRow))
+            throw new TypeError(`invalid parameter of ${Object.getPrototypeOf(row).constructor.name} type. Instance of DataRow is required here.`);
+        if (options.controller != null && !(options.controller instanceof DataController))
+            throw new TypeError(`invalid parameter of ${options.controller.constructor.name} type. Instance of DataController is required here.`);
+        this.#form = form;
+        this.#row = row;
+        this.#index = options.index || 0;
+        this.#controller = options.controller || null;
+        this.#action = (options.action != null) ? options.action : null;
+        this.#updating = false;
+        this.#invalidFields = new Set();
+        this.#fieldListener = field => {
+            if (!this.#updating)
+                this.getInputs(field.fieldName).forEach(element => writeInputValue(element, field));
+        };
+        this.#inputListener = e => this.#readInput(e.target);
+        this.#submitListener = e => {
+            e.preventDefault();
+            if (this.#controller != null){
+                this.submit();
+                return;
+            };
+            this.read();
+            this.validate().then(valid => {
+                if (valid)
+                    this.#form.submit(); //native submission (does not trigger the submit event again)
+            });
+        };
+        this.fields.forEach(field => field.addChangeListener(this.#fieldListener));
+        form.addEventListener("input", this.#inputListener);
+        form.addEventListener("change", this.#inputListener);
+        form.addEventListener("submit", this.#submitListener);
+        this.render();
+    };
+    get form(){
+        return this.#form;
+    };
+    get row(){
+        return this.#row;
+    };
+    /**
+     * Return the bound set of fields.
+     */
+    get fields(){
+        return this.#row.item(this.#index);
+    };
+    /**
+     * Return the form controls bound to a field.
+     * @param {string} fieldName name of the field.
+     */
+    getInputs(fieldName){
+        return Array.from(this.#form.elements).filter(element => FormBinding.getFieldName(element) == fieldName);
+    };
+    /**
+     * Return the name of the field a form control is bound to (data-field attribute or name).
+     * @param {HTMLElement} element form control.
+     */
+    static getFieldName(element){
+        return (element.dataset && element.dataset.field) || element.name || null;
+    };
+    /**
+     * Copy the values of every field into the form controls.
+     */
+    render(){
+        this.fields.forEach(field => {
+            this.getInputs(field.fieldName).forEach(element => writeInputValue(element, field));
+        });
+    };
+    /**
+     * Copy the values of every form control into the fields.
+     */
+    read(){
+        Array.from(this.#form.elements).forEach(element => {
+            if (element.type != "radio" || element.checked) //only the checked radio button carries the value of the group
+                this.#readInput(element);
+        });
+    };
+    /**
+     * Validate the bound set of fields and render the errors next to the controls. Resolve with true when it is valid.
+     */
+    validate(){
+        return this.#row.validateAsync().then(() => {
+            this.renderErrors();
+            return this.#invalidFields.size == 0;
+        });
+    };
+    /**
+     * Render the errors of the last validation next to the bound controls. Each control is flagged with aria-invalid and
+     * a custom validity message, and the messages are written into the element marked with data-error-for="fieldName"
+     * (a span.juliett-error is created after the last control of the field when there is none).
+     * @param {object} errorLog error log as returned by DataRow.getErrors().
+     */
+    renderErrors(errorLog = this.#row.getErrors()){
+        const entries = (errorLog != null && errorLog.entries != null) ? errorLog.entries : {};
+        this.fields.forEach(field => {
+            const errors = [].concat(entries[field.fieldName] || []).filter(error => error.index == null || error.index == this.#index);
+            this.#renderFieldErrors(field, errors);
+        });
+    };
+    /**
+     * Send the bound set of fields to the recipient through the DataController once they are valid.
+     * Return the promise returned by DataController.execute() or a promise resolved with null when the fields are not valid.
+     */
+    submit(){
+        if (this.#controller == null)
+            throw new Error("no DataController was assigned to submit the form.");
+        this.read();
+        return this.validate().then(valid => {
+            if (!valid)
+                return null;
+            const payload = new Payload(this.#controller.requestor);
+            payload.addContent(this.#row.serialize(this.#index), { source: { row: this.#row, index: this.#index } });
+            this.#controller.payload = payload;
+            return this.#controller.execute((this.#action != null) ? this.#action : this.#controller.action).then(event => {
+                this.renderErrors(); //validation errors reported by the recipient
+                return event;
+            });
+        });
+    };
+    /**
+     * Remove every listener registered by the binding.
+     */
+    unbind(){
+        this.fields.forEach(field => field.removeChangeListener(this.#fieldListener));
+        this.#form.removeEventListener("input", this.#inputListener);
+        this.#form.removeEventListener("change", this.#inputListener);
+        this.#form.removeEventListener("submit", this.#submitListener);
+    };
+    #readInput(element){
+        const field = this.#row.getField(FormBinding.getFieldName(element), this.#index);
+        if (field == null)
+            return;
+        let value = readInputValue(element, field.fieldType);
+        if (element.type == "checkbox" && field.fieldType != DataFieldType.Boolean){ //group of checkboxes sharing a field
+            value = this.getInputs(field.fieldName).filter(item => item.checked).map(item => item.value);
+            if (this.getInputs(field.fieldName).length == 1)
+                value = (value.length > 0) ? readInputValue(element, field.fieldType) : null;
+        };
+        if (element.type == "radio" && !element.checked)
+            return;
+        this.#updating = true; //the control already shows the new value
+        try {
+            field.fieldValue = value;
+        }
+        finally {
+            this.#updating = false;
+        };
+        if (this.#invalidFields.has(field.fieldName)) //revalidate while the errors are displayed
+            field.validateAsync(this.fields, this.#row).then(errors => this.#renderFieldErrors(field, errors));
+    };
+    #renderFieldErrors(field, errors){
+        const message = errors.map(error => (typeof error === "string") ? error : error.message).join(" ");
+        const inputs = this.getInputs(field.fieldName);
+        if (errors.length > 0)
+            this.#invalidFields.add(field.fieldName);
+        else
+            this.#invalidFields.delete(field.fieldName);
+        inputs.forEach(element => {
+            if (errors.length > 0)
+                element.setAttribute("aria-invalid", "true");
+            else
+                element.removeAttribute("aria-invalid");
+            if (typeof element.setCustomValidity === "function")
+                element.setCustomValidity(message);
+        });
+        let target = this.#form.querySelector(`[data-error-for="${field.fieldName}"]`);
+        if (target == null && errors.length > 0 && inputs.length > 0){
+            target = document.createElement("span");
+            target.className = "juliett-error";
+            target.dataset.errorFor = field.fieldName;
+            inputs[inputs.length - 1].insertAdjacentElement("afterend", target);
+        };
+        if (target != null){
+            target.textContent = message; //never interpreted as HTML
+            target.hidden = errors.length == 0;
+        };
+    };
+};
+
+/**
+ * Resolve a dotted path ("customer.name", "." for the item itself, "$index" for its position) against a rendered item.
+ */
+function resolveBindingPath(item, path, index){
+    if (path == "$index")
+        return index;
+    if (path == "." || path == "")
+        return item;
+    return path.split(".").reduce(function(value, key){
+        if (value == null)
+            return null;
+        if (value instanceof DataTableRow)
+            return value.getField(key);
+        if (Array.isArray(value) && value.length > 0 && value.every(entry => entry instanceof DataField))
+            return value.find(field => field.fieldName == key) || null;
+        if (value instanceof DataField)
+            value = value.fieldValue;
+        return (value != null) ? value[key] : null;
+    }, item);
+};
+
+/**
+ * Convert a bound value into the text displayed (DataField values are formatted by their converter).
+ */
+function toBindingText(value){
+    if (value == null)
+        return "";
+    if (value instanceof DataField)
+        return value.format();
+    if (value instanceof Date)
+        return value.toLocaleString();
+    return String(value);
+};
+
+/**
+ * Return the value of a DataField (or the value itself) to be tested by conditionals and iterated by nested lists.
+ */
+function toBindingValue(value){
+    return (value instanceof DataField) ? value.fieldValue : value;
+};
+
+const URL_ATTRIBUTES = ["href", "src", "action", "formaction", "poster", "xlink:href", "data"];
+
+/**
+ * Renders the items of a list (BaseItemList, DataRow, DataTable or array) into a container through a <template>:
+ *  - data-text="path": text content (escaped).
+ *  - data-html="path": HTML content (not escaped, trusted values only).
+ *  - data-attr="name: path; name: path": attributes (event attributes and srcdoc are not allowed, unsafe URLs are dropped).
+ *  - data-if="path" or data-if="!path": the element is displayed only when the value is truthy (or falsy).
+ *  - <template data-each="path" data-key="path">: nested list rendered in place of the template element.
+ * Rendering again updates only the rows that changed.
+ */
+export class ListRenderer {
+    #container;
+    #template;
+    #key;
+    #anchor;
+    #rows;
+    #list;
+    #listener;
+    #scheduled;
+    /**
+     * Create an instance of ListRenderer type.
+     * @param {HTMLElement} container element that receives the rows.
+     * @param {HTMLTemplateElement} template of a row.
+     * @param {object} options {key, anchor}: key of an item (path or function) and the node before which the rows are inserted.
+     */
+    constructor(container, template, options = {}){
+        if (container == null || typeof container.insertBefore !== "function")
+            throw new TypeError(`invalid parameter for container: ${container}. A DOM element is required here.`);
+        if (template == null || template.content == null)
+            throw new TypeError(`invalid parameter for template: ${template}. A template element is required here.`);
+        if (options.key != null && typeof options.key !== "string" && typeof options.key !== "function")
+            throw new TypeError(`invalid parameter for key: ${options.key}. A path or a function is required here.`);
+        this.#container = container;
+        this.#template = template;
+        this.#key = options.key || null;
+        this.#anchor = options.anchor || null;
+        this.#rows = new Map();
+        this.#list = null;
+        this.#listener = null;
+        this.#scheduled = false;
+    };
+    get container(){
+        return this.#container;
+    };
+    /**
+     * Return the list being rendered.
+     */
+    get list(){
+        return this.#list;
+    };
+    /**
+     * Render a list. BaseItemList instances are rendered again whenever they change, call update() after other changes.
+     * @param {*} list BaseItemList, DataRow, DataTable or array of items.
+     */
+    render(list){
+        if (list !== this.#list){
+            this.#unobserve();
+            this.#list = list;
+            if (list instanceof BaseItemList){
+                this.#listener = () => this.#schedule();
+                list.addChangeListener(this.#listener);
+            };
+        };
+        this.update();
+        return this;
+    };
+    /**
+     * Synchronize the DOM with the current items of the list.
+     */
+    update(){
+        const items = (this.#list == null) ? [] : ((this.#list instanceof BaseItemList) ? this.#list.items : Array.from(this.#list));
+        const rows = new Map();
+        const order = [];
+        items.forEach((item, index) => {
+            const key = this.#getKey(item, index);
+            if (rows.has(key))
+                throw new Error(`duplicate key ${String(key)} found while rendering the list.`);
+            let row = this.#rows.get(key);
+            if (row == null)
+                row = this.#createRow();
+            this.#rows.delete(key);
+            this.#bind(row, item, index);
+            rows.set(key, row);
+            order.push(row);
+        });
+        this.#rows.forEach(row => this.#removeRow(row));
+        this.#rows = rows;
+        let reference = this.#anchor;
+        for (let i = order.length - 1; i >= 0; i--){ //move (or insert) only the nodes out of place
+            const nodes = order[i].nodes;
+            for (let j = nodes.length - 1; j >= 0; j--){
+                if (nodes[j].parentNode !== this.#container || nodes[j].nextSibling !== reference)
+                    this.#container.insertBefore(nodes[j], reference);
+                reference = nodes[j];
+            };
+        };
+        return this;
+    };
+    /**
+     * Stop rendering the list on change. Set clear to true to remove the rows as well.
+     * @param {boolean} clear the rendered rows.
+     */
+    disconnect(clear = false){
+        this.#unobserve();
+        if (clear){
+            this.#rows.forEach(row => this.#removeRow(row));
+            this.#rows.clear();
+            this.#list = null;
+        };
+    };
+    #unobserve(){
+        if (this.#list instanceof BaseItemList && this.#listener != null)
+            this.#list.removeChangeListener(this.#listener);
+        this.#listener = null;
+    };
+    #schedule(){ //several changes in a row are rendered once
+        if (this.#scheduled)
+            return;
+        this.#scheduled = true;
+        Promise.resolve().then(() => {
+            this.#scheduled = false;
+            if (this.#listener != null)
+                this.update();
+        });
+    };
+    #getKey(item, index){
+        if (typeof this.#key === "function")
+            return this.#key(item, index);
+        if (this.#key != null)
+            return toBindingValue(resolveBindingPath(item, this.#key, index));
+        return (item instanceof DataTableRow) ? item.clientId : item;
+    };
+    /**
+     * Clone the template and collect the bindings of its elements.
+     */
+    #createRow(){
+        const fragment = this.#template.content.cloneNode(true);
+        const bindings = [];
+        fragment.querySelectorAll("[data-text], [data-html], [data-attr], [data-if], template[data-each]").forEach(element => {
+            if (element.hasAttribute("data-text"))
+                bindings.push({ type: "text", element: element, path: element.getAttribute("data-text") });
+            else if (element.hasAttribute("data-html"))
+                bindings.push({ type: "html", element: element, path: element.getAttribute("data-html") });
+            if (element.hasAttribute("data-attr")){
+                element.getAttribute("data-attr").split(";").filter(entry => entry.trim() != "").forEach(entry => {
+                    const separator = entry.indexOf(":");
+                    const name = entry.substring(0, separator).trim().toLowerCase();
+                    if (separator < 1 || name.indexOf("on") == 0 || name == "srcdoc") //srcdoc is raw HTML
+                        throw new TypeError(`invalid attribute binding: ${entry.trim()}.`);
+                    bindings.push({ type: "attr", element: element, name: name, path: entry.substring(separator + 1).trim() });
+                });
+            };
+            if (element.hasAttribute("data-if")){
+                const expression = element.getAttribute("data-if").trim();
+                bindings.push({ 
+                    type: "if", 
+                    element: element, 
+                    negate: expression.charAt(0) == "!", 
+                    path: expression.replace(/^!/, ""),
+                    placeholder: document.createComment("data-if") 
+                });
+            };
+            if (element.localName == "template" && element.hasAttribute("data-each")){
+                if (element.parentNode === fragment)
+                    throw new Error(`nested list ${element.getAttribute("data-each")} must be wrapped by an element.`);
+                const renderer = new ListRenderer(element.parentNode, element, { 
+                    key: element.getAttribute("data-key") || null,
+                    anchor: element
+                });
+                bindings.push({ type: "each", element: element, path: element.getAttribute("data-each"), renderer: renderer });
+            };
+        });
+        return { nodes: Array.from(fragment.childNodes), bindings: bindings };
+    };
+    /**
+     * Write the values of an item into its row, skipping the values already displayed.
+     */
+    #bind(row, item, index){
+        row.bindings.forEach(binding => {
+            const value = resolveBindingPath(item, binding.path, index);
+            switch (binding.type){
+                case "text": {
+                    const text = toBindingText(value);
+                    if (binding.element.textContent !== text)
+                        binding.element.textContent = text;
+                    break;
+                }
+                case "html": {
+                    const html = toBindingText(value);
+                    if (binding.last !== html)
+                        binding.element.innerHTML = html;
+                    binding.last = html;
+                    break;
+                }
+                case "attr": {
+                    let raw = toBindingValue(value);
+                    let text = (raw == null || raw === false) ? null : ((raw === true) ? "" : toBindingText(value));
+                    if (text != null && URL_ATTRIBUTES.indexOf(binding.name) > -1 && !isSafeUrl(text))
+                        text = null;
+                    if (text == null){
+                        if (binding.element.hasAttribute(binding.name))
+                            binding.element.removeAttribute(binding.name);
+                    }
+                    else if (binding.element.getAttribute(binding.name) !== text)
+                        binding.element.setAttribute(binding.name, text);
+                    break;
+                }
+                case "if": {
+                    const visible = Boolean(toBindingValue(value)) !== binding.negate;
+                    if (visible && binding.placeholder.parentNode != null)
+                        binding.placeholder.parentNode.replaceChild(binding.element, binding.placeholder);
+                    else if (!visible && binding.element.parentNode != null)
+                        binding.element.parentNode.replaceChild(binding.placeholder, binding.element);
+                    this.#swapRootNode(row, visible ? binding.placeholder : binding.element, visible ? binding.element : binding.placeholder);
+                    break;
+                }
+                case "each": {
+                    const list = toBindingValue(value);
+                    binding.renderer.render((list != null) ? list : []);
+                    break;
+                }
+            };
+        });
+    };
+    /**
+     * Keep the top level nodes of a row up to date when a conditional element is swapped with its placeholder.
+     */
+    #swapRootNode(row, previous, current){
+        const index = row.nodes.indexOf(previous);
+        if (index > -1)
+            row.nodes[index] = current;
+    };
+    #removeRow(row){
+        row.bindings.forEach(binding => {
+            if (binding.type == "each")
+                binding.renderer.disconnect(true);
+        });
+        row.nodes.forEach(node => {
+            if (node.parentNode != null)
+                node.parentNode.removeChild(node);
+        });
+    };
+};
+
+/**
+ * View controllers by DOMContext, to be found from the elements they control (see ViewController.from).
+ */
+const VIEW_CONTROLLERS = new WeakMap();
+
+/**
+ * Exposes the BaseViewController allowing the aggregation of its features into an application.
+ */
+export class ViewController extends BaseViewController {
+    #bindings;
+    #renderers;
+    #histories;
+    #keyListener;
+    #triggers;
+    #mounted;
+    #destroyed;
+    #route;
+    constructor(DOMContext, classContext) {
+        super(DOMContext, classContext);
+        this.#bindings = [];
+        this.#renderers = new Map();
+        this.#histories = [];
+        this.#keyListener = null;
+        this.#triggers = [];
+        this.#mounted = null; //triggers are attached as soon as they are set, until the first unmount()
+        this.#destroyed = false;
+        this.#route = null;
+        if (DOMContext != null && typeof DOMContext === "object")
+            VIEW_CONTROLLERS.set(DOMContext, this);
+    };
+    /**
+     * Return the view controller whose DOMContext is the nearest to an element (null if none).
+     * @param {HTMLElement} element controlled by the view controller.
+     */
+    static from(element){
+        for (let node = element; node != null; node = node.parentNode){
+            const view = VIEW_CONTROLLERS.get(node);
+            if (view != null)
+                return view;
+        };
+        return null;
+    };
+    /**
+     * Route that displays the view controller (assigned by the Router before mount): {name, path, params, query, action}.
+     */
+    set route(newValue){
+        this.#route = newValue;
+    };
+    get route(){
+        return this.#route;
+    };
+    /**
+     * Return the form bindings created by bind().
+     */
+    get bindings(){
+        return this.#bindings;
+    };
+    /**
+     * Bind a form within the DOMContext to a DataRow (see FormBinding).
+     * @param {DataRow} row whose fields will be bound to the form controls.
+     * @param {object} options {form, index, controller, action}: form element or querySelector filter (first form 
+     *  of the DOMContext by default) plus the options accepted by FormBinding.
+     */
+    bind(row, options = {}){
+        let form = options.form || "form";
+        if (typeof form === "string")
+            form = super.DOMContext.querySelector(form);
+        const binding = new FormBinding(form, row, options);
+        this.#bindings.push(binding);
+        return binding;
+    };
+    /**
+     * Render a list into a container of the DOMContext through a <template> (see ListRenderer). Return the ListRenderer.
+     * @param {*} list BaseItemList, DataRow, DataTable or array of items.
+     * @param {object} options {template, container, key}: template and container (elements or querySelector filters) and key.
+     */
+    render(list, options = {}){
+        let template = options.template || "template";
+        if (typeof template === "string")
+            template = super.DOMContext.querySelector(template);
+        let container = options.container || ((template != null) ? template.parentNode : null);
+        if (typeof container === "string")
+            container = super.DOMContext.querySelector(container);
+        let renderer = this.#renderers.get(container);
+        if (renderer == null){
+            renderer = new ListRenderer(container, template, { 
+                key: options.key, 
+                anchor: (template != null && template.parentNode === container) ? template : null 
+            });
+            this.#renderers.set(container, renderer);
+        };
+        return renderer.render(list);
+    };
+    /**
+     * Return the histories created by track().
+     */
+    get histories(){
+        return this.#histories.slice();
+    };
+    /**
+     * Return true when any row tracked by track() has changes that were not saved.
+     */
+    get isDirty(){
+        return this.#histories.some(history => history.isDirty);
+    };
+    /**
+     * Record the changes made to a DataRow, undone and redone through the keyboard shortcuts within the DOMContext.
+     * Return the DataRowHistory.
+     * @param {DataRow} row whose changes will be recorded.
+     * @param {object} options accepted by DataRowHistory.
+     */
+    track(row, options = {}){
+        const history = new DataRowHistory(row, options);
+        this.#histories.push(history);
+        if (this.#keyListener == null){
+            this.#keyListener = e => {
+                const history = this.#getFocusedHistory(e.target);
+                if (history != null)
+                    history.handleKey(e);
+            };
+            super.DOMContext.addEventListener("keydown", this.#keyListener);
+        };
+        return history;
+    };
+    /**
+     * Validate every bound form rendering the errors next to the controls. Resolve with true when all of them are valid.
+     */
+    validate(){
+        return Promise.all(this.#bindings.map(binding => binding.validate())).then(results => results.every(valid => valid));
+    };
+    /**
+     * Remove a binding created by bind() (or all of them when omitted).
+     * @param {FormBinding} binding to be removed.
+     */
+    unbind(binding){
+        this.#bindings.filter(item => binding == null || item === binding).forEach(item => item.unbind());
+        this.#bindings = this.#bindings.filter(item => binding != null && item !== binding);
+    };
+    /**
+     * Assign an internal event handler to a DOM element. The handler is detached by unmount() and attached again by mount().
+     * @param {*} filter querySelector filter to find all DOM elements that can trigger the event handler.
+     * @param {*} eventHandler name of the method of the classContext (or function) that will respond to the event.
+     * @param {string} eventType DOM event that triggers the handler (click by default).
+     */
+    setTrigger(filter, eventHandler, eventType = "click"){
+        if (this.#destroyed)
+            throw new Error("the view controller was destroyed.");
+        const trigger = { filter: filter, eventHandler: eventHandler, eventType: eventType, attached: [] };
+        this.#triggers.push(trigger);
+        if (this.#mounted !== false)
+            this.#attach(trigger);
+    };
+    /**
+     * Return true while the triggers are attached to the DOM.
+     */
+    get mounted(){
+        return this.#mounted !== false;
+    };
+    /**
+     * Attach the triggers removed by unmount(), call the onMount method of the classContext and emit "mount".
+     */
+    mount(){
+        if (this.#destroyed)
+            throw new Error("the view controller was destroyed.");
+        if (this.#mounted === true)
+            return;
+        if (this.#mounted === false)
+            this.#triggers.forEach(trigger => this.#attach(trigger));
+        this.#mounted = true;
+        this.#callHook("onMount");
+        this.emit("mount");
+    };
+    /**
+     * Remove the listeners attached by setTrigger, call the onUnmount method of the classContext and emit "unmount".
+     */
+    unmount(){
+        if (this.#mounted === false)
+            return;
+        this.#triggers.forEach(trigger => this.#detach(trigger));
+        this.#mounted = false;
+        this.#callHook("onUnmount");
+        this.emit("unmount");
+    };
+    /**
+     * Unmount the view controller, release its bindings, triggers and histories, call the onDestroy method of the classContext
+     * and emit "destroy". The instance cannot be used afterwards.
+     */
+    destroy(){
+        if (this.#destroyed)
+            return;
+        this.unmount();
+        this.unbind();
+        this.#renderers.forEach(renderer => renderer.disconnect());
+        this.#renderers.clear();
+        this.#histories.forEach(history => history.dispose());
+        this.#histories = [];
+        if (this.#keyListener != null)
+            super.DOMContext.removeEventListener("keydown", this.#keyListener);
+        this.#keyListener = null;
+        this.#triggers = [];
+        this.#destroyed = true;
+        if (VIEW_CONTROLLERS.get(super.DOMContext) === this)
+            VIEW_CONTROLLERS.delete(super.DOMContext);
+        this.#callHook("onDestroy");
+        this.emit("destroy");
+        this.off();
+    };
+    /**
+     * Return the history of the row bound to the form that contains the element (null if none).
+     */
+    #getFocusedHistory(element){
+        const binding = this.#bindings.find(item => item.form != null && item.form.contains(element));
+        if (binding != null)
+            return this.#histories.find(history => history.row === binding.row) || null;
+        return (this.#histories.length == 1) ? this.#histories[0] : null;
+    };
+    #attach(trigger){
+        const classContext = super.classContext;
+        const listener = function(e){
+            e.preventDefault();
+            if (typeof trigger.eventHandler === "function")
+                trigger.eventHandler.call(classContext, e);
+            else
+                classContext[trigger.eventHandler](e);
+        };
+        super.DOMContext.querySelectorAll(trigger.filter).forEach(function(item){
+            item.addEventListener(trigger.eventType, listener);
+            trigger.attached.push({ element: item, listener: listener });
+        });
+    };
+    #detach(trigger){
+        trigger.attached.forEach(entry => entry.element.removeEventListener(trigger.eventType, entry.listener));
+        trigger.attached = [];
+    };
+    #callHook(name){
+        const classContext = super.classContext;
+        if (classContext != null && typeof classContext[name] === "function")
+            classContext[name](this);
+    };
+};
+/**
+ * Compile a route path (i.e. "/customers/:id?", "/files/*") into a regular expression and the names of its parameters.
+ * @param {string} path pattern of the route.
+ */
+function compileRoutePath(path){
+    const keys = [];
+    const source = path.replace(/\/+$/, "").split("/").map(function(segment, index){
+        if (index == 0 && segment == "")
+            return "";
+        if (segment == "*"){
+            keys.push("wildcard");
+            return "(?:/(.*))?";
+        };
+        const param = /^:([A-Za-z_$][\w$]*)(\?)?$/.exec(segment);
+        if (param == null)
+            return "/" + segment.replace(/[.+*?^${}()|[\]\\]/g, "\\$&");
+        keys.push(param[1]);
+        return (param[2] != null) ? "(?:/([^/]+))?" : "/([^/]+)";
+    }).join("");
+    return { regex: new RegExp(`^${source}/?$`), keys: keys };
+};
+
+/**
+ * Maps URL paths to ViewController classes displayed inside a container element, reading the hash or the History API.
+ * The view being left may cancel the navigation through an onBeforeLeave(to) method returning false.
+ * Events: navigate, change, cancelled, notfound and error.
+ */
+export class Router extends EventEmitter {
+    #container;
+    #mode;
+    #base;
+    #routes;
+    #guards;
+    #current;
+    #cache;
+    #navigation;
+    #listeners;
+    /**
+     * Create an instance of Router type.
+     * @param {HTMLElement} container element where the views are mounted.
+     * @param {object} options {mode, base}: "hash" (default) or "history" and the base path of the application (history mode).
+     */
+    constructor(container, options = {}){
+        super();
+        if (container == null || typeof container.appendChild !== "function")
+            throw new TypeError(`invalid parameter for container: ${container}. A DOM element is required here.`);
+        const mode = options.mode || "hash";
+        if (mode != "hash" && mode != "history")
+            throw new TypeError(`invalid parameter for mode: ${mode}. Require "hash" or "history".`);
+        this.#container = container;
+        this.#mode = mode;
+        this.#base = (options.base || "").replace(/\/+$/, "");
+        this.#routes = [];
+        this.#guards = [];
+        this.#current = null;
+        this.#cache = new Map();
+        this.#navigation = 0;
+        this.#listeners = null;
+    };
+    get container(){
+        return this.#container;
+    };
+    get mode(){
+        return this.#mode;
+    };
+    /**
+     * Return the current route {name, path, params, query, action, view} (null before the first navigation).
+     */
+    get current(){
+        return this.#current;
+    };
+    /**
+     * Return the registered routes.
+     */
+    get routes(){
+        return this.#routes.slice();
+    };
+    /**
+     * Register a route. Routes are matched in the order they were added, "*" matches any path.
+     * @param {string} path pattern of the route, i.e. "/customers/:id/edit".
+     * @param {object} options {controller, action, template, guard, name, keepAlive}:
+     *  - controller: ViewController subclass or a function loading it (i.e. () => import("./customers.js")).
+     *  - action: ViewControllerAction performed by the view (Load by default).
+     *  - template: HTML string, <template> element or function(route) returning one of them.
+     *  - guard: function(to, from) returning false to cancel the navigation or a path to redirect it.
+     *  - name: identifier of the route (path by default).
+     *  - keepAlive: set to true to reuse the view when the same path is displayed again.
+     */
+    add(path, options = {}){
+        if (typeof path !== "string" || (path != "*" && path.charAt(0) != "/"))
+            throw new TypeError(`invalid parameter for path: ${path}. A path starting with "/" is required here.`);
+        if (typeof options.controller !== "function")
+            throw new TypeError(`invalid parameter for controller: ${options.controller}. A ViewController class or a loader function is required here.`);
+        if (options.action != null && HTTP_METHODS[options.action] == null)
+            throw new TypeError(`invalid parameter value for action: ${options.action}. Require ViewControllerAction enumerator constants.`);
+        if (options.guard != null && typeof options.guard !== "function")
+            throw new TypeError(`invalid parameter for guard: ${options.guard}. A function is required here.`);
+        const compiled = (path == "*") ? { regex: /^.*$/, keys: [] } : compileRoutePath(path);
+        this.#routes.push({
+            name: options.name || path,
+            path: path,
+            regex: compiled.regex,
+            keys: compiled.keys,
+            controller: options.controller,
+            action: (options.action != null) ? options.action : ViewControllerAction.Load,
+            template: options.template || null,
+            guard: options.guard || null,
+            keepAlive: options.keepAlive === true
+        });
+        return this;
+    };
+    /**
+     * Register a guard applied to every navigation, i.e. to confirm leaving a form with unsaved changes.
+     * @param {function} guard function(to, from) returning (or resolving with) false to cancel or a path to redirect.
+     */
+    addGuard(guard){
+        if (typeof guard !== "function")
+            throw new TypeError(`invalid parameter of ${typeof guard} type. A function is required here.`);
+        this.#guards.push(guard);
+        return guard;
+    };
+    removeGuard(guard){
+        this.#guards = this.#guards.filter(item => item !== guard);
+    };
+    /**
+     * Return the route matching a path: {name, path, params, query, action} (null when no route matches).
+     * @param {string} path to be resolved, including the query string (optional).
+     */
+    match(path){
+        const [pathname, search] = String(path).split("?");
+        for (const route of this.#routes){
+            const result = route.regex.exec(pathname);
+            if (result == null)
+                continue;
+            const params = {};
+            route.keys.forEach(function(key, index){
+                if (result[index + 1] !== undefined)
+                    params[key] = decodeURIComponent(result[index + 1]);
+            });
+            return {
+                name: route.name,
+                path: path,
+                params: params,
+                query: Object.fromEntries(new URLSearchParams(search || "")),
+                action: route.action
+            };
+        };
+        return null;
+    };
+    /**
+     * Return the path displayed by the browser.
+     */
+    getPath(){
+        if (this.#mode == "hash")
+            return window.location.hash.replace(/^#/, "") || "/";
+        let path = window.location.pathname;
+        if (this.#base != "" && path.indexOf(this.#base) == 0)
+            path = path.substring(this.#base.length);
+        return (path || "/") + window.location.search;
+    };
+    /**
+     * Display the view of a path. Resolve with true when the navigation was completed, false when it was cancelled.
+     * @param {string} path to be displayed.
+     * @param {object} options {replace}: set replace to true to replace the current history entry.
+     */
+    navigate(path, options = {}){
+        return this.#resolve(path, options.replace === true ? "replace" : "push");
+    };
+    back(){
+        window.history.back();
+    };
+    forward(){
+        window.history.forward();
+    };
+    /**
+     * Listen to the browser navigation and to the clicks on links flagged with data-route, then display the current path.
+     */
+    start(){
+        if (this.#listeners != null)
+            return this.#resolve(this.getPath(), "none");
+        const onChange = () => {
+            const path = this.getPath();
+            if (this.#current == null || path != this.#current.path)
+                this.#resolve(path, "none").catch(() => false); //reported through the error event
+        };
+        const onClick = e => {
+            const link = (e.target != null && typeof e.target.closest === "function") ? e.target.closest("a[data-route]") : null;
+            if (link == null || e.defaultPrevented || e.button > 0 || e.ctrlKey || e.metaKey || e.shiftKey)
+                return;
+            e.preventDefault();
+            const href = link.getAttribute("href") || "/";
+            this.navigate((this.#mode == "hash") ? href.replace(/^#/, "") : href).catch(() => false);
+        };
+        const type = (this.#mode == "hash") ? "hashchange" : "popstate"; //hash changes fire popstate as well
+        this.#listeners = { type: type, onChange: onChange, onClick: onClick };
+        window.addEventListener(type, onChange);
+        document.addEventListener("click", onClick);
+        return this.#resolve(this.getPath(), "none");
+    };
+    /**
+     * Stop listening to the browser navigation. Set destroy to true to destroy the views as well.
+     * @param {boolean} destroy the current and cached views.
+     */
+    stop(destroy = false){
+        if (this.#listeners != null){
+            window.removeEventListener(this.#listeners.type, this.#listeners.onChange);
+            document.removeEventListener("click", this.#listeners.onClick);
+            this.#listeners = null;
+        };
+        if (destroy){
+            this.#cache.forEach(entry => entry.view.destroy());
+            this.#cache.clear();
+            if (this.#current != null && this.#current.view != null){
+                this.#current.view.destroy();
+                this.#current.element.remove();
+            };
+            this.#current = null;
+        };
+    };
+    /**
+     * Resolve a path into a view. History is "push", "replace" or "none" (the browser already displays the path).
+     */
+    #resolve(path, history){
+        const navigation = ++this.#navigation; //latest navigation wins
+        const from = this.#current;
+        const to = this.match(path);
+        if (to == null){
+            this.emit("notfound", { path: path });
+            return Promise.resolve(false);
+        };
+        const route = this.#routes.find(item => item.name == to.name);
+        const cancel = () => {
+            if (history == "none" && from != null)
+                this.#setURL(from.path, "replace"); //restore the address of the view still displayed
+            this.emit("cancelled", { from: from, to: to });
+            return false;
+        };
+        this.emit("navigate", { from: from, to: to });
+        const guards = this.#guards.concat((route.guard != null) ? [route.guard] : []);
+        if (from != null && from.view != null && typeof from.view.classContext.onBeforeLeave === "function")
+            guards.unshift(target => from.view.classContext.onBeforeLeave(target)); //the view being left may refuse as well
+        const unsaved = (from != null && from.view instanceof ViewController) ? from.view.histories.find(item => item.warning != null && item.isDirty) : null;
+        if (unsaved != null && typeof window !== "undefined" && typeof window.confirm === "function")
+            guards.unshift(() => window.confirm(unsaved.warning)); //changes tracked with a warning (see DataRowHistory)
+        const check = guards.reduce((promise, guard) => promise.then(result => {
+            if (result !== true)
+                return result;
+            return Promise.resolve(guard(to, from)).then(value => (value === false || typeof value === "string") ? value : true);
+        }), Promise.resolve(true));
+        return check.then(result => {
+            if (navigation != this.#navigation)
+                return false;
+            if (result === false)
+                return cancel();
+            if (typeof result === "string"){
+                if (history == "none" && from != null)
+                    history = "replace";
+                return this.#resolve(result, (history == "none") ? "replace" : history);
+            };
+            return this.#load(route).then(ViewClass => {
+                if (navigation != this.#navigation)
+                    return false;
+                if (history != "none")
+                    this.#setURL(path, history);
+                this.#display(route, to, ViewClass);
+                this.emit("change", { from: from, to: this.#current });
+                return true;
+            });
+        }).catch(error => {
+            if (navigation == this.#navigation)
+                this.emit("error", { error: error, to: to });
+            if (this.listenerCount("error") == 0)
+                throw error;
+            return false;
+        });
+    };
+    /**
+     * Return (loading it when needed) the ViewController class of a route.
+     */
+    #load(route){
+        if (route.controller.prototype instanceof BaseViewController)
+            return Promise.resolve(route.controller);
+        return Promise.resolve(route.controller()).then(loaded => {
+            const ViewClass = (loaded != null && loaded.default != null) ? loaded.default : loaded;
+            if (typeof ViewClass !== "function" || !(ViewClass.prototype instanceof BaseViewController))
+                throw new TypeError(`invalid controller loaded for route ${route.path}. A ViewController class is required here.`);
+            route.controller = ViewClass;
+            return ViewClass;
+        });
+    };
+    /**
+     * Unmount the current view and mount the view of the route inside the container.
+     */
+    #display(route, to, ViewClass){
+        const from = this.#current;
+        if (from != null){
+            from.view.unmount();
+            from.element.remove();
+            if (from.keepAlive)
+                this.#cache.set(from.path, from);
+            else
+                from.view.destroy();
+        };
+        let entry = (route.keepAlive) ? this.#cache.get(to.path) : null;
+        if (entry != null)
+            this.#cache.delete(to.path);
+        else {
+            const element = document.createElement("div");
+            element.setAttribute("data-route", route.name);
+            let template = (typeof route.template === "function") ? route.template(to) : route.template;
+            if (template != null && template.content != null)
+                element.appendChild(template.content.cloneNode(true));
+            else if (template != null)
+                element.innerHTML = template;
+            entry = { element: element, view: null, keepAlive: route.keepAlive };
+            this.#container.appendChild(element); //DOM available to the constructor of the view
+            entry.view = new ViewClass(element);
+        };
+        if (entry.element.parentNode !== this.#container)
+            this.#container.appendChild(entry.element);
+        this.#current = Object.assign(entry, to);
+        entry.view.route = to;
+        entry.view.mount();
+    };
+    #setURL(path, history){
+        const url = (this.#mode == "hash") ? `#${path}` : this.#base + path;
+        if (history == "replace")
+            window.history.replaceState(null, "", url);
+        else
+            window.history.pushState(null, "", url);
+    };
+};
+
+/**
+ * Register the custom elements under the juliett- prefix where custom elements are supported.
+ */
+if (typeof customElements !== "undefined"){
+    Object.entries({
+        "juliett-button"    : Button,
+        "juliett-slider"    : Slider,
+        "juliett-carrousel" : Carrousel,
+        "juliett-grid"      : DataGrid
+    }).forEach(function([name, element]){
+        if (customElements.get(name) == null)
+            customElements.define(name, element);
+    });
+};
@@ -0,0 +1,81 @@
+import { dom, skip } from "./dom.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { delay } from "./helpers.js";
+import { Button, ViewController, ViewControllerAction } from "../juliett.js";
+
+/**
+ * Create a view holding a button of the action given, handled by the screen.
+ */
+function createButton(action, screen, attributes = ""){
+    document.body.innerHTML = `<div id="view"><juliett-button action="${action}" ${attributes}>go</juliett-button></div>`;
+    new ViewController(document.getElementById("view"), screen);
+    return document.querySelector("juliett-button");
+};
+
+test("the action is resolved from its attribute", { skip }, () => {
+    assert.ok(createButton("edit", {}) instanceof Button);
+    assert.equal(createButton("edit", {}).action, ViewControllerAction.Edit);
+    assert.equal(createButton("Remove", {}).action, ViewControllerAction.Remove);
+    const custom = createButton("archive", {});
+    assert.equal(custom.action, ViewControllerAction.Custom);
+    assert.equal(custom.actionName, "archive");
+    assert.equal(custom.getAttribute("role"), "button");
+});
+
+test("the handler of the view runs while the button is busy", { skip }, async () => {
+    const calls = [];
+    let finish = null;
+    const screen = {
+        onEdit(e, details){
+            calls.push([this === screen, e.type, details.action]);
+            return new Promise(resolve => finish = resolve);
+        }
+    };
+    const button = createButton("Edit", screen);
+    button.click();
+    assert.equal(button.busy, true);
+    assert.equal(button.disabled, true);
+    button.click();
+    await delay(0);
+    finish();
+    await delay(0);
+    assert.deepEqual(calls, [[true, "click", ViewControllerAction.Edit]]);
+    assert.equal(button.busy, false);
+    assert.equal(button.getAttribute("aria-disabled"), "false");
+    button.dispatchEvent(new dom.KeyboardEvent("keydown", { key: "Enter", bubbles: true, cancelable: true }));
+    await delay(0);
+    assert.equal(calls.length, 2);
+});
+
+test("named actions fall back to onCustom", { skip }, async () => {
+    const calls = [];
+    createButton("archive", { onCustom: (e, details) => calls.push(details.name) }).click();
+    await delay(0);
+    assert.deepEqual(calls, ["archive"]);
+});
+
+test("removals wait for the confirmation", { skip }, async () => {
+    const calls = [];
+    const answers = [false, true];
+    const screen = {
+        onConfirm: message => { calls.push(message); return answers.shift(); },
+        onRemove: () => calls.push("removed")
+    };
+    const button = createButton("Remove", screen, `confirm="delete the row?"`);
+    button.click();
+    await delay(0);
+    button.click();
+    await delay(0);
+    assert.deepEqual(calls, ["delete the row?", "delete the row?", "removed"]);
+});
+
+test("missing handlers are reported through the error event", { skip }, async () => {
+    const button = createButton("Load", {});
+    const errors = [];
+    button.addEventListener("error", e => { e.preventDefault(); errors.push(e.detail.error.message); });
+    button.click();
+    await delay(0);
+    assert.deepEqual(errors, ["Object does not implement onLoad to handle the action Load."]);
+    assert.equal(button.busy, false);
+});
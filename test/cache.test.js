@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, delay } from "./helpers.js";
+import { DataControllerStatus, MockTransport, Payload, ResponseCache, ViewControllerAction } from "../juliett.js";
+
+/**
+ * Send a Load request with the content given.
+ */
+function load(controller, content, options = {}){
+    const payload = new Payload({});
+    payload.addContent(content);
+    controller.payload = payload;
+    return controller.execute(ViewControllerAction.Load, options);
+};
+
+/**
+ * Create a DataController caching the answers of a mock recipient that counts the requests.
+ */
+function createCachedController(cache, events = []){
+    let version = 0;
+    const transport = new MockTransport().route("GET", "/items", request => ({ q: request.query.q, version: ++version }));
+    const controller = createController(transport, { events: events });
+    controller.cache = cache;
+    return controller;
+};
+
+test("loads are answered by the cache until a related edit succeeds", async () => {
+    const events = [];
+    const controller = createCachedController(new ResponseCache(), events);
+    controller.transport.route("PUT", "/items", { ok: true });
+    await load(controller, { q: "a", page: 1 });
+    await load(controller, { page: 1, q: "a" });
+    assert.equal(controller.transport.requests.length, 1);
+    assert.equal(events[1].payload.cached, true);
+    assert.deepEqual(events[1].payload.data, { q: "a", version: 1 });
+    await load(controller, { q: "a" }, { cache: false });
+    assert.equal(controller.transport.requests.length, 2);
+    controller.payload = new Payload({});
+    controller.payload.addContent({ id: 1 });
+    await controller.execute(ViewControllerAction.Edit);
+    await load(controller, { q: "a", page: 1 });
+    assert.equal(controller.transport.requests.length, 4);
+});
+
+test("stale entries are delivered first and then refreshed", async () => {
+    const events = [];
+    const controller = createCachedController(new ResponseCache({ ttl: 0, staleWhileRevalidate: true }), events);
+    await load(controller, { q: "a" });
+    await load(controller, { q: "a" });
+    await delay(10);
+    assert.deepEqual(events.map(e => [e.payload.cached, e.payload.data.version]), [[false, 1], [true, 1], [false, 2]]);
+    const strict = createCachedController(new ResponseCache({ ttl: 0 }));
+    await load(strict, { q: "a" });
+    assert.equal((await load(strict, { q: "a" })).payload.cached, false);
+});
+
+test("keys are scoped, so the entries of a user are not served to another", async () => {
+    let user = "first";
+    const controller = createCachedController(new ResponseCache({ scope: () => user }));
+    await load(controller, { q: "a" });
+    user = "second";
+    await load(controller, { q: "a" });
+    assert.equal(controller.transport.requests.length, 2);
+});
+
+test("the least recently used entries are evicted and the rest persisted", async () => {
+    const items = new Map();
+    const storage = { getItem: name => items.get(name) || null, setItem: (name, value) => items.set(name, value) };
+    const cache = new ResponseCache({ maxEntries: 2, storage: storage });
+    const controller = createCachedController(cache);
+    await load(controller, { q: "a" });
+    await load(controller, { q: "b" });
+    await load(controller, { q: "a" });
+    await load(controller, { q: "c" });
+    assert.equal(cache.size, 2);
+    const restored = new ResponseCache({ storage: storage });
+    assert.equal(restored.size, 2);
+    assert.equal(restored.get(ResponseCache.key(controller.recipient, ViewControllerAction.Load, controller.payload)).response.body.q, "c");
+    assert.equal(restored.invalidate(controller.recipient), 2);
+    assert.equal(JSON.parse(items.get("juliett-cache")).length, 0);
+});
+
+test("a cached answer cancels the request still pending on its latest channel", async () => {
+    const events = [];
+    const controller = createCachedController(new ResponseCache(), events);
+    await load(controller, { q: "a" });
+    events.length = 0;
+    controller.transport.latency = 20;
+    const pending = load(controller, { q: "b" }, { latest: true });
+    const cached = load(controller, { q: "a" }, { latest: true });
+    await Promise.all([pending, cached]);
+    assert.deepEqual(events.map(e => e.status), [DataControllerStatus.Succeeded, DataControllerStatus.Cancelled]);
+    assert.deepEqual(events[0].payload.data, { q: "a", version: 1 });
+});
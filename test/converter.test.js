@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DataField, DataFieldConverter, DataFieldType, DataRow } from "../juliett.js";
+
+test("date and time values are parsed and sent in the wire format", () => {
+    const field = new DataField("when", DataFieldType.DateTime, "2020-05-01 10:20:30");
+    assert.ok(field.fieldValue instanceof Date);
+    assert.equal(field.fieldValue.getHours(), 10);
+    assert.equal(field.serialize(), "2020-05-01 10:20:30");
+    const iso = new DataField("when", DataFieldType.DateTime, "2020-05-01T10:20:30Z", false, undefined, [], { format: "iso" });
+    assert.equal(iso.serialize(), "2020-05-01T10:20:30.000Z");
+    const day = new DataField("day", DataFieldType.Date, "2021-02-03");
+    assert.equal(day.fieldValue.getDate(), 3);
+    assert.equal(day.serialize(), "2021-02-03");
+});
+
+test("numbers are parsed according to the locale", () => {
+    const field = new DataField("n", DataFieldType.Number, "1.234,5", false, undefined, [], { locale: "pt-BR" });
+    assert.equal(field.fieldValue, 1234.5);
+    assert.equal(field.format(), "1.234,5");
+    const decimal = new DataField("x", DataFieldType.Decimal, 3.14159, false, undefined, [], { precision: 3 });
+    assert.equal(decimal.fieldValue, 3.142);
+});
+
+test("values that cannot be converted are kept and reported", async () => {
+    const integer = new DataField("i", DataFieldType.Integer, "4.5");
+    assert.equal(integer.fieldValue, "4.5");
+    assert.deepEqual((await integer.validateAsync()).map(error => error.message), ["invalid integer: 4.5."]);
+    for (const text of ["0x10", "Infinity"])
+        assert.equal(new DataField("n", DataFieldType.Number, text).validate(), false, text);
+    assert.equal(new DataField("n", DataFieldType.Number, " ").fieldValue, null);
+});
+
+test("booleans are parsed strictly", () => {
+    const field = new DataField("b", DataFieldType.Boolean, "false");
+    assert.equal(field.fieldValue, false);
+    field.fieldValue = "yes";
+    assert.equal(field.validate(), false);
+});
+
+test("enums and JSON values", () => {
+    assert.equal(new DataField("size", DataFieldType.Enum, "M", false, undefined, [], { values: ["S", "M"] }).fieldValue, "M");
+    assert.equal(new DataField("size", DataFieldType.Enum, "L", false, undefined, [], { values: ["S", "M"] }).validate(), false);
+    assert.deepEqual(new DataField("j", DataFieldType.JSON, '{"a":1}').fieldValue, { a: 1 });
+});
+
+test("rows are serialized and deserialized field by field", () => {
+    const row = new DataRow();
+    row.push(new DataField("qty", DataFieldType.Integer, 2), new DataField("when", DataFieldType.DateTime, null));
+    row.deserialize({ qty: "7", when: "2023-03-03 01:02:03" });
+    assert.equal(row.getField("qty").fieldValue, 7);
+    assert.deepEqual(row.serialize(), { qty: 7, when: "2023-03-03 01:02:03" });
+});
+
+test("converters of new types can be registered", () => {
+    DataFieldConverter.register("upper", { parse: value => String(value).toUpperCase() });
+    assert.equal(new DataField("code", "upper", "ab").fieldValue, "AB");
+    assert.throws(() => new DataField("code", "unknown", "ab"), TypeError);
+});
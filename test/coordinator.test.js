@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, delay, StubTransport } from "./helpers.js";
+import { DataControllerStatus, RequestCoordinator, TransportError, ViewControllerAction } from "../juliett.js";
+
+/**
+ * Create a DataController sharing a coordinator, answered after a delay with the query received.
+ */
+function createSearch(coordinator, events, q){
+    const controller = createController(new StubTransport(request => delay(20, { q: new URL(request.url).searchParams.get("q") })), { events: events, content: { q: q } });
+    controller.coordinator = coordinator;
+    return controller;
+};
+
+test("latest cancels the request still pending on its channel", async () => {
+    const coordinator = new RequestCoordinator();
+    const events = [];
+    const first = createSearch(coordinator, events, "a").execute(ViewControllerAction.Load, { channel: "search", latest: true });
+    const second = createSearch(coordinator, events, "ab").execute(ViewControllerAction.Load, { channel: "search", latest: true });
+    assert.equal((await first).status, DataControllerStatus.Cancelled);
+    assert.equal((await second).status, DataControllerStatus.Succeeded);
+    assert.deepEqual((await second).payload.data, { q: "ab" });
+    assert.deepEqual(events.map(event => event.status), [DataControllerStatus.Cancelled, DataControllerStatus.Succeeded]);
+});
+
+test("the statuses are told apart by loose comparison", () => {
+    assert.ok(DataControllerStatus.Cancelled != DataControllerStatus.Failed);
+    assert.ok(DataControllerStatus.Cancelled != DataControllerStatus.Succeeded);
+});
+
+test("dedupe sends identical requests once and notifies every controller", async () => {
+    const transport = new StubTransport(() => delay(10, { ok: 1 }));
+    const coordinator = new RequestCoordinator();
+    const events = [];
+    const controllers = [createController(transport, { events: events }), createController(transport, { events: events })];
+    controllers.forEach(controller => controller.coordinator = coordinator);
+    await Promise.all(controllers.map(controller => controller.execute(ViewControllerAction.Load, { dedupe: true })));
+    assert.equal(transport.requests.length, 1);
+    assert.deepEqual(events.map(event => event.status), [DataControllerStatus.Succeeded, DataControllerStatus.Succeeded]);
+});
+
+test("dedupe reports a shared failure to every controller", async () => {
+    const transport = new StubTransport(() => delay(10).then(() => {
+        throw new TransportError("request failed with status 500.", { status: 500 });
+    }));
+    const coordinator = new RequestCoordinator();
+    const events = [];
+    const controllers = [createController(transport, { events: events }), createController(transport, { events: events })];
+    controllers.forEach(controller => controller.coordinator = coordinator);
+    await Promise.all(controllers.map(controller => controller.execute(ViewControllerAction.Load, { dedupe: true })));
+    assert.equal(transport.requests.length, 1);
+    assert.deepEqual(events.map(event => event.status), [DataControllerStatus.Failed, DataControllerStatus.Failed]);
+});
+
+test("channels limit the requests running at once", async () => {
+    const coordinator = new RequestCoordinator().setChannel("save", 1);
+    let running = 0;
+    let highest = 0;
+    const transport = new StubTransport(() => {
+        highest = Math.max(highest, ++running);
+        return delay(10).then(() => running--);
+    });
+    const controllers = [1, 2, 3].map(id => createController(transport, { content: { id: id } }));
+    controllers.forEach(controller => controller.coordinator = coordinator);
+    await Promise.all(controllers.map(controller => controller.execute(ViewControllerAction.Edit, { channel: "save" })));
+    assert.equal(highest, 1);
+    assert.equal(transport.requests.length, 3);
+});
+
+test("after sequences a request behind the ones it depends on", async () => {
+    const order = [];
+    const edit = createController(new StubTransport(() => delay(20).then(() => order.push("edit"))));
+    const load = createController(new StubTransport(() => order.push("load")));
+    const saved = edit.execute(ViewControllerAction.Edit);
+    await load.execute(ViewControllerAction.Load, { after: saved });
+    assert.deepEqual(order, ["edit", "load"]);
+});
+
+test("an external signal cancels the request", async () => {
+    const abort = new AbortController();
+    const pending = createController(new StubTransport(() => delay(50))).execute(ViewControllerAction.Load, { signal: abort.signal });
+    abort.abort();
+    assert.equal((await pending).status, DataControllerStatus.Cancelled);
+});
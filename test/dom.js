@@ -0,0 +1,23 @@
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+const GLOBALS = ["window", "document", "navigator", "HTMLElement", "HTMLTemplateElement", "customElements", "Node", "DocumentFragment",
+    "Event", "CustomEvent", "KeyboardEvent", "MouseEvent", "FocusEvent", "MutationObserver", "getComputedStyle"];
+
+/**
+ * Window of a jsdom document whose globals are installed before the module is loaded (null when jsdom is not installed).
+ */
+export const dom = (function(){
+    let JSDOM;
+    try {
+        JSDOM = require("jsdom").JSDOM;
+    }
+    catch(e) {
+        return null;
+    };
+    const window = new JSDOM("<!DOCTYPE html><body></body>", { url: "https://www.example.com/" }).window;
+    GLOBALS.forEach(name => Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true }));
+    return window;
+})();
+
+export const skip = (dom == null) ? "jsdom is not installed" : false;
@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DataControllerStatus, DataFieldType, Enumerator, ViewControllerAction } from "../juliett.js";
+
+const Permission = new Enumerator({ "None": 0, "Read": 1, "Write": 2, "Delete": 4 }, { flags: true });
+
+test("members cannot be changed and unknown members throw", () => {
+    const Color = new Enumerator({ "Red": 1, "Green": 2 });
+    assert.equal(Color.Red, 1);
+    assert.throws(() => Color.Blue, RangeError);
+    assert.throws(() => { Color.Red = 3; }, TypeError);
+    assert.throws(() => { delete Color.Red; }, TypeError);
+    assert.equal(Color.Red, 1);
+    assert.throws(() => new Enumerator({ "A": 1, "B": 1 }), RangeError);
+    assert.throws(() => new Enumerator({ "keys": 1 }), RangeError);
+    assert.equal(Color.then, undefined);
+});
+
+test("names and values are looked up both ways", () => {
+    assert.equal(ViewControllerAction.getName(2), "Edit");
+    assert.equal(ViewControllerAction.getValue("Load"), ViewControllerAction.Load);
+    assert.equal(ViewControllerAction.getName(99), null);
+    assert.throws(() => ViewControllerAction.getValue("Save"), RangeError);
+    assert.equal(DataFieldType.isValid(DataFieldType.Decimal), true);
+    assert.equal(DataFieldType.isValid(99), false);
+    assert.equal(DataFieldType.has("JSON"), true);
+    assert.equal(DataControllerStatus.getName("queued"), "Queued");
+});
+
+test("members are iterated in order and serialized as an object", () => {
+    assert.deepEqual([...ViewControllerAction].slice(0, 2), [["Create", 1], ["Edit", 2]]);
+    assert.deepEqual(ViewControllerAction.keys(), ["Create", "Edit", "Remove", "Load", "Custom"]);
+    assert.equal(ViewControllerAction.size, 5);
+    assert.equal(JSON.stringify(ViewControllerAction), '{"Create":1,"Edit":2,"Remove":3,"Load":4,"Custom":5}');
+});
+
+test("flags are combined, tested and split", () => {
+    const value = Permission.combine(Permission.Read, "Write");
+    assert.equal(value, 3);
+    assert.equal(Permission.test(value, Permission.Read), true);
+    assert.equal(Permission.test(value, "Read", "Delete"), false);
+    assert.deepEqual(Permission.split(value), ["Read", "Write"]);
+    assert.equal(Permission.getName(value), "Read|Write");
+    assert.equal(Permission.isValid(7), true);
+    assert.equal(Permission.isValid(8), false);
+    assert.equal(Permission.isFlags, true);
+    assert.throws(() => ViewControllerAction.combine(1, 2), TypeError);
+    assert.throws(() => new Enumerator({ "A": 3 }, { flags: true }), RangeError);
+});
@@ -0,0 +1,80 @@
+import { dom, skip } from "./dom.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, StubTransport } from "./helpers.js";
+import { DataControllerStatus, EventEmitter, TransportError, ViewController, ViewControllerAction } from "../juliett.js";
+
+test("every listener is notified until removed", () => {
+    const emitter = new EventEmitter();
+    const calls = [];
+    const listener = e => calls.push(["on", e.type, e.value]);
+    emitter.on("change", listener);
+    emitter.once("change", e => calls.push(["once", e.type, e.value]));
+    assert.equal(emitter.listenerCount("change"), 2);
+    const event = emitter.emit("change", { value: 1 });
+    assert.equal(event.target, emitter);
+    emitter.emit("change", { value: 2 });
+    emitter.off("change", listener);
+    emitter.emit("change", { value: 3 });
+    assert.deepEqual(calls, [["on", "change", 1], ["once", "change", 1], ["on", "change", 2]]);
+    assert.equal(emitter.listenerCount(), 0);
+    assert.throws(() => emitter.on("change", null), TypeError);
+});
+
+test("the controllers emit the stages of each request", async () => {
+    const controller = createController(new StubTransport(() => ({ id: 1 })));
+    const events = [];
+    ["beforeSend", "progress", "success", "error", "cancelled", "complete"].forEach(type => controller.on(type, e => events.push(type)));
+    controller.on("beforeSend", e => { e.request.headers["X-Trace"] = "1"; });
+    let status = null;
+    controller.once("complete", e => status = e.status);
+    await controller.execute(ViewControllerAction.Create);
+    assert.deepEqual(events, ["beforeSend", "progress", "success", "complete"]);
+    assert.equal(status, DataControllerStatus.Succeeded);
+    assert.equal(controller.transport.requests[0].headers["X-Trace"], "1");
+    assert.equal(controller.listenerCount("complete"), 1);
+});
+
+test("failures and cancellations are emitted apart", async () => {
+    const failing = createController(new StubTransport(() => {
+        throw new TransportError("request failed with status 500.", { status: 500 });
+    }));
+    const events = [];
+    failing.on("error", e => events.push(["error", e.error.status]));
+    failing.on("complete", e => events.push(["complete", e.status]));
+    await failing.execute(ViewControllerAction.Create);
+    const cancelled = createController(new StubTransport(() => new Promise(() => null)));
+    cancelled.on("cancelled", e => events.push(["cancelled", e.error.aborted]));
+    cancelled.on("complete", e => events.push(["complete", e.status]));
+    const controller = new AbortController();
+    const sent = cancelled.execute(ViewControllerAction.Create, { signal: controller.signal });
+    controller.abort();
+    await sent;
+    assert.deepEqual(events, [["error", 500], ["complete", DataControllerStatus.Failed], ["cancelled", true], ["complete", DataControllerStatus.Cancelled]]);
+});
+
+test("unmounting detaches the triggers until mounted again", { skip }, () => {
+    document.body.innerHTML = `<div id="view"><button class="save">save</button></div>`;
+    const calls = [];
+    const screen = {
+        save: () => calls.push("save"),
+        onMount: () => calls.push("mount"),
+        onUnmount: () => calls.push("unmount"),
+        onDestroy: () => calls.push("destroy")
+    };
+    const view = new ViewController(document.getElementById("view"), screen);
+    view.on("destroy", () => calls.push("destroyed"));
+    view.setTrigger(".save", "save");
+    const button = document.querySelector(".save");
+    const click = () => button.dispatchEvent(new dom.MouseEvent("click", { bubbles: true, cancelable: true }));
+    click();
+    view.unmount();
+    click();
+    view.mount();
+    click();
+    view.destroy();
+    click();
+    assert.deepEqual(calls, ["save", "unmount", "mount", "save", "unmount", "destroy", "destroyed"]);
+    assert.equal(view.mounted, false);
+    assert.throws(() => view.setTrigger(".save", "save"), Error);
+});
@@ -0,0 +1,116 @@
+import { skip } from "./dom.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, RECIPIENT } from "./helpers.js";
+import { DataControllerStatus, DataField, DataFieldType, DataRow, DataTable, MockTransport, ValidationRule, ViewControllerAction } from "../juliett.js";
+
+const PHOTO = new File(["abc"], "a.png", { type: "image/png" });
+const DOCUMENT = new File(["x".repeat(2500)], "big.pdf", { type: "application/pdf" });
+
+/**
+ * Create a mock recipient keeping the requests received on /items and the ranges of the chunks sent to /chunks.
+ */
+function createRecipient(){
+    const transport = new MockTransport();
+    transport.received = [];
+    transport.chunks = [];
+    transport.route("*", "/items", request => {
+        transport.received.push(request);
+        return { ok: true };
+    });
+    transport.route("POST", "/chunks", request => {
+        transport.chunks.push(request.headers["Content-Range"]);
+        if (transport.chunks.length == 2) //the second chunk fails once
+            return { status: 500, body: null };
+        return { status: 200, headers: {}, body: null };
+    });
+    return transport;
+};
+
+test("files are validated by size, type and count", async () => {
+    const field = new DataField("docs", DataFieldType.File, null, true, undefined, [
+        ValidationRule.fileSize(2000), ValidationRule.fileType("image/*,.pdf"), ValidationRule.fileCount(1, 2)
+    ], { multiple: true });
+    assert.deepEqual((await field.validateAsync()).map(error => error.rule), ["required"]);
+    field.fieldValue = [PHOTO, DOCUMENT, new File(["z"], "z.exe")];
+    assert.deepEqual((await field.validateAsync()).map(error => error.rule), ["fileSize", "fileType", "fileCount"]);
+    assert.equal(field.format(), "a.png, big.pdf, z.exe");
+    field.fieldValue = [PHOTO];
+    assert.deepEqual(await field.validateAsync(), []);
+    const single = new DataField("photo", DataFieldType.File, [PHOTO]);
+    assert.equal(single.fieldValue, PHOTO);
+    single.fieldValue = "junk";
+    assert.deepEqual((await single.validateAsync()).map(error => error.message), ["invalid file: junk."]);
+});
+
+test("payloads with files are sent as multipart, each file once", async () => {
+    const transport = createRecipient();
+    const events = [];
+    const requestor = { onDataControllerProgressEvent: e => events.push(`${e.phase}${e.percent}`) };
+    await createController(transport, { requestor: requestor, content: { title: "t", docs: [PHOTO], photo: PHOTO } }).execute(ViewControllerAction.Create);
+    const request = transport.received[0];
+    assert.equal(request.headers["Content-type"], undefined);
+    assert.deepEqual(Object.keys(request.files), ["file0"]);
+    assert.deepEqual(request.data[0].body, {
+        title: "t",
+        docs: [{ part: "file0", name: "a.png", size: 3, type: "image/png" }],
+        photo: { part: "file0", name: "a.png", size: 3, type: "image/png" }
+    });
+    assert.deepEqual(events, ["upload100", "download100"]);
+});
+
+test("the files of the rows sent are found through their JSON conversion", async () => {
+    const transport = createRecipient();
+    const row = new DataRow();
+    row.push(new DataField("name", DataFieldType.String, "a"), new DataField("photo", DataFieldType.File, PHOTO));
+    await createController(transport, { content: row }).execute(ViewControllerAction.Create);
+    const request = transport.received[0];
+    assert.deepEqual(Object.keys(request.files), ["file0"]);
+    assert.deepEqual(request.data[0].body[0][1].fieldValue, { part: "file0", name: "a.png", size: 3, type: "image/png" });
+});
+
+test("large files are uploaded in chunks resumed after a failure", async () => {
+    const transport = createRecipient();
+    const controller = createController(transport, { content: { doc: DOCUMENT } });
+    const options = { upload: { chunkSize: 1000, url: "https://www.example.com/chunks" } };
+    assert.equal((await controller.execute(ViewControllerAction.Create, options)).status, DataControllerStatus.Failed);
+    assert.equal(transport.received.length, 0);
+    assert.equal((await controller.execute(ViewControllerAction.Create, options)).status, DataControllerStatus.Succeeded);
+    assert.deepEqual(transport.chunks, ["bytes 0-999/2500", "bytes 1000-1999/2500", "bytes 1000-1999/2500", "bytes 2000-2499/2500"]);
+    assert.deepEqual(Object.keys(transport.received[0].files), []);
+    assert.equal(typeof transport.received[0].data[0].body.doc.upload, "string");
+});
+
+test("uploads are cancelled through the signal", async () => {
+    const transport = createRecipient();
+    const controller = new AbortController();
+    transport.route("POST", "/chunks", request => {
+        transport.chunks.push(request.headers["Content-Range"]);
+        controller.abort();
+        return { status: 200, headers: {}, body: null };
+    });
+    const event = await createController(transport, { content: { doc: new File(["y".repeat(2500)], "other.pdf") } })
+        .execute(ViewControllerAction.Create, { signal: controller.signal, upload: { chunkSize: 1000, url: "https://www.example.com/chunks" } });
+    assert.equal(event.status, DataControllerStatus.Cancelled);
+    assert.deepEqual(transport.chunks, ["bytes 0-999/2500"]);
+    assert.equal(transport.received.length, 0);
+});
+
+test("the grid keeps the file when no other is chosen", { skip }, async () => {
+    const transport = createRecipient();
+    document.body.innerHTML = `<juliett-grid editable></juliett-grid>`;
+    const grid = document.querySelector("juliett-grid");
+    grid.table = new DataTable([
+        new DataField("id", DataFieldType.Integer, null),
+        new DataField("name", DataFieldType.String, null),
+        new DataField("photo", DataFieldType.File, null)
+    ], "id");
+    grid.table.load([{ id: 1, name: "a", photo: PHOTO }]);
+    grid.controller = createController(transport, { recipient: RECIPIENT });
+    grid.edit(grid.table.findByKey(1));
+    assert.equal(grid.querySelector("input[name=photo]").type, "file");
+    grid.querySelector("input[name=name]").value = "b";
+    assert.equal(await grid.save(), true);
+    assert.equal(grid.table.findByKey(1).getField("photo").fieldValue, PHOTO);
+    assert.deepEqual(transport.received[0].data[0].body.values, { name: "b" });
+});
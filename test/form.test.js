@@ -0,0 +1,72 @@
+import { dom, skip } from "./dom.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, StubTransport } from "./helpers.js";
+import { DataField, DataFieldType, DataRow, ViewController, ViewControllerAction } from "../juliett.js";
+
+/**
+ * Render a form into a new view and bind it to a row.
+ */
+function createView(){
+    document.body.innerHTML = `<div id="view"><form action="https://www.example.com/people">
+        <input name="name"><input type="number" name="age"><input type="checkbox" name="active">
+        <input type="datetime-local" data-field="born"></form></div>`;
+    const row = new DataRow();
+    row.push(new DataField("name", DataFieldType.String, "Ann"), new DataField("age", DataFieldType.Number, 3),
+        new DataField("active", DataFieldType.Boolean, true), new DataField("born", DataFieldType.DateTime, "2020-01-02 10:11:12"));
+    const view = new ViewController(document.getElementById("view"), {});
+    return { view: view, row: row, form: document.forms[0] };
+};
+
+test("the inputs show the values of the fields", { skip }, () => {
+    const { view, row, form } = createView();
+    view.bind(row);
+    assert.equal(form.elements.namedItem("name").value, "Ann");
+    assert.equal(form.elements.namedItem("age").value, "3");
+    assert.equal(form.elements.namedItem("active").checked, true);
+    assert.ok(form.elements[3].value.startsWith("2020-01-02T10:11"));
+});
+
+test("input changes are coerced into the fields", { skip }, () => {
+    const { view, row, form } = createView();
+    view.bind(row);
+    form.elements.namedItem("age").value = "42";
+    form.elements.namedItem("age").dispatchEvent(new dom.Event("input", { bubbles: true }));
+    form.elements.namedItem("active").checked = false;
+    form.elements.namedItem("active").dispatchEvent(new dom.Event("change", { bubbles: true }));
+    assert.equal(row.getField("age").fieldValue, 42);
+    assert.equal(row.getField("active").fieldValue, false);
+});
+
+test("field changes are rendered into the inputs", { skip }, () => {
+    const { view, row, form } = createView();
+    view.bind(row);
+    row.getField("name").fieldValue = "Bob";
+    assert.equal(form.elements.namedItem("name").value, "Bob");
+});
+
+test("submitting the form sends the row through the controller", { skip }, async () => {
+    const { view, row, form } = createView();
+    const transport = new StubTransport(() => ({ ok: 1 }));
+    const events = [];
+    const controller = createController(transport, { events: events });
+    controller.view = view;
+    controller.action = ViewControllerAction.Create;
+    view.bind(row, { controller: controller });
+    row.getField("name").fieldValue = "Bob";
+    form.dispatchEvent(new dom.Event("submit", { cancelable: true }));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(transport.requests[0].method, "POST");
+    assert.equal(transport.requests[0].url, "https://www.example.com/people");
+    const body = JSON.parse(transport.requests[0].body)[0].body;
+    assert.deepEqual([body.name, body.age, body.active], ["Bob", 3, true]);
+    assert.equal(events.length, 1);
+});
+
+test("unbind stops following the inputs", { skip }, () => {
+    const { view, row, form } = createView();
+    view.bind(row).unbind();
+    form.elements.namedItem("name").value = "Eve";
+    form.elements.namedItem("name").dispatchEvent(new dom.Event("input", { bubbles: true }));
+    assert.equal(row.getField("name").fieldValue, "Ann");
+});
@@ -0,0 +1,64 @@
+import { DataController, Payload, Transport, TransportError } from "../juliett.js";
+
+export const RECIPIENT = "https://www.example.com/items";
+
+/**
+ * Resolve with a value after a delay.
+ * @param {number} milliseconds to wait.
+ * @param {*} value to resolve with.
+ */
+export function delay(milliseconds, value){
+    return new Promise(resolve => setTimeout(() => resolve(value), milliseconds));
+};
+
+/**
+ * Transport answering each request with the value returned by a function (or the promise it returns).
+ */
+export class StubTransport extends Transport {
+    /**
+     * Create an instance of StubTransport type.
+     * @param {function} answer receiving the request and returning the body of the answer (or throwing a TransportError).
+     */
+    constructor(answer = () => ({})){
+        super();
+        this.answer = answer;
+        this.requests = [];
+    };
+    send(request){
+        this.requests.push(request);
+        const cancelled = new Promise(function(_resolve, reject){
+            const cancel = () => reject(new TransportError("request was cancelled.", { aborted: true }));
+            if (request.signal != null && request.signal.aborted)
+                cancel();
+            else if (request.signal != null)
+                request.signal.addEventListener("abort", cancel);
+        });
+        return Promise.race([Promise.resolve(request).then(this.answer), cancelled]).then(body => ({
+            status: 200,
+            statusText: "OK",
+            headers: { "content-type": "application/json" },
+            text: JSON.stringify(body),
+            body: body
+        }));
+    };
+};
+
+/**
+ * Create a DataController sending the content given to the recipient through a transport.
+ * @param {Transport} transport delivering the requests.
+ * @param {object} options {content, recipient, events, requestor}: body of the payload, URL of the recipient, list
+ *  receiving the events of the requestor and the requestor itself (if any).
+ */
+export function createController(transport, options = {}){
+    const events = options.events || [];
+    const requestor = options.requestor || {};
+    if (requestor.onDataControllerCallbackEvent == null)
+        requestor.onDataControllerCallbackEvent = e => events.push(e);
+    const controller = new DataController(requestor);
+    controller.transport = transport;
+    controller.recipient = options.recipient || RECIPIENT;
+    const payload = new Payload(requestor);
+    payload.addContent((options.content !== undefined) ? options.content : { q: "a" });
+    controller.payload = payload;
+    return controller;
+};
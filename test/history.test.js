@@ -0,0 +1,127 @@
+import { dom, skip } from "./dom.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, delay } from "./helpers.js";
+import { DataField, DataFieldType, DataRow, DataRowHistory, MockTransport, Payload, Router, ViewController, ViewControllerAction } from "../juliett.js";
+
+/**
+ * Create a row holding a name and an age.
+ */
+function createRow(){
+    const row = new DataRow();
+    row.push(new DataField("name", DataFieldType.String, "a"), new DataField("age", DataFieldType.Integer, 1));
+    return row;
+};
+
+test("changes are undone and redone", () => {
+    const row = createRow();
+    const history = new DataRowHistory(row, { groupDelay: 0 });
+    const events = [];
+    history.on("dirty", e => events.push(e.isDirty));
+    row.getField("name").fieldValue = "b";
+    row.getField("age").fieldValue = 2;
+    assert.equal(history.isDirty, true);
+    history.undo();
+    assert.equal(row.getField("age").fieldValue, 1);
+    history.undo();
+    assert.equal(row.getField("name").fieldValue, "a");
+    assert.equal(history.isDirty, false);
+    assert.equal(history.canUndo, false);
+    history.redo();
+    assert.equal(row.getField("name").fieldValue, "b");
+    assert.deepEqual(history.getDiff(), [{ index: 0, field: "name", from: "a", to: "b" }]);
+    assert.deepEqual(events, [true, false, true]);
+});
+
+test("rapid changes of a field and the changes between begin and commit are undone together", async () => {
+    const row = createRow();
+    const history = new DataRowHistory(row, { groupDelay: 50 });
+    row.getField("name").fieldValue = "ab";
+    row.getField("name").fieldValue = "abc";
+    await delay(60);
+    row.getField("name").fieldValue = "abcd";
+    history.undo();
+    assert.equal(row.getField("name").fieldValue, "abc");
+    history.undo();
+    assert.equal(row.getField("name").fieldValue, "a");
+    history.begin();
+    row.getField("name").fieldValue = "b";
+    row.getField("age").fieldValue = 2;
+    assert.equal(history.commit(), true);
+    history.undo();
+    assert.equal(row.getField("name").fieldValue, "a");
+    assert.equal(row.getField("age").fieldValue, 1);
+});
+
+test("watched requests checkpoint the values sent once the recipient accepts them", async () => {
+    const row = createRow();
+    const history = new DataRowHistory(row);
+    let accept = false;
+    const transport = new MockTransport({ latency: 20 }).route("*", "/rows", request => ({
+        requestId: request.data[0].header.requestId,
+        results: [{ operationId: request.data[0].header.operationId, success: accept, errors: (accept) ? [] : [{ field: "name", message: "rejected." }] }]
+    }));
+    const controller = createController(transport, { recipient: "https://www.example.com/rows" });
+    history.watch(controller);
+    const send = () => {
+        const payload = new Payload({});
+        payload.addContent(row.serialize(), { source: row });
+        controller.payload = payload;
+        return controller.execute(ViewControllerAction.Edit);
+    };
+    row.getField("name").fieldValue = "b";
+    await send();
+    assert.equal(history.isDirty, true); //rejected by the recipient
+    accept = true;
+    const sent = send();
+    await delay(5);
+    row.getField("name").fieldValue = "c"; //edited while the request was in flight
+    await sent;
+    assert.deepEqual(history.getDiff(), [{ index: 0, field: "name", from: "b", to: "c" }]);
+    await send();
+    assert.equal(history.isDirty, false);
+    history.dispose();
+});
+
+test("the keyboard shortcuts of the view undo the changes of its form", { skip }, () => {
+    document.body.innerHTML = `<div id="view"><form><input name="name"><input name="age"></form></div>`;
+    const view = new ViewController(document.getElementById("view"), {});
+    const row = createRow();
+    view.bind(row);
+    const history = view.track(row, { groupDelay: 0 });
+    row.getField("name").fieldValue = "b";
+    const input = document.forms[0].elements.namedItem("name");
+    input.dispatchEvent(new dom.KeyboardEvent("keydown", { key: "z", ctrlKey: true, bubbles: true, cancelable: true }));
+    assert.equal(row.getField("name").fieldValue, "a");
+    assert.equal(input.value, "a");
+    input.dispatchEvent(new dom.KeyboardEvent("keydown", { key: "y", ctrlKey: true, bubbles: true, cancelable: true }));
+    assert.equal(row.getField("name").fieldValue, "b");
+    assert.equal(history.canRedo, false);
+    assert.equal(view.isDirty, true);
+    view.destroy();
+    input.dispatchEvent(new dom.KeyboardEvent("keydown", { key: "z", ctrlKey: true, bubbles: true, cancelable: true }));
+    assert.equal(row.getField("name").fieldValue, "b");
+});
+
+test("leaving a view with unsaved changes asks for confirmation", { skip }, async () => {
+    class EditView extends ViewController {
+        constructor(element){
+            super(element);
+            this.track(createRow(), { warn: "discard the changes?" }).row.getField("name").fieldValue = "b";
+        };
+    };
+    document.body.innerHTML = `<main></main>`;
+    const router = new Router(document.querySelector("main")).add("/edit", { controller: EditView }).add("/", { controller: ViewController });
+    const answers = [false, true];
+    const asked = [];
+    window.confirm = message => { asked.push(message); return answers.shift(); };
+    try {
+        await router.navigate("/edit");
+        assert.equal(await router.navigate("/"), false);
+        assert.equal(await router.navigate("/"), true);
+    }
+    finally {
+        delete window.confirm;
+    };
+    assert.deepEqual(asked, ["discard the changes?", "discard the changes?"]);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, StubTransport } from "./helpers.js";
+import { DataControllerStatus, Interceptor, TransportError, ViewControllerAction } from "../juliett.js";
+
+test("requests are changed by the interceptors in order", async () => {
+    const transport = new StubTransport();
+    const controller = createController(transport);
+    const order = [];
+    const global = Interceptor.use({ beforeSend: request => { order.push("global"); return request; } });
+    try {
+        controller.use(Interceptor.headers({ "X-CSRF-Token": "t1", "X-Trace": () => "t2" }));
+        controller.use({ beforeSend: request => { order.push("controller"); request.url += "/v2"; return request; } });
+        await controller.execute(ViewControllerAction.Create);
+    }
+    finally {
+        Interceptor.eject(global);
+    };
+    const request = transport.requests[0];
+    assert.deepEqual(order, ["global", "controller"]);
+    assert.equal(request.headers["X-CSRF-Token"], "t1");
+    assert.equal(request.headers["X-Trace"], "t2");
+    assert.ok(request.url.endsWith("/v2"));
+    assert.equal(request.headers["Content-type"], "application/json");
+    assert.equal(Interceptor.global.length, 0);
+});
+
+test("requests answered by an interceptor are not sent", async () => {
+    const transport = new StubTransport();
+    const controller = createController(transport);
+    controller.use({ beforeSend: (request, context) => context.respond({ cached: true }) });
+    const event = await controller.execute(ViewControllerAction.Load);
+    assert.equal(event.status, DataControllerStatus.Succeeded);
+    assert.deepEqual(event.payload.data, { cached: true });
+    assert.equal(transport.requests.length, 0);
+});
+
+test("responses are transformed in reverse order or rejected", async () => {
+    const controller = createController(new StubTransport(() => ({ data: { envelope: { id: 1 } } })));
+    controller.use({ afterReceive: response => Object.assign(response, { body: response.body.envelope }) });
+    controller.use({ afterReceive: response => Object.assign(response, { body: response.body.data }) });
+    assert.deepEqual((await controller.execute(ViewControllerAction.Load)).payload.data, { id: 1 });
+    const rejecting = createController(new StubTransport(() => ({ id: 1 })));
+    rejecting.use({ afterReceive: () => { throw new TransportError("unexpected answer.", { status: 200 }); } });
+    assert.equal((await rejecting.execute(ViewControllerAction.Load)).status, DataControllerStatus.Failed);
+});
+
+test("the token is refreshed once after a 401 answer", async () => {
+    const transport = new StubTransport(request => {
+        if (request.headers.Authorization != "Bearer fresh")
+            throw new TransportError("unauthorized.", { status: 401 });
+        return { ok: true };
+    });
+    let refreshed = 0;
+    const controller = createController(transport);
+    controller.use(Interceptor.authRefresh({ refresh: () => { refreshed++; return "fresh"; } }));
+    assert.equal((await controller.execute(ViewControllerAction.Load)).status, DataControllerStatus.Succeeded);
+    assert.deepEqual(transport.requests.map(request => request.headers.Authorization), [undefined, "Bearer fresh"]);
+    assert.equal(refreshed, 1);
+});
+
+test("a second 401 answer is not retried", async () => {
+    const transport = new StubTransport(() => {
+        throw new TransportError("unauthorized.", { status: 401 });
+    });
+    const controller = createController(transport);
+    controller.use(Interceptor.authRefresh({ refresh: () => "stale" }));
+    const event = await controller.execute(ViewControllerAction.Load);
+    assert.equal(event.status, DataControllerStatus.Failed);
+    assert.equal(event.payload.status, 401);
+    assert.equal(transport.requests.length, 2);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BaseItem, BaseItemList, DataField, DataFieldType, DataRow } from "../juliett.js";
+
+class Product {
+    constructor(price){
+        this.price = price;
+    };
+};
+
+/**
+ * Create a list of products with the prices given.
+ */
+function createList(...prices){
+    const list = new BaseItemList(Product);
+    prices.forEach(price => list.push(new BaseItem(new Product(price))));
+    return list;
+};
+
+test("removing and inserting keep the list dense", () => {
+    const list = createList(1, 2, 3);
+    list.delete(1);
+    assert.equal(list.length, 2);
+    assert.deepEqual(list.items.map(item => item.content.price), [1, 3]);
+    list.insert(0, new BaseItem(new Product(0)));
+    assert.deepEqual([...list].map(item => item.content.price), [0, 1, 3]);
+    assert.throws(() => list.delete(5), RangeError);
+});
+
+test("items of another content type are refused", () => {
+    const list = createList();
+    assert.throws(() => list.push(new BaseItem({ price: 1 })), TypeError);
+    assert.equal(list.length, 0);
+});
+
+test("lists are searched, mapped and sorted", () => {
+    const list = createList(3, 1, 2);
+    assert.equal(list.find(item => item.content.price == 2).content.price, 2);
+    assert.equal(list.filter(item => item.content.price > 1).length, 2);
+    list.sort((a, b) => a.content.price - b.content.price);
+    assert.deepEqual(list.map(item => item.content.price), [1, 2, 3]);
+    assert.equal(list.indexOf(list.item(2)), 2);
+});
+
+test("changes are notified to the listeners", () => {
+    const list = createList(1);
+    const events = [];
+    const listener = e => events.push(e.type);
+    list.addChangeListener(listener);
+    list.push(new BaseItem(new Product(2)));
+    list.replace(0, new BaseItem(new Product(3)));
+    list.move(1, 0);
+    list.delete(0);
+    list.clear();
+    list.removeChangeListener(listener);
+    list.push(new BaseItem(new Product(4)));
+    assert.deepEqual(events, ["add", "replace", "reorder", "remove", "clear"]);
+});
+
+test("lists round-trip through JSON", () => {
+    const copy = BaseItemList.fromJSON(JSON.stringify(createList(1, 2)), value => Object.assign(new Product(), value));
+    assert.equal(copy.length, 2);
+    assert.equal(copy.item(0).contentType, "Product");
+    assert.equal(copy.item(1).content.price, 2);
+    const row = new DataRow();
+    row.push(new DataField("when", DataFieldType.DateTime, "2020-01-01 00:00:00"));
+    assert.ok(DataRow.fromJSON(JSON.stringify(row)).item(0)[0].fieldValue instanceof Date);
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, RECIPIENT } from "./helpers.js";
+import { DataControllerStatus, MockTransport, ViewController, ViewControllerAction } from "../juliett.js";
+
+test("the module loads without the DOM", () => {
+    assert.equal(typeof globalThis.HTMLElement, "undefined");
+    const controller = createController(new MockTransport());
+    controller.view = new ViewController({}, {});
+    assert.equal(controller.recipient, RECIPIENT);
+});
+
+test("routes answer the requests with their parameters", async () => {
+    const transport = new MockTransport()
+        .route("GET", "/items/:id", request => ({ id: Number(request.params.id), q: request.query.q }))
+        .route("POST", "/items", request => ({ status: 201, body: { created: request.data[0].body } }));
+    const events = [];
+    const loaded = await createController(transport, { recipient: RECIPIENT + "/7", events: events }).execute(ViewControllerAction.Load);
+    assert.deepEqual(loaded.payload.data, { id: 7, q: "a" });
+    const created = await createController(transport, { content: { name: "a" } }).execute(ViewControllerAction.Create);
+    assert.equal(created.payload.status, 201);
+    assert.deepEqual(created.payload.data, { created: { name: "a" } });
+    assert.deepEqual(events, [loaded]);
+    assert.deepEqual(transport.requests.map(request => request.method), ["GET", "POST"]);
+    const missing = await createController(transport).execute(ViewControllerAction.Remove);
+    assert.equal(missing.status, DataControllerStatus.Failed);
+    assert.equal(missing.payload.status, 404);
+});
+
+test("failures and latency are simulated", async () => {
+    const transport = new MockTransport({ latency: 30, failureRate: 0.5, random: () => 0.9 })
+        .route("*", "/items", () => ({ ok: true }))
+        .fail("DELETE", "/items", { status: 409, body: { message: "in use." } });
+    const removed = await createController(transport).execute(ViewControllerAction.Remove);
+    assert.equal(removed.payload.status, 409);
+    assert.deepEqual(removed.payload.body, { message: "in use." });
+    transport.failureRate = 1;
+    const lost = await createController(transport).execute(ViewControllerAction.Edit);
+    assert.equal(lost.payload.isNetworkError, true);
+    transport.failureRate = 0;
+    const signal = AbortSignal.timeout(5);
+    const cancelled = await createController(transport).execute(ViewControllerAction.Edit, { signal: signal });
+    assert.equal(cancelled.status, DataControllerStatus.Cancelled);
+});
+
+test("exchanges are recorded and replayed", async () => {
+    const recipient = new MockTransport().route("*", "/items", request => ({ echo: request.data[0].body }));
+    const recorder = new MockTransport({ passthrough: recipient, record: true });
+    await createController(recorder, { content: { n: 1 } }).execute(ViewControllerAction.Create);
+    const fixtures = JSON.stringify(recorder.fixtures);
+    const replayer = new MockTransport({ fixtures: fixtures });
+    const replayed = await createController(replayer, { content: { n: 1 } }).execute(ViewControllerAction.Create);
+    assert.deepEqual(replayed.payload.data, { echo: { n: 1 } });
+    const other = await createController(replayer, { content: { n: 2 } }).execute(ViewControllerAction.Create);
+    assert.equal(other.payload.status, 404);
+    replayer.reset();
+    assert.deepEqual([replayer.requests, replayer.fixtures], [[], []]);
+});
@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createController, StubTransport } from "./helpers.js";
+import { DataControllerStatus, Outbox, TransportError, ViewControllerAction } from "../juliett.js";
+
+let online = true;
+
+beforeEach(() => {
+    online = true;
+    globalThis.navigator = { get onLine(){ return online; } };
+    const items = {};
+    globalThis.localStorage = {
+        getItem: key => (key in items) ? items[key] : null,
+        setItem: (key, value) => { items[key] = String(value) },
+        removeItem: key => { delete items[key] }
+    };
+});
+
+afterEach(() => {
+    delete globalThis.navigator;
+    delete globalThis.localStorage;
+});
+
+/**
+ * Create a transport failing as unreachable while offline.
+ */
+function createTransport(answer = () => ({ ok: 1 })){
+    return new StubTransport(request => {
+        if (!online)
+            throw new TransportError(`request to ${request.url} could not be delivered.`);
+        return answer(request);
+    });
+};
+
+class Requestor {
+    constructor(){
+        this.events = [];
+    };
+    onDataControllerCallbackEvent(e){
+        this.events.push(e);
+    };
+};
+
+test("requests made offline are queued and replayed once back online", async () => {
+    const events = [];
+    const transport = createTransport();
+    const controller = createController(transport, { events: events, content: { id: 1 } });
+    controller.outbox = new Outbox("queued", false);
+    controller.outbox.transport = transport;
+    online = false;
+    const event = await controller.execute(ViewControllerAction.Create);
+    assert.equal(event.status, DataControllerStatus.Queued);
+    assert.equal((await controller.outbox.list()).length, 1);
+    assert.equal(await controller.outbox.replay(), 0);
+    online = true;
+    assert.equal(await controller.outbox.replay(), 1);
+    assert.equal((await controller.outbox.list()).length, 0);
+    assert.equal(transport.requests.length, 1);
+    assert.equal(transport.requests[0].method, "POST");
+    assert.deepEqual(events.map(item => item.status), [DataControllerStatus.Succeeded]);
+});
+
+test("requests that time out are reported instead of being queued", async () => {
+    const events = [];
+    const controller = createController(new StubTransport(() => {
+        online = false;
+        throw new TransportError("request timed out.", { timedOut: true });
+    }), { events: events });
+    controller.outbox = new Outbox("timeout", false);
+    assert.equal((await controller.execute(ViewControllerAction.Edit)).status, DataControllerStatus.Failed);
+    assert.equal((await controller.outbox.list()).length, 0);
+});
+
+test("entries restored after a reload are reported to the requestor of their class", async () => {
+    const controller = createController(createTransport(), { requestor: new Requestor(), content: { id: 2 } });
+    controller.outbox = new Outbox("reload", false);
+    online = false;
+    await controller.execute(ViewControllerAction.Edit);
+    online = true;
+    const outbox = new Outbox("reload", false);
+    const transport = createTransport(() => ({ saved: true }));
+    const requestor = new Requestor();
+    outbox.transport = transport;
+    outbox.register(requestor);
+    assert.equal(await outbox.replay(), 1);
+    assert.equal(transport.requests[0].method, "PUT");
+    assert.equal(requestor.events[0].status, DataControllerStatus.Succeeded);
+    assert.deepEqual(requestor.events[0].payload.data, { saved: true });
+});
+
+test("cancelled entries are reported as cancelled", async () => {
+    const events = [];
+    const controller = createController(createTransport(), { events: events });
+    controller.outbox = new Outbox("cancel", false);
+    online = false;
+    const entry = (await controller.execute(ViewControllerAction.Remove)).payload;
+    assert.equal(await controller.outbox.cancel(entry.id), true);
+    assert.deepEqual(events.map(item => item.status), [DataControllerStatus.Cancelled]);
+    assert.equal((await controller.outbox.list()).length, 0);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { StubTransport, RECIPIENT } from "./helpers.js";
+import { DataController, DataField, DataFieldType, DataRow, Payload, PayloadResponse, ViewControllerAction } from "../juliett.js";
+
+/**
+ * Create a row holding one required integer field.
+ */
+function createRow(age){
+    const row = new DataRow();
+    row.push(new DataField("age", DataFieldType.Integer, age, true));
+    return row;
+};
+
+test("every operation carries the correlation ID, its own ID and its action", () => {
+    const payload = new Payload({}, { action: ViewControllerAction.Edit });
+    const first = payload.addContent({ id: 1 });
+    const second = payload.addContent({ id: 2 }, { action: ViewControllerAction.Remove, idempotencyKey: "k2" });
+    assert.equal(payload.isBatch, true);
+    assert.notEqual(first, second);
+    const [a, b] = JSON.parse(JSON.stringify(payload));
+    assert.equal(a.header.version, 2);
+    assert.equal(a.header.requestId, payload.requestId);
+    assert.equal(b.header.requestId, payload.requestId);
+    assert.equal(a.header.operationId, first);
+    assert.equal(a.header.action, ViewControllerAction.Edit);
+    assert.equal(b.header.action, ViewControllerAction.Remove);
+    assert.equal(b.header.idempotencyKey, "k2");
+    assert.deepEqual(b.body, { id: 2 });
+});
+
+test("the correlation ID and the idempotency key are sent as headers", async () => {
+    const transport = new StubTransport();
+    const requestor = { onDataControllerCallbackEvent: () => null };
+    const controller = new DataController(requestor);
+    controller.transport = transport;
+    controller.recipient = RECIPIENT;
+    controller.payload = new Payload(requestor, { idempotencyKey: true });
+    controller.payload.addContent({ id: 1 });
+    await controller.execute(ViewControllerAction.Create);
+    const headers = transport.requests[0].headers;
+    assert.equal(headers["X-Request-ID"], controller.payload.requestId);
+    assert.equal(headers["Idempotency-Key"], controller.payload.idempotencyKey);
+    assert.equal(typeof headers["Idempotency-Key"], "string");
+});
+
+test("the results of a batch are matched to each operation", () => {
+    const payload = new Payload({}, { action: ViewControllerAction.Edit });
+    const first = payload.addContent({ id: 1 });
+    const second = payload.addContent({ id: 2 }, { action: ViewControllerAction.Remove });
+    const response = new PayloadResponse(payload, JSON.stringify({ requestId: payload.requestId, version: 2, results: [
+        { operationId: second, success: false, error: "locked." },
+        { operationId: first, status: "ok", data: { id: 1, name: "a" } }
+    ] }));
+    assert.equal(response.isProtocol, true);
+    assert.equal(response.ok, false);
+    assert.deepEqual(response.get(first), { operationId: first, action: ViewControllerAction.Edit, success: true, data: { id: 1, name: "a" }, error: null, errors: [] });
+    assert.deepEqual(response.failed().map(result => [result.operationId, result.action, result.error]), [[second, ViewControllerAction.Remove, "locked."]]);
+});
+
+test("answers outside the protocol are shared by every operation", () => {
+    const payload = new Payload({});
+    payload.addContent({ id: 1 });
+    payload.addContent({ id: 2 });
+    const response = new PayloadResponse(payload, { message: "invalid.", errors: [{ field: "id", message: "taken." }] }, 422);
+    assert.equal(response.isProtocol, false);
+    assert.equal(response.requestId, payload.requestId);
+    assert.deepEqual(response.results.map(result => [result.success, result.error, result.errors.length]), [[false, "invalid.", 0], [false, "invalid.", 0]]);
+});
+
+test("the errors reported are assigned to the rows sent", () => {
+    const row = createRow(300);
+    const payload = new Payload({});
+    const operationId = payload.addContent(row.serialize(0), { source: { row: row, index: 0 } });
+    const response = new PayloadResponse(payload, { requestId: payload.requestId, version: 2, results: [{ operationId: operationId, success: false, errors: { age: "too old." } }] });
+    assert.deepEqual(response.errors.map(error => [error.operationId, error.field, error.message]), [[operationId, "age", "too old."]]);
+    response.mapErrors();
+    const errors = row.getErrors();
+    assert.equal(errors.count, 1);
+    assert.equal(errors.entries.age[0].message, "too old.");
+    assert.equal(errors.entries.age[0].rule, "server");
+});
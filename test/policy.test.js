@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, delay, StubTransport } from "./helpers.js";
+import { DataControllerStatus, RequestPolicy, TransportError, ViewControllerAction } from "../juliett.js";
+
+/**
+ * Create a transport failing with a status the given number of times before answering.
+ */
+function createFlakyTransport(failures, status = 503, headers = {}){
+    return new StubTransport(request => {
+        if (failures-- > 0)
+            throw new TransportError(`request to ${request.url} failed with status ${status}.`, { status: status, headers: headers });
+        return { ok: 1 };
+    });
+};
+
+test("a hung recipient times out", async () => {
+    const controller = createController(new StubTransport(() => delay(200)));
+    controller.policy = new RequestPolicy({ timeout: 20 });
+    const event = await controller.execute(ViewControllerAction.Load);
+    assert.equal(event.status, DataControllerStatus.Failed);
+    assert.equal(event.payload.timedOut, true);
+});
+
+test("loads are retried and each attempt is reported", async () => {
+    const attempts = [];
+    const transport = createFlakyTransport(2);
+    const controller = createController(transport, { requestor: { onDataControllerAttemptEvent: e => attempts.push(e.attempt) } });
+    controller.policy = new RequestPolicy({ retries: 2, backoff: 1 });
+    const event = await controller.execute(ViewControllerAction.Load);
+    assert.equal(event.status, DataControllerStatus.Succeeded);
+    assert.equal(transport.requests.length, 3);
+    assert.deepEqual(attempts, [1, 2, 3]);
+});
+
+test("statuses that are not retryable fail at once", async () => {
+    const transport = createFlakyTransport(1, 404);
+    const controller = createController(transport);
+    controller.policy = new RequestPolicy({ retries: 2, backoff: 1 });
+    assert.equal((await controller.execute(ViewControllerAction.Load)).status, DataControllerStatus.Failed);
+    assert.equal(transport.requests.length, 1);
+});
+
+test("edits are retried only when idempotent", async () => {
+    const transport = createFlakyTransport(2);
+    const controller = createController(transport);
+    controller.policy = new RequestPolicy({ retries: 1, backoff: 1 });
+    assert.equal((await controller.execute(ViewControllerAction.Edit)).status, DataControllerStatus.Failed);
+    controller.policy = new RequestPolicy({ retries: 1, backoff: 1, idempotent: true });
+    assert.equal((await controller.execute(ViewControllerAction.Edit)).status, DataControllerStatus.Succeeded);
+    assert.equal(transport.requests.length, 3);
+});
+
+test("the backoff grows exponentially within its limit", () => {
+    const policy = new RequestPolicy({ backoff: 100, maxBackoff: 300, jitter: false });
+    assert.deepEqual([1, 2, 3].map(attempt => policy.getDelay(attempt)), [100, 200, 300]);
+    const delayed = new RequestPolicy({ backoff: 100 }).getDelay(2);
+    assert.ok(delayed >= 100 && delayed <= 200);
+});
+
+test("Retry-After is read as seconds or as an HTTP date", () => {
+    const policy = new RequestPolicy({ jitter: false });
+    assert.equal(policy.getDelay(1, new TransportError("busy", { status: 503, headers: { "retry-after": "2" } })), 2000);
+    const date = new Date(Date.now() + 5000).toUTCString();
+    const delayed = policy.getDelay(1, new TransportError("busy", { status: 503, headers: { "retry-after": date } }));
+    assert.ok(delayed > 3000 && delayed <= 5000);
+    assert.equal(policy.getDelay(1, new TransportError("busy", { status: 503, headers: { "retry-after": "junk" } })), 250);
+});
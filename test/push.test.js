@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, delay, StubTransport } from "./helpers.js";
+import { DataControllerStatus, DataField, DataFieldType, DataRowState, DataTable, MockPushServer, PushChannel, ViewControllerAction } from "../juliett.js";
+
+/**
+ * Create a table of two rows keyed by id.
+ */
+function createTable(){
+    const table = new DataTable([
+        new DataField("id", DataFieldType.Integer, null),
+        new DataField("name", DataFieldType.String, null),
+        new DataField("city", DataFieldType.String, null)
+    ], "id");
+    table.load([{ id: 1, name: "a", city: "x" }, { id: 2, name: "b", city: "y" }]);
+    return table;
+};
+
+/**
+ * Create a WebSocket channel connected to the server given.
+ */
+function createChannel(server, options = {}){
+    return new PushChannel("wss://www.example.com/push", Object.assign({ factory: server.factory, heartbeat: 0, backoff: 5 }, options));
+};
+
+test("messages are delivered to every kind of subscriber", async () => {
+    const server = new MockPushServer();
+    const channel = createChannel(server);
+    const received = [];
+    const events = [];
+    const controller = createController(new StubTransport(), { events: events });
+    channel.subscribe("prices", e => received.push(["function", e.payload.data]));
+    channel.subscribe("prices", { onDataControllerCallbackEvent: e => received.push(["requestor", e.status]) });
+    channel.subscribe("*", controller);
+    controller.on("push", e => received.push(["controller", e.topic]));
+    channel.connect();
+    await delay(5);
+    assert.equal(channel.state, "open");
+    assert.deepEqual(server.clients[0].topics, ["prices", "*"]);
+    assert.equal(server.publish("prices", { id: 1, price: 9 }, ViewControllerAction.Edit), 1);
+    await delay(5);
+    assert.deepEqual(received, [["function", { id: 1, price: 9 }], ["requestor", DataControllerStatus.Succeeded], ["controller", "prices"]]);
+    assert.equal(events[0].payload.push, true);
+    assert.equal(events[0].payload.envelope.content[0].header.action, ViewControllerAction.Edit);
+    channel.send("orders", { id: 3 });
+    assert.deepEqual(server.received.pop()[0].body, { id: 3 });
+    channel.close();
+});
+
+test("the channel reconnects with backoff and subscribes again", async () => {
+    const server = new MockPushServer();
+    const channel = createChannel(server, { maxBackoff: 20 });
+    const events = [];
+    ["open", "close", "reconnect"].forEach(type => channel.on(type, () => events.push(type)));
+    channel.subscribe("prices", () => null);
+    channel.connect();
+    await delay(5);
+    server.refuse();
+    server.drop();
+    await delay(40);
+    assert.equal(channel.state, "reconnecting");
+    server.refuse(false);
+    await delay(60);
+    assert.equal(channel.state, "open");
+    assert.deepEqual(server.clients.map(client => client.topics), [["prices"]]);
+    assert.deepEqual(events.slice(0, 3), ["open", "close", "reconnect"]);
+    assert.equal(events.pop(), "open");
+    channel.close();
+    assert.equal(channel.state, "closed");
+});
+
+test("silent connections are considered lost", async () => {
+    const server = new MockPushServer();
+    const channel = new PushChannel("https://www.example.com/events", { factory: server.factory, heartbeat: 20, backoff: 1000 });
+    const errors = [];
+    channel.on("error", e => errors.push(e.error.message));
+    channel.subscribe("prices", () => null);
+    channel.connect();
+    await delay(5);
+    assert.equal(channel.type, "sse");
+    assert.deepEqual(server.clients[0].topics, ["prices"]);
+    await delay(40);
+    assert.deepEqual(errors, ["no message received from https://www.example.com/events within 20ms."]);
+    assert.equal(channel.state, "reconnecting");
+    channel.close();
+});
+
+test("pushed rows are applied to the table", async () => {
+    const server = new MockPushServer();
+    const channel = createChannel(server);
+    const table = createTable();
+    channel.subscribe("customers", () => null, { apply: table });
+    channel.connect();
+    await delay(5);
+    server.publish("customers", { id: 2, name: "B" }, ViewControllerAction.Edit);
+    server.publish("customers", { id: 3, name: "c", city: "z" }, ViewControllerAction.Create);
+    server.publish("customers", { key: 1 }, ViewControllerAction.Remove);
+    await delay(5);
+    assert.deepEqual(table.items.map(row => [row.key, row.getField("name").fieldValue, row.state]), [[2, "B", DataRowState.Unchanged], [3, "c", DataRowState.Unchanged]]);
+    channel.close();
+});
+
+test("merge takes pushed values as the original ones of locally edited rows", () => {
+    const table = createTable();
+    const row = table.findByKey(1);
+    row.getField("name").fieldValue = "A";
+    table.merge([
+        { action: ViewControllerAction.Edit, key: 1, values: { name: "server", city: "X" } },
+        { action: ViewControllerAction.Edit, key: 2, values: { city: "Y" } }
+    ]);
+    assert.equal(row.state, DataRowState.Modified);
+    assert.deepEqual(row.getChangedFields(), ["name"]);
+    assert.equal(row.getField("name").fieldValue, "A");
+    assert.equal(row.getField("city").fieldValue, "X");
+    assert.equal(table.findByKey(2).state, DataRowState.Unchanged);
+    assert.equal(table.findByKey(2).getField("city").fieldValue, "Y");
+    row.rejectChanges();
+    assert.equal(row.getField("name").fieldValue, "server");
+    assert.equal(row.getField("city").fieldValue, "X");
+});
@@ -0,0 +1,65 @@
+import { skip } from "./dom.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BaseItem, BaseItemList, ListRenderer, ViewController } from "../juliett.js";
+
+/**
+ * Create a view whose DOMContext holds the template given inside a list.
+ */
+function createView(template){
+    document.body.innerHTML = `<div id="view"><ul><template>${template}</template></ul></div>`;
+    return new ViewController(document.getElementById("view"), {});
+};
+
+test("values are escaped and conditionals toggled", { skip }, () => {
+    const view = createView(`<li><b data-text="name"></b><a data-attr="href: url; title: name">link</a><i data-if="!active">off</i></li>`);
+    view.render([{ id: 1, name: "<img src=x onerror=alert(1)>", url: "javascript:alert(1)", active: false }], { key: "id" });
+    const item = document.querySelector("li");
+    assert.equal(item.querySelector("b").textContent, "<img src=x onerror=alert(1)>");
+    assert.equal(item.querySelector("img"), null);
+    assert.equal(item.querySelector("a").hasAttribute("href"), false);
+    assert.equal(item.querySelector("a").getAttribute("title"), "<img src=x onerror=alert(1)>");
+    assert.notEqual(item.querySelector("i"), null);
+    view.render([{ id: 1, name: "a", url: "https://www.example.com/", active: true }], { key: "id" });
+    assert.equal(item.querySelector("a").getAttribute("href"), "https://www.example.com/");
+    assert.equal(item.querySelector("i"), null);
+});
+
+test("unsafe attribute bindings are refused", { skip }, () => {
+    for (const binding of ["onclick: name", "srcdoc: name"]){
+        const view = createView(`<li><iframe data-attr="${binding}"></iframe></li>`);
+        assert.throws(() => view.render([{ name: "a" }]), TypeError, binding);
+    };
+    const view = createView(`<li><object data-attr="data: url"></object></li>`);
+    view.render([{ url: "data:text/html,<script>alert(1)</script>" }]);
+    assert.equal(document.querySelector("object").hasAttribute("data"), false);
+});
+
+test("only the rows changed touch the DOM", { skip }, () => {
+    const view = createView(`<li data-text="name"></li>`);
+    view.render([{ id: 1, name: "a" }, { id: 2, name: "b" }, { id: 3, name: "c" }], { key: "id" });
+    const [first, second, third] = document.querySelectorAll("li");
+    view.render([{ id: 3, name: "c" }, { id: 1, name: "A" }], { key: "id" });
+    const items = Array.from(document.querySelectorAll("li"));
+    assert.deepEqual(items.map(item => item.textContent), ["c", "A"]);
+    assert.equal(items[0], third);
+    assert.equal(items[1], first);
+    assert.equal(second.parentNode, null);
+    assert.equal(document.querySelector("ul").lastElementChild.localName, "template");
+    assert.throws(() => view.render([{ id: 1 }, { id: 1 }], { key: "id" }), Error);
+});
+
+test("nested lists and lists that change are rendered", { skip }, async () => {
+    const view = createView(`<li><span data-text="name"></span><ol><template data-each="tags"><li data-text="."></li></template></ol></li>`);
+    view.render([{ name: "a", tags: ["x", "y"] }]);
+    assert.deepEqual(Array.from(document.querySelectorAll("ol li"), item => item.textContent), ["x", "y"]);
+    document.body.innerHTML = `<ul id="list"><template><li data-text="content.name"></li></template></ul>`;
+    const list = new BaseItemList(Object);
+    const renderer = new ListRenderer(document.getElementById("list"), document.querySelector("template")).render(list);
+    list.push(new BaseItem({ name: "a" }));
+    list.push(new BaseItem({ name: "b" }));
+    await Promise.resolve();
+    assert.deepEqual(Array.from(document.querySelectorAll("li"), item => item.textContent), ["a", "b"]);
+    renderer.disconnect(true);
+    assert.equal(document.querySelectorAll("li").length, 0);
+});
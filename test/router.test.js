@@ -0,0 +1,83 @@
+import { dom, skip } from "./dom.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { delay } from "./helpers.js";
+import { Router, ViewController, ViewControllerAction } from "../juliett.js";
+
+class CustomerView extends ViewController {
+    onBeforeLeave(to){
+        return this.DOMContext.querySelector("input") == null || this.DOMContext.querySelector("input").value == "";
+    };
+};
+
+/**
+ * Create a router displaying the views inside a new container.
+ */
+function createRouter(){
+    document.body.innerHTML = `<main></main>`;
+    window.history.replaceState(null, "", "/");
+    return new Router(document.querySelector("main"))
+        .add("/", { controller: ViewController, name: "home" })
+        .add("/customers/:id/edit", { controller: CustomerView, action: ViewControllerAction.Edit, template: `<input name="name">` })
+        .add("/orders/:id?", { controller: () => Promise.resolve({ default: ViewController }) });
+};
+
+test("paths are matched with their parameters and query", () => {
+    const router = new Router({ appendChild: () => null })
+        .add("/customers/:id/edit", { controller: ViewController, action: ViewControllerAction.Edit })
+        .add("/files/*", { controller: ViewController })
+        .add("*", { controller: ViewController, name: "notfound" });
+    assert.deepEqual(router.match("/customers/a%20b/edit?tab=2"), {
+        name: "/customers/:id/edit", path: "/customers/a%20b/edit?tab=2", params: { id: "a b" }, query: { tab: "2" }, action: ViewControllerAction.Edit
+    });
+    assert.deepEqual(router.match("/files/a/b.txt").params, { wildcard: "a/b.txt" });
+    assert.equal(router.match("/customers/1").name, "notfound");
+    assert.throws(() => router.add("customers", { controller: ViewController }), TypeError);
+});
+
+test("the view of the route is mounted with its parameters", { skip }, async () => {
+    const router = createRouter();
+    assert.equal(await router.navigate("/customers/7/edit"), true);
+    assert.equal(window.location.hash, "#/customers/7/edit");
+    const current = router.current;
+    assert.ok(current.view instanceof CustomerView);
+    assert.deepEqual(current.view.route.params, { id: "7" });
+    assert.equal(current.view.mounted, true);
+    assert.equal(router.container.querySelector("[data-route]").getAttribute("data-route"), "/customers/:id/edit");
+    assert.equal(await router.navigate("/orders"), true);
+    assert.equal(current.element.parentNode, null);
+    assert.equal(router.container.children.length, 1);
+    assert.equal(router.current.view.constructor, ViewController);
+});
+
+test("guards cancel or redirect the navigation", { skip }, async () => {
+    const router = createRouter();
+    const events = [];
+    router.on("cancelled", e => events.push(e.to.path));
+    const guard = router.addGuard(to => (to.path == "/orders/0") ? "/" : true);
+    await router.navigate("/customers/7/edit");
+    router.current.element.querySelector("input").value = "changed";
+    assert.equal(await router.navigate("/"), false);
+    assert.equal(router.current.path, "/customers/7/edit");
+    router.current.element.querySelector("input").value = "";
+    assert.equal(await router.navigate("/orders/0"), true);
+    assert.equal(router.current.name, "home");
+    router.removeGuard(guard);
+    assert.deepEqual(events, ["/"]);
+});
+
+test("the browser navigation is followed once started", { skip }, async () => {
+    const router = createRouter();
+    await router.start();
+    assert.equal(router.current.name, "home");
+    document.body.insertAdjacentHTML("beforeend", `<a href="#/orders/3" data-route>order</a>`);
+    document.querySelector("a[data-route]").dispatchEvent(new dom.MouseEvent("click", { bubbles: true, cancelable: true }));
+    await delay(10);
+    assert.deepEqual(router.current.params, { id: "3" });
+    window.location.hash = "#/customers/1/edit";
+    await delay(20);
+    assert.equal(router.current.path, "/customers/1/edit");
+    router.stop(true);
+    assert.equal(router.current, null);
+    assert.equal(router.container.children.length, 0);
+});
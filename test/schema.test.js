@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DataFieldType, DataRow } from "../juliett.js";
+
+const SCHEMA = {
+    type: "object",
+    required: ["email", "age"],
+    $defs: { money: { type: "number", multipleOf: 0.01, minimum: 0 } },
+    properties: {
+        email: { type: "string", format: "email", title: "E-mail" },
+        age: { type: "integer", minimum: 0, exclusiveMaximum: 150 },
+        price: { $ref: "#/$defs/money" },
+        when: { type: ["string", "null"], format: "date-time" },
+        size: { enum: ["S", "M"] },
+        code: { type: "string", pattern: "^[A-Z]+$", maxLength: 5, default: "AB" },
+        ok: { type: "boolean" }
+    }
+};
+
+test("fields are built with the types, defaults and values given", () => {
+    const row = DataRow.fromSchema(SCHEMA, { age: "3" });
+    assert.deepEqual(Array.from(row.items[0], field => field.fieldName), ["email", "age", "price", "when", "size", "code", "ok"]);
+    assert.equal(row.getField("age").fieldType, DataFieldType.Integer);
+    assert.equal(row.getField("age").fieldValue, 3);
+    assert.equal(row.getField("price").fieldType, DataFieldType.Decimal);
+    assert.equal(row.getField("price").typeOptions.precision, 2);
+    assert.equal(row.getField("when").fieldType, DataFieldType.DateTime);
+    assert.equal(row.getField("size").fieldType, DataFieldType.Enum);
+    assert.equal(row.getField("code").fieldValue, "AB");
+    assert.equal(row.getField("email").isRequired, true);
+    assert.equal(row.getField("email").label, "E-mail");
+});
+
+test("the constraints of the schema become validation rules", async () => {
+    const row = DataRow.fromSchema(SCHEMA);
+    row.getField("age").fieldValue = 150;
+    row.getField("code").fieldValue = "abc";
+    assert.equal(await row.validateAsync(), false);
+    assert.deepEqual(Object.keys(row.getErrors().entries), ["email", "age", "code"]);
+});
+
+test("the definition of a row is exported back to JSON Schema", () => {
+    const schema = DataRow.fromSchema(SCHEMA).toSchema();
+    assert.deepEqual(schema.required, ["email", "age"]);
+    assert.deepEqual(schema.properties.email, { type: "string", title: "E-mail", format: "email" });
+    assert.deepEqual(schema.properties.age, { type: "integer", minimum: 0, exclusiveMaximum: 150 });
+    assert.deepEqual(schema.properties.price, { type: "number", multipleOf: 0.01, minimum: 0 });
+    assert.deepEqual(DataRow.fromSchema(schema).toSchema(), schema);
+});
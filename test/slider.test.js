@@ -0,0 +1,86 @@
+import { dom, skip } from "./dom.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Slider } from "../juliett.js";
+
+/**
+ * Create a slider with the attributes given, recording the input and change events it fires.
+ */
+function createSlider(attributes){
+    document.body.innerHTML = `<form><juliett-slider name="volume" ${attributes}></juliett-slider></form>`;
+    const slider = document.querySelector("juliett-slider");
+    slider.events = [];
+    ["input", "change"].forEach(type => slider.addEventListener(type, () => slider.events.push([type, slider.value])));
+    return slider;
+};
+
+/**
+ * Dispatch a pointer event at a horizontal position (jsdom has no PointerEvent).
+ */
+function point(slider, type, clientX){
+    const event = new dom.MouseEvent(type, { clientX: clientX, button: 0, bubbles: true, cancelable: true });
+    Object.defineProperty(event, "pointerId", { value: 1 });
+    slider.dispatchEvent(event);
+};
+
+/**
+ * Dispatch the keydown event of a key.
+ */
+function key(slider, name){
+    slider.dispatchEvent(new dom.KeyboardEvent("keydown", { key: name, bubbles: true, cancelable: true }));
+};
+
+test("values snap to the steps of the range", { skip }, () => {
+    const slider = createSlider(`min="10" max="20" step="0.5" value="13.3"`);
+    assert.ok(slider instanceof Slider);
+    assert.equal(slider.value, 13.5);
+    assert.equal(slider.getAttribute("role"), "slider");
+    assert.equal(slider.getAttribute("aria-valuenow"), "13.5");
+    assert.equal(slider.getAttribute("aria-valuemin"), "10");
+    slider.value = 99;
+    assert.equal(slider.value, 20);
+    slider.max = 15;
+    assert.equal(slider.value, 15);
+    slider.value = "abc";
+    assert.equal(slider.value, 12.5);
+    slider.formatValueText = value => `${value} dB`;
+    slider.value = 11;
+    assert.equal(slider.getAttribute("aria-valuetext"), "11 dB");
+    assert.deepEqual(slider.events, []);
+});
+
+test("the keyboard moves the value by steps and pages", { skip }, () => {
+    const slider = createSlider(`min="0" max="100" step="5" value="50"`);
+    key(slider, "ArrowRight");
+    key(slider, "PageDown");
+    key(slider, "End");
+    key(slider, "ArrowUp");
+    key(slider, "Home");
+    assert.deepEqual(slider.events, [["input", 55], ["change", 55], ["input", 45], ["change", 45], ["input", 100], ["change", 100], ["input", 0], ["change", 0]]);
+    slider.disabled = true;
+    key(slider, "End");
+    assert.equal(slider.value, 0);
+});
+
+test("dragging fires input on each move and change once released", { skip }, () => {
+    const slider = createSlider(`min="0" max="10" value="0"`);
+    slider.getBoundingClientRect = () => ({ left: 100, width: 200, top: 0, bottom: 20, height: 20 });
+    point(slider, "pointerdown", 140);
+    point(slider, "pointermove", 200);
+    point(slider, "pointermove", 400);
+    point(slider, "pointerup", 400);
+    point(slider, "pointermove", 100);
+    assert.deepEqual(slider.events, [["input", 2], ["input", 5], ["input", 10], ["change", 10]]);
+});
+
+test("listeners are removed once disconnected and the form reset restores the value", { skip }, () => {
+    const slider = createSlider(`value="30"`);
+    slider.value = 70;
+    slider.formResetCallback();
+    assert.equal(slider.value, 30);
+    slider.remove();
+    key(slider, "End");
+    assert.equal(slider.value, 30);
+    assert.equal(slider.type, "range");
+    assert.equal(slider.name, "volume");
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, delay, StubTransport } from "./helpers.js";
+import { DataField, DataFieldType, DataRowState, DataTable, ViewControllerAction } from "../juliett.js";
+
+/**
+ * Create a table of two rows keyed by id.
+ */
+function createTable(){
+    const table = new DataTable([
+        new DataField("id", DataFieldType.Integer, null),
+        new DataField("name", DataFieldType.String, null),
+        new DataField("city", DataFieldType.String, null)
+    ], "id");
+    table.load([{ id: 1, name: "a", city: "x" }, { id: 2, name: "b", city: "y" }]);
+    return table;
+};
+
+/**
+ * Create a DataController whose recipient assigns the key 99 to the rows created, after a delay.
+ */
+function createSender(latency = 20){
+    const transport = new StubTransport(request => delay(latency, {
+        rows: JSON.parse(request.body).filter(entry => entry.body.action == ViewControllerAction.Create).map(entry => ({ clientId: entry.body.clientId, key: 99 }))
+    }));
+    return createController(transport);
+};
+
+test("rows keep their state and original values", () => {
+    const table = createTable();
+    assert.equal(table.hasChanges, false);
+    const row = table.findByKey(1);
+    row.getField("name").fieldValue = "A";
+    assert.equal(row.state, DataRowState.Modified);
+    assert.deepEqual(row.getChangedFields(), ["name"]);
+    assert.deepEqual(row.getOriginal(), { id: 1, name: "a", city: "x" });
+    row.getField("name").fieldValue = "a";
+    assert.equal(row.state, DataRowState.Unchanged);
+    row.delete();
+    assert.equal(row.state, DataRowState.Deleted);
+    row.rejectChanges();
+    assert.equal(row.state, DataRowState.Unchanged);
+});
+
+test("the delta carries only the rows changed", () => {
+    const table = createTable();
+    table.findByKey(1).getField("name").fieldValue = "A";
+    table.findByKey(2).delete();
+    table.newRow({ name: "new" });
+    assert.deepEqual(table.getDelta().map(entry => [entry.action, entry.key, entry.values]), [
+        [ViewControllerAction.Edit, 1, { name: "A" }],
+        [ViewControllerAction.Remove, 2, {}],
+        [ViewControllerAction.Create, null, { id: null, name: "new", city: null }]
+    ]);
+});
+
+test("the keys assigned by the recipient are reconciled", async () => {
+    const table = createTable();
+    const row = table.newRow({ name: "new" });
+    table.findByKey(2).delete();
+    await createSender(0).sendChanges(table);
+    assert.equal(table.hasChanges, false);
+    assert.equal(row.key, 99);
+    assert.deepEqual(table.items.map(item => item.key), [1, 99]);
+});
+
+test("rows reported with an error keep their changes", () => {
+    const table = createTable();
+    table.findByKey(1).getField("name").fieldValue = "A";
+    table.findByKey(2).getField("name").fieldValue = "B";
+    table.reconcile({ rows: [{ key: 1, error: "locked." }, { key: 2 }] });
+    assert.equal(table.findByKey(1).state, DataRowState.Modified);
+    assert.equal(table.findByKey(1).error, "locked.");
+    assert.equal(table.findByKey(2).state, DataRowState.Unchanged);
+});
+
+test("the changes made while the request is in flight remain", async () => {
+    const table = createTable();
+    table.findByKey(1).getField("name").fieldValue = "A";
+    const sent = createSender().sendChanges(table);
+    await delay(5);
+    table.findByKey(1).getField("city").fieldValue = "X";
+    table.findByKey(2).getField("name").fieldValue = "B";
+    await sent;
+    assert.equal(table.findByKey(1).state, DataRowState.Modified);
+    assert.deepEqual(table.findByKey(1).getChangedFields(), ["city"]);
+    assert.deepEqual(table.findByKey(1).getOriginal(), { id: 1, name: "A", city: "x" });
+    assert.deepEqual(table.findByKey(2).getChangedFields(), ["name"]);
+});
+
+test("rejecting the changes of the table discards the rows added", () => {
+    const table = createTable();
+    table.newRow({ name: "new" });
+    table.findByKey(1).getField("name").fieldValue = "A";
+    table.rejectChanges();
+    assert.equal(table.length, 2);
+    assert.equal(table.findByKey(1).getField("name").fieldValue, "a");
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, StubTransport, RECIPIENT } from "./helpers.js";
+import { DataControllerStatus, FetchTransport, TransportError, ViewControllerAction } from "../juliett.js";
+
+test("each action is sent with its own verb", async () => {
+    const transport = new StubTransport();
+    const controller = createController(transport, { content: { id: 1 } });
+    await controller.execute(ViewControllerAction.Create);
+    await controller.execute(ViewControllerAction.Edit);
+    await controller.execute(ViewControllerAction.Remove);
+    assert.deepEqual(transport.requests.map(request => request.method), ["POST", "PUT", "DELETE"]);
+    assert.equal(typeof transport.requests[0].body, "string");
+});
+
+test("loads carry the payload as query parameters", async () => {
+    const transport = new StubTransport();
+    await createController(transport, { content: { q: "a b" } }).execute(ViewControllerAction.Load);
+    const request = transport.requests[0];
+    assert.equal(request.method, "GET");
+    assert.equal(request.body, null);
+    assert.ok(request.url.startsWith(RECIPIENT + "?"));
+    assert.equal(new URL(request.url).searchParams.get("q"), "a b");
+});
+
+test("endpoints override the URL and the verb of an action", async () => {
+    const transport = new StubTransport();
+    const controller = createController(transport);
+    controller.setEndpoint(ViewControllerAction.Edit, "https://www.example.com/items/1", "patch");
+    await controller.execute(ViewControllerAction.Edit);
+    assert.equal(transport.requests[0].method, "PATCH");
+    assert.equal(transport.requests[0].url, "https://www.example.com/items/1");
+});
+
+test("the promise settles with the event given to the requestor", async () => {
+    const events = [];
+    const event = await createController(new StubTransport(() => ({ id: 7 })), { events: events }).execute(ViewControllerAction.Create);
+    assert.equal(event.status, DataControllerStatus.Succeeded);
+    assert.deepEqual(event.payload.data, { id: 7 });
+    assert.deepEqual(events, [event]);
+});
+
+test("failures are reported with the status and body of the answer", async () => {
+    const controller = createController(new StubTransport(request => {
+        throw new TransportError(`request to ${request.url} failed with status 422.`, { status: 422, body: { name: "required" } });
+    }));
+    const event = await controller.execute(ViewControllerAction.Create);
+    assert.equal(event.status, DataControllerStatus.Failed);
+    assert.equal(event.payload.status, 422);
+    assert.deepEqual(event.payload.body, { name: "required" });
+});
+
+test("fetch answers of any 2xx status are decoded", async t => {
+    t.mock.method(globalThis, "fetch", () => Promise.resolve(new Response('{"ok":1}', { status: 201, headers: { "content-type": "application/json" } })));
+    const response = await new FetchTransport().send({ method: "POST", url: RECIPIENT, headers: {}, body: "{}" });
+    assert.equal(response.status, 201);
+    assert.deepEqual(response.body, { ok: 1 });
+});
+
+test("fetch failures are reported as TransportError", async t => {
+    t.mock.method(globalThis, "fetch", () => Promise.resolve(new Response("gone", { status: 410 })));
+    await assert.rejects(new FetchTransport().send({ method: "GET", url: RECIPIENT, headers: {} }), error => error instanceof TransportError && error.status == 410 && !error.isNetworkError);
+    t.mock.method(globalThis, "fetch", () => Promise.reject(new TypeError("failed to fetch")));
+    await assert.rejects(new FetchTransport().send({ method: "GET", url: RECIPIENT, headers: {} }), error => error instanceof TransportError && error.isNetworkError);
+});
@@ -0,0 +1,78 @@
+import { dom, skip } from "./dom.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createController, StubTransport } from "./helpers.js";
+import { DataField, DataFieldType, DataRow, ValidationRule, ViewController } from "../juliett.js";
+
+/**
+ * Create a row whose fields break one rule each.
+ */
+function createRow(){
+    const row = new DataRow();
+    row.push(new DataField("email", DataFieldType.String, "x", true, undefined, [ValidationRule.pattern("email")]),
+        new DataField("p1", DataFieldType.String, "abc", false, undefined, [ValidationRule.length(4)]),
+        new DataField("p2", DataFieldType.String, "abd", false, undefined, [ValidationRule.compare("p1")]),
+        new DataField("age", DataFieldType.Number, 200, true, undefined, [ValidationRule.min(0), ValidationRule.max(150)]));
+    return row;
+};
+
+test("the errors of every field are reported by rule", async () => {
+    const row = createRow();
+    assert.equal(await row.validateAsync(), false);
+    const errors = row.getErrors();
+    assert.equal(errors.count, 4);
+    assert.deepEqual(Object.keys(errors.entries), ["email", "p1", "p2", "age"]);
+    assert.deepEqual(errors.entries.p2[0], { field: "p2", rule: "compare", message: "must match p1.", value: "abd", index: 0 });
+    assert.equal(errors.entries.age[0].rule, "max");
+});
+
+test("required fields report empty values only", async () => {
+    const field = new DataField("name", DataFieldType.String, "", true, undefined, [ValidationRule.length(2)]);
+    assert.deepEqual((await field.validateAsync()).map(error => error.rule), ["required"]);
+    field.fieldValue = "ab";
+    assert.deepEqual(await field.validateAsync(), []);
+});
+
+test("presets and value lists", async () => {
+    const date = new DataField("date", DataFieldType.String, "2020-01-01 10:00:00", false, undefined, [ValidationRule.pattern("datetime")]);
+    assert.deepEqual(await date.validateAsync(), []);
+    const color = new DataField("color", DataFieldType.String, "red", false, undefined, [ValidationRule.oneOf(["green", "blue"])]);
+    assert.equal((await color.validateAsync())[0].rule, "oneOf");
+});
+
+test("validate applies the synchronous rules only", () => {
+    const remote = ValidationRule.custom(() => Promise.resolve(false), "rejected.");
+    const field = new DataField("code", DataFieldType.String, "a", false, undefined, [remote]);
+    assert.equal(field.validate(), true);
+    field.addRule(ValidationRule.length(2));
+    assert.equal(field.validate(), false);
+});
+
+test("remote rules ask the recipient", async () => {
+    const checker = createController(new StubTransport(request => ({ unique: request.url.indexOf("taken") == -1 })));
+    const field = new DataField("email", DataFieldType.String, "a@taken.com", false, undefined, [ValidationRule.remote(checker, { accept: data => data.unique, message: "taken." })]);
+    assert.deepEqual((await field.validateAsync()).map(error => error.message), ["taken."]);
+    field.fieldValue = "a@free.com";
+    assert.deepEqual(await field.validateAsync(), []);
+});
+
+test("validate keeps the errors returned by a callback", () => {
+    const row = createRow();
+    row.validate(() => ({ email: "already registered." }));
+    assert.deepEqual(row.getErrors(), { count: 1, entries: { email: "already registered." } });
+});
+
+test("the errors are rendered next to the controls", { skip }, async () => {
+    document.body.innerHTML = `<div id="view"><form><input name="email"><input name="p1"><input name="p2">
+        <span data-error-for="p2"></span><input name="age" type="number"></form></div>`;
+    const binding = new ViewController(document.getElementById("view"), {}).bind(createRow());
+    assert.equal(await binding.validate(), false);
+    const email = document.forms[0].elements.namedItem("email");
+    assert.equal(email.getAttribute("aria-invalid"), "true");
+    assert.equal(document.querySelector("[data-error-for=email]").textContent, "invalid format.");
+    assert.equal(document.querySelector("[data-error-for=p2]").textContent, "must match p1.");
+    email.value = "a@b.com";
+    email.dispatchEvent(new dom.Event("input", { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(email.hasAttribute("aria-invalid"), false);
+});